@@ -1,29 +1,141 @@
 const jwt = require('jsonwebtoken');
+const { PrismaClient } = require('@prisma/client');
+const { sendError } = require('../utils/errors');
+const { verifySignedPath } = require('../utils/fileLinks');
 
-const authMiddleware = (req, res, next) => {
+const prisma = new PrismaClient();
+
+// Verifies an access token against the database, so deleted users and
+// revoked tokens (see User.tokenVersion) are rejected and the role is current.
+// Returns req.user, or null if the token must not be accepted.
+const verifyAccessToken = async (token) => {
+  let decoded;
   try {
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({ message: 'No token provided' });
-    }
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.userId },
+    select: { id: true, role: true, deletedAt: true, tokenVersion: true, emailVerifiedAt: true }
+  });
+
+  if (!user || user.deletedAt || (decoded.tokenVersion ?? 0) !== user.tokenVersion) {
+    return null;
+  }
+
+  return { userId: user.id, role: user.role, emailVerified: !!user.emailVerifiedAt };
+};
+
+const authMiddleware = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    return sendError(res, 401, 'No token provided');
+  }
+
+  let user;
+  try {
+    user = await verifyAccessToken(token);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!user) {
+    return sendError(res, 401, 'Invalid token');
+  }
+
+  req.user = user;
+  next();
+};
+
+// Like authMiddleware, but lets anonymous requests through (req.user unset)
+const optionalAuth = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return next();
+  }
+
+  let user;
+  try {
+    user = await verifyAccessToken(token);
   } catch (error) {
-    res.status(401).json({ message: 'Invalid token' });
+    return next(error);
+  }
+
+  if (!user) {
+    return sendError(res, 401, 'Invalid token');
   }
+
+  req.user = user;
+  next();
+};
+
+// Like authMiddleware, but also takes the token from ?token=, since browsers'
+// EventSource can't send headers. Only for streams: URLs end up in logs.
+// Sets req.tokenExpiresAt so the stream can end when the token does.
+const streamAuth = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1] || req.query.token;
+
+  if (!token) {
+    return sendError(res, 401, 'No token provided');
+  }
+
+  let user;
+  try {
+    user = await verifyAccessToken(String(token));
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!user) {
+    return sendError(res, 401, 'Invalid token');
+  }
+
+  const { exp } = jwt.decode(String(token));
+  req.user = user;
+  req.tokenExpiresAt = exp ? exp * 1000 : null;
+  next();
+};
+
+// For file downloads: a live signed link (see utils/fileLinks.js) grants
+// access without a token and sets req.signedLink; otherwise like authMiddleware
+const signedLinkOrAuth = (req, res, next) => {
+  if (req.query.signature) {
+    if (!verifySignedPath(req.baseUrl + req.path, req.query)) {
+      return sendError(res, 403, 'This link is invalid or has expired');
+    }
+    req.signedLink = true;
+    return next();
+  }
+  return authMiddleware(req, res, next);
 };
 
 // Role check middleware
 const requireRole = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ message: 'Access denied' });
+      return sendError(res, 403, 'Access denied');
     }
     next();
   };
 };
 
-module.exports = { authMiddleware, requireRole };
+// Requires a verified email address (use after authMiddleware)
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return sendError(res, 403, 'Please verify your email address first');
+  }
+  next();
+};
+
+module.exports = {
+  authMiddleware,
+  optionalAuth,
+  streamAuth,
+  signedLinkOrAuth,
+  requireRole,
+  requireVerifiedEmail,
+  verifyAccessToken
+};
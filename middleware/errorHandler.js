@@ -0,0 +1,79 @@
+const multer = require('multer');
+const { Prisma } = require('@prisma/client');
+const { ApiError, sendError } = require('../utils/errors');
+
+// Maps known Prisma request errors to client errors
+const prismaErrorResponse = (error) => {
+  const target = [].concat(error.meta?.target || []);
+  switch (error.code) {
+    case 'P2002':
+      return {
+        status: 409,
+        message: target.length ? `A record with this ${target.join(', ')} already exists` : 'Record already exists',
+        fields: target.map((field) => ({ field, in: 'body', message: 'Already taken' }))
+      };
+    case 'P2025':
+    case 'P2001':
+      return { status: 404, message: 'Record not found' };
+    case 'P2003':
+      return { status: 400, message: 'Referenced record does not exist', code: 'INVALID_REFERENCE' };
+    case 'P2000':
+      return { status: 400, message: 'Value too long', code: 'VALIDATION_ERROR' };
+    case 'P2006':
+    case 'P2007':
+    case 'P2023':
+      return { status: 400, message: 'Invalid value', code: 'VALIDATION_ERROR' };
+    default:
+      return null;
+  }
+};
+
+// 404 handler
+const notFound = (req, res) => {
+  sendError(res, 404, 'Route not found');
+};
+
+// Error handler (Express recognizes it by its four arguments)
+const errorHandler = (err, req, res, next) => {
+  // Too late to send an error body; let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err instanceof ApiError) {
+    return sendError(res, err.status, err.message, { code: err.code, fields: err.fields });
+  }
+
+  // Malformed or oversized JSON bodies (express.json)
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Malformed JSON body', { code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, 413, 'Request body too large');
+  }
+
+  if (err instanceof multer.MulterError) {
+    const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    return sendError(res, status, err.message, {
+      code: 'UPLOAD_ERROR',
+      fields: err.field ? [{ field: err.field, in: 'body', message: err.message }] : []
+    });
+  }
+
+  if (err instanceof Prisma.PrismaClientKnownRequestError) {
+    const mapped = prismaErrorResponse(err);
+    if (mapped) {
+      return sendError(res, mapped.status, mapped.message, { code: mapped.code, fields: mapped.fields });
+    }
+  }
+
+  if (err instanceof Prisma.PrismaClientValidationError) {
+    console.error(`Invalid query in ${req.method} ${req.originalUrl}:`, err.message);
+    return sendError(res, 400, 'Invalid request', { code: 'VALIDATION_ERROR' });
+  }
+
+  console.error(`Server error in ${req.method} ${req.originalUrl}:`, err);
+  sendError(res, 500, 'Internal server error');
+};
+
+module.exports = { notFound, errorHandler };
@@ -0,0 +1,77 @@
+const { getStore } = require('../utils/rateLimitStore');
+const { sendError } = require('../utils/errors');
+
+const minutes = (value) => value * 60 * 1000;
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Limits are per client IP, or per user on routes behind authMiddleware
+const byIp = (req) => `ip:${req.ip}`;
+const byUser = (req) => (req.user ? `user:${req.user.userId}` : byIp(req));
+
+// Fixed-window rate limiting. Every response carries the standard RateLimit-*
+// headers; once `max` requests were made in the window the client gets a 429
+// with Retry-After.
+//
+//   router.post('/login', rateLimit({ name: 'login', windowMs: minutes(15), max: 20 }), handler)
+const rateLimit = ({ name, windowMs, max, key = byIp, message = 'Too many requests, please try again later' }) => {
+  return async (req, res, next) => {
+    let hit;
+    try {
+      hit = await getStore().increment(`${name}:${key(req)}`, windowMs);
+    } catch (error) {
+      // A broken store shouldn't take the API down with it
+      console.error(`Rate limit error (${name}):`, error.message);
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((hit.resetAt - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Policy': `${max};w=${Math.ceil(windowMs / 1000)}`,
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - hit.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (hit.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return sendError(res, 429, message);
+    }
+    next();
+  };
+};
+
+// Sign-in, sign-up and account email endpoints
+const authLimiter = rateLimit({
+  name: 'auth',
+  windowMs: minutes(envNumber('RATE_LIMIT_AUTH_WINDOW_MINUTES', 15)),
+  max: envNumber('RATE_LIMIT_AUTH_MAX', 20)
+});
+
+// Creating jobs and applications
+const writeLimiter = rateLimit({
+  name: 'write',
+  windowMs: minutes(envNumber('RATE_LIMIT_WRITE_WINDOW_MINUTES', 60)),
+  max: envNumber('RATE_LIMIT_WRITE_MAX', 30),
+  key: byUser
+});
+
+// File uploads; runs before multer so rejected uploads never touch the disk
+const uploadLimiter = rateLimit({
+  name: 'upload',
+  windowMs: minutes(envNumber('RATE_LIMIT_UPLOAD_WINDOW_MINUTES', 60)),
+  max: envNumber('RATE_LIMIT_UPLOAD_MAX', 10),
+  key: byUser
+});
+
+module.exports = {
+  rateLimit,
+  byIp,
+  byUser,
+  authLimiter,
+  writeLimiter,
+  uploadLimiter
+};
@@ -0,0 +1,44 @@
+const path = require('path');
+const { ApiError } = require('../utils/errors');
+const { matchesExtension } = require('../utils/fileSignatures');
+const { getScanner } = require('../utils/malwareScan');
+
+const uploadError = (file, message) => new ApiError(400, message, {
+  code: 'UPLOAD_ERROR',
+  fields: [{ field: file.fieldname, in: 'body', message }]
+});
+
+// Runs after multer (memory storage): every uploaded file must contain what
+// its extension says and pass the malware scan. The fileFilter only saw the name.
+const verifyUploads = async (req, res, next) => {
+  const files = [].concat(req.file || [], req.files || []);
+
+  try {
+    for (const file of files) {
+      const ext = path.extname(file.originalname).toLowerCase();
+      if (!matchesExtension(file.buffer, ext)) {
+        throw uploadError(file, `${file.originalname} is not a valid ${ext.slice(1).toUpperCase()} file`);
+      }
+
+      let result;
+      try {
+        result = await getScanner().scan(file.buffer, { fileName: file.originalname });
+      } catch (error) {
+        // Unscanned files are never accepted
+        console.error('Malware scan error:', { file: file.originalname, error: error.message });
+        throw new ApiError(503, 'Uploads can\'t be checked right now, please try again later', { code: 'SCAN_UNAVAILABLE' });
+      }
+      if (!result.clean) {
+        console.warn('⚠️  Upload rejected by malware scan:', { userId: req.user?.userId, file: file.originalname, threat: result.threat });
+        throw uploadError(file, `${file.originalname} was rejected by the malware scan`);
+      }
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  verifyUploads
+};
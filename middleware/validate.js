@@ -0,0 +1,33 @@
+const { sendError } = require('../utils/errors');
+
+// Validates req.body / req.params / req.query against zod schemas and replaces
+// them with the parsed values, so unknown keys are stripped and coercions applied.
+//
+//   router.put('/:id', validate({ params: idParams, body: updateJobBody }), handler)
+const validate = (schemas) => (req, res, next) => {
+  const fields = [];
+
+  for (const location of ['params', 'query', 'body']) {
+    if (!schemas[location]) continue;
+
+    const result = schemas[location].safeParse(req[location] ?? {});
+    if (result.success) {
+      req[location] = result.data;
+    } else {
+      for (const issue of result.error.issues) {
+        fields.push({
+          field: issue.path.join('.') || location,
+          in: location,
+          message: issue.message
+        });
+      }
+    }
+  }
+
+  if (fields.length) {
+    return sendError(res, 400, 'Invalid request', { code: 'VALIDATION_ERROR', fields });
+  }
+  next();
+};
+
+module.exports = { validate };
@@ -2,20 +2,42 @@ const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
 const { authMiddleware, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendError, sendValidationError } = require('../utils/errors');
+const { softDeleteJob, restoreJob, softDeleteUser, restoreUser } = require('../utils/softDelete');
+const { createInvite } = require('../utils/invites');
+const { sendMail } = require('../utils/mailer');
+const { adminInviteEmail } = require('../utils/emails');
+const { invalidateTaxonomy, seedSkills, mergeSkills } = require('../utils/skills');
+const {
+  idParams,
+  deletedQuery,
+  roleBody,
+  inviteBody,
+  skillsQuery,
+  updateSkillBody,
+  mergeSkillsBody
+} = require('../schemas/admin');
 
 const prisma = new PrismaClient();
 
+// List routes show live records by default and soft-deleted ones with ?deleted=true
+const deletedFilter = (req) => (
+  req.query.deleted === 'true' ? { deletedAt: { not: null } } : { deletedAt: null }
+);
+
 // GET /admin/stats - Get dashboard stats
-router.get('/stats', authMiddleware, requireRole('ADMIN'), async (req, res) => {
+router.get('/stats', authMiddleware, requireRole('ADMIN'), async (req, res, next) => {
   try {
     const [userCount, jobCount, applicationCount] = await Promise.all([
-      prisma.user.count(),
-      prisma.job.count(),
-      prisma.application.count()
+      prisma.user.count({ where: { deletedAt: null } }),
+      prisma.job.count({ where: { deletedAt: null } }),
+      prisma.application.count({ where: { deletedAt: null } })
     ]);
 
     const usersByRole = await prisma.user.groupBy({
       by: ['role'],
+      where: { deletedAt: null },
       _count: { role: true }
     });
 
@@ -28,25 +50,26 @@ router.get('/stats', authMiddleware, requireRole('ADMIN'), async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Get stats error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
-// GET /admin/users - Get all users
-router.get('/users', authMiddleware, requireRole('ADMIN'), async (req, res) => {
+// GET /admin/users - Get all users (?deleted=true for soft-deleted ones)
+router.get('/users', authMiddleware, requireRole('ADMIN'), validate({ query: deletedQuery }), async (req, res, next) => {
   try {
     const users = await prisma.user.findMany({
+      where: deletedFilter(req),
       select: {
         id: true,
         name: true,
         email: true,
         role: true,
         createdAt: true,
+        deletedAt: true,
         _count: {
           select: {
-            jobs: true,
-            applications: true
+            jobs: { where: { deletedAt: null } },
+            applications: { where: { deletedAt: null } }
           }
         }
       },
@@ -55,25 +78,25 @@ router.get('/users', authMiddleware, requireRole('ADMIN'), async (req, res) => {
 
     res.json({ users });
   } catch (error) {
-    console.error('Get users error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // PATCH /admin/users/:id/role - Update user role
-router.patch('/users/:id/role', authMiddleware, requireRole('ADMIN'), async (req, res) => {
+router.patch('/users/:id/role', authMiddleware, requireRole('ADMIN'), validate({ params: idParams, body: roleBody }), async (req, res, next) => {
   try {
     const { role } = req.body;
 
-    // Validate role
-    const validRoles = ['JOB_SEEKER', 'RECRUITER', 'ADMIN'];
-    if (!validRoles.includes(role)) {
-      return res.status(400).json({ message: 'Invalid role' });
+    const existing = await prisma.user.findFirst({ where: { id: req.params.id, deletedAt: null } });
+    if (!existing) {
+      return sendError(res, 404, 'User not found');
     }
 
+    // Bumping tokenVersion voids access tokens carrying the old role;
+    // clients pick up the new one on their next /auth/refresh
     const user = await prisma.user.update({
       where: { id: req.params.id },
-      data: { role },
+      data: { role, tokenVersion: { increment: 1 } },
       select: { id: true, name: true, email: true, role: true }
     });
 
@@ -81,77 +104,113 @@ router.patch('/users/:id/role', authMiddleware, requireRole('ADMIN'), async (req
 
     res.json({ message: 'Role updated', user });
   } catch (error) {
-    console.error('Update role error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
-// DELETE /admin/users/:id - Delete user
-router.delete('/users/:id', authMiddleware, requireRole('ADMIN'), async (req, res) => {
+// DELETE /admin/users/:id - Delete user (soft: restorable until purged)
+router.delete('/users/:id', authMiddleware, requireRole('ADMIN'), validate({ params: idParams }), async (req, res, next) => {
   try {
-    // Delete related data first
-    await prisma.application.deleteMany({ where: { userId: req.params.id } });
-    await prisma.savedJob.deleteMany({ where: { userId: req.params.id } });
-    
-    // Delete jobs posted by user (if recruiter)
-    const userJobs = await prisma.job.findMany({ where: { recruiterId: req.params.id } });
-    for (const job of userJobs) {
-      await prisma.application.deleteMany({ where: { jobId: job.id } });
-      await prisma.savedJob.deleteMany({ where: { jobId: job.id } });
+    const user = await prisma.user.findFirst({ where: { id: req.params.id, deletedAt: null } });
+    if (!user) {
+      return sendError(res, 404, 'User not found');
     }
-    await prisma.job.deleteMany({ where: { recruiterId: req.params.id } });
 
-    // Delete user
-    await prisma.user.delete({ where: { id: req.params.id } });
+    // Also soft-deletes the user's applications, jobs and their applicants
+    await softDeleteUser(prisma, req.params.id);
 
     console.log('✅ User deleted:', { id: req.params.id });
 
     res.json({ message: 'User deleted' });
   } catch (error) {
-    console.error('Delete user error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
+  }
+});
+
+// POST /admin/users/:id/restore - Restore a deleted user
+router.post('/users/:id/restore', authMiddleware, requireRole('ADMIN'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const user = await prisma.user.findFirst({ where: { id: req.params.id, deletedAt: { not: null } } });
+    if (!user) {
+      return sendError(res, 404, 'Deleted user not found');
+    }
+
+    await restoreUser(prisma, user);
+
+    console.log('✅ User restored:', { id: user.id });
+
+    res.json({ message: 'User restored' });
+  } catch (error) {
+    next(error);
   }
 });
 
-// GET /admin/jobs - Get all jobs
-router.get('/jobs', authMiddleware, requireRole('ADMIN'), async (req, res) => {
+// GET /admin/jobs - Get all jobs (?deleted=true for soft-deleted ones)
+router.get('/jobs', authMiddleware, requireRole('ADMIN'), validate({ query: deletedQuery }), async (req, res, next) => {
   try {
     const jobs = await prisma.job.findMany({
+      where: deletedFilter(req),
       include: {
         recruiter: { select: { id: true, name: true, email: true } },
-        _count: { select: { applications: true } }
+        _count: { select: { applications: { where: { deletedAt: null } } } }
       },
       orderBy: { createdAt: 'desc' }
     });
 
     res.json({ jobs });
   } catch (error) {
-    console.error('Get jobs error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
-// DELETE /admin/jobs/:id - Delete any job
-router.delete('/jobs/:id', authMiddleware, requireRole('ADMIN'), async (req, res) => {
+// DELETE /admin/jobs/:id - Delete any job (soft: restorable until purged)
+router.delete('/jobs/:id', authMiddleware, requireRole('ADMIN'), validate({ params: idParams }), async (req, res, next) => {
   try {
-    // Delete related data first
-    await prisma.application.deleteMany({ where: { jobId: req.params.id } });
-    await prisma.savedJob.deleteMany({ where: { jobId: req.params.id } });
-    await prisma.job.delete({ where: { id: req.params.id } });
+    const job = await prisma.job.findFirst({ where: { id: req.params.id, deletedAt: null } });
+    if (!job) {
+      return sendError(res, 404, 'Job not found');
+    }
+
+    await softDeleteJob(prisma, req.params.id);
 
     console.log('✅ Job deleted by admin:', { id: req.params.id });
 
     res.json({ message: 'Job deleted' });
   } catch (error) {
-    console.error('Delete job error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
-// GET /admin/applications - Get all applications
-router.get('/applications', authMiddleware, requireRole('ADMIN'), async (req, res) => {
+// POST /admin/jobs/:id/restore - Restore a deleted job
+router.post('/jobs/:id/restore', authMiddleware, requireRole('ADMIN'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const job = await prisma.job.findFirst({
+      where: { id: req.params.id, deletedAt: { not: null } },
+      include: { recruiter: { select: { deletedAt: true } } }
+    });
+    if (!job) {
+      return sendError(res, 404, 'Deleted job not found');
+    }
+
+    if (job.recruiter.deletedAt) {
+      return sendError(res, 400, 'Restore the recruiter first');
+    }
+
+    await restoreJob(prisma, job);
+
+    console.log('✅ Job restored:', { id: job.id });
+
+    res.json({ message: 'Job restored' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /admin/applications - Get all applications (?deleted=true for soft-deleted ones)
+router.get('/applications', authMiddleware, requireRole('ADMIN'), validate({ query: deletedQuery }), async (req, res, next) => {
   try {
     const applications = await prisma.application.findMany({
+      where: deletedFilter(req),
       include: {
         user: { select: { id: true, name: true, email: true } },
         job: { select: { id: true, title: true, company: true } }
@@ -161,8 +220,198 @@ router.get('/applications', authMiddleware, requireRole('ADMIN'), async (req, re
 
     res.json({ applications });
   } catch (error) {
-    console.error('Get applications error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
+  }
+});
+
+// POST /admin/applications/:id/restore - Restore a deleted or withdrawn application
+router.post('/applications/:id/restore', authMiddleware, requireRole('ADMIN'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const application = await prisma.application.findFirst({
+      where: { id: req.params.id, deletedAt: { not: null } },
+      include: {
+        user: { select: { deletedAt: true } },
+        job: { select: { deletedAt: true } }
+      }
+    });
+    if (!application) {
+      return sendError(res, 404, 'Deleted application not found');
+    }
+
+    if (application.user.deletedAt || application.job.deletedAt) {
+      return sendError(res, 400, 'Restore the applicant and the job first');
+    }
+
+    await prisma.application.update({
+      where: { id: application.id },
+      data: { deletedAt: null }
+    });
+
+    console.log('✅ Application restored:', { id: application.id });
+
+    res.json({ message: 'Application restored' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /admin/invites - Invite someone to become an admin
+router.post('/invites', authMiddleware, requireRole('ADMIN'), validate({ body: inviteBody }), async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const existingUser = await prisma.user.findUnique({ where: { email } });
+    if (existingUser) {
+      return sendError(res, 409, 'A user with this email already exists. Change their role instead.');
+    }
+
+    const inviter = await prisma.user.findUnique({ where: { id: req.user.userId } });
+    const { invite, token } = await createInvite(prisma, { email, invitedById: inviter.id });
+    await sendMail({ to: email, ...adminInviteEmail(inviter, token) });
+
+    console.log('✅ Admin invite sent:', { id: invite.id, email, invitedBy: inviter.id });
+
+    const { tokenHash, ...inviteData } = invite;
+    res.status(201).json({ message: 'Invite sent', invite: inviteData });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /admin/invites - Get pending invites
+router.get('/invites', authMiddleware, requireRole('ADMIN'), async (req, res, next) => {
+  try {
+    const invites = await prisma.invite.findMany({
+      where: { acceptedAt: null, expiresAt: { gt: new Date() } },
+      select: {
+        id: true,
+        email: true,
+        role: true,
+        expiresAt: true,
+        createdAt: true,
+        invitedBy: { select: { id: true, name: true, email: true } }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({ invites });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /admin/invites/:id - Revoke a pending invite
+router.delete('/invites/:id', authMiddleware, requireRole('ADMIN'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const { count } = await prisma.invite.deleteMany({
+      where: { id: req.params.id, acceptedAt: null }
+    });
+
+    if (!count) {
+      return sendError(res, 404, 'Invite not found');
+    }
+
+    console.log('✅ Invite revoked:', { id: req.params.id });
+
+    res.json({ message: 'Invite revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /admin/skills - Get the skills taxonomy with usage counts
+// Query: q (name contains), uncategorized=true
+router.get('/skills', authMiddleware, requireRole('ADMIN'), validate({ query: skillsQuery }), async (req, res, next) => {
+  try {
+    const where = {};
+    if (req.query.q) where.name = { contains: req.query.q, mode: 'insensitive' };
+    if (req.query.uncategorized === 'true') where.category = null;
+
+    const skills = await prisma.skill.findMany({
+      where,
+      select: {
+        id: true,
+        name: true,
+        category: true,
+        ambiguous: true,
+        createdAt: true,
+        aliases: { select: { key: true }, orderBy: { key: 'asc' } },
+        _count: { select: { profileLinks: true, jobLinks: true } }
+      },
+      orderBy: [{ category: 'asc' }, { name: 'asc' }]
+    });
+
+    res.json({
+      skills: skills.map(({ aliases, ...skill }) => ({ ...skill, aliases: aliases.map((alias) => alias.key) }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /admin/skills/:id - Set a skill's category (which approves a skill users
+// added), or mark it ambiguous (only its aliases are then looked for in job and
+// experience text)
+router.patch('/skills/:id', authMiddleware, requireRole('ADMIN'), validate({ params: idParams, body: updateSkillBody }), async (req, res, next) => {
+  try {
+    const { category, ambiguous } = req.body;
+
+    const { count } = await prisma.skill.updateMany({
+      where: { id: req.params.id },
+      data: { category: category === undefined ? undefined : category || null, ambiguous }
+    });
+
+    if (!count) {
+      return sendError(res, 404, 'Skill not found');
+    }
+
+    invalidateTaxonomy();
+    const skill = await prisma.skill.findUnique({ where: { id: req.params.id } });
+
+    console.log('✅ Skill updated:', { id: skill.id, category: skill.category, ambiguous: skill.ambiguous });
+
+    res.json({ message: 'Skill updated', skill });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /admin/skills/merge - Merge duplicate skills into one
+// Body: targetId (the skill to keep), sourceIds (skills folded into it)
+router.post('/skills/merge', authMiddleware, requireRole('ADMIN'), validate({ body: mergeSkillsBody }), async (req, res, next) => {
+  try {
+    const { targetId, sourceIds } = req.body;
+
+    if (sourceIds.includes(targetId)) {
+      return sendValidationError(res, 'A skill cannot be merged into itself', 'sourceIds', 'body');
+    }
+
+    const skill = await mergeSkills(prisma, targetId, sourceIds);
+    if (!skill) {
+      return sendError(res, 404, 'Skill not found');
+    }
+
+    console.log('✅ Skills merged:', { targetId, sourceIds });
+
+    res.json({
+      message: 'Skills merged',
+      skill: { ...skill, aliases: skill.aliases.map((alias) => alias.key) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /admin/skills/seed - Add the bundled taxonomy (prisma/skills.json)
+router.post('/skills/seed', authMiddleware, requireRole('ADMIN'), async (req, res, next) => {
+  try {
+    const result = await seedSkills(prisma);
+
+    console.log('✅ Skills seeded:', { created: result.created, updated: result.updated });
+
+    res.json({ message: 'Skills seeded', ...result });
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -1,22 +1,84 @@
 const express = require('express');
 const router = express.Router();
-const { PrismaClient } = require('@prisma/client');
+const multer = require('multer');
+const path = require('path');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const { authMiddleware, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { writeLimiter, uploadLimiter } = require('../middleware/rateLimit');
+const { verifyUploads } = require('../middleware/uploads');
+const { ApiError, sendError, sendValidationError } = require('../utils/errors');
+const { isAcceptingApplications } = require('../utils/jobStatus');
+const { getStages, stageForStatus, canMoveTo, moveApplication } = require('../utils/pipeline');
+const { notifyApplicationSubmitted, notifyApplicationStatusChanged } = require('../utils/notifications');
+const { authorizeJob, findApplicationFor } = require('../utils/jobAccess');
+const { parseAnswers } = require('../utils/screening');
+const {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENTS,
+  FILE_SELECT,
+  withUrl,
+  snapshotResume,
+  storeAttachments,
+  snapshotProfile,
+  removeFiles
+} = require('../utils/applicationFiles');
+const { sendStoredFile } = require('../utils/storage');
+const {
+  idParams,
+  jobIdParams,
+  noteParams,
+  fileParams,
+  applyBody,
+  moveApplicationBody,
+  noteBody,
+  ratingBody
+} = require('../schemas/applications');
 
 const prisma = new PrismaClient();
 
+const fileFilter = (req, file, cb) => {
+  if (ATTACHMENT_TYPES.includes(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    const message = `Attachments must be one of: ${ATTACHMENT_TYPES.join(', ')}`;
+    cb(new ApiError(400, message, {
+      code: 'UPLOAD_ERROR',
+      fields: [{ field: file.fieldname, in: 'body', message }]
+    }), false);
+  }
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: { fileSize: 5 * 1024 * 1024, files: MAX_ATTACHMENTS } // 5MB per file
+});
+
+// Applicants aren't told that screening knocked them out
+const forApplicant = ({ knockedOut, ...application }) => application;
+
 // POST /applications/job/:jobId - Apply for job (Job Seeker)
-router.post('/job/:jobId', authMiddleware, requireRole('JOB_SEEKER'), async (req, res) => {
+// Body: coverLetter, answers ([{ questionId, value }] for the job's screening questions),
+// includeProfile (share a snapshot of the profile). The profile's resume is always copied.
+router.post('/job/:jobId', authMiddleware, requireRole('JOB_SEEKER'), writeLimiter, validate({ params: jobIdParams, body: applyBody }), async (req, res, next) => {
   try {
-    const { coverLetter } = req.body;
+    const { coverLetter, includeProfile } = req.body;
     const jobId = req.params.jobId;
 
     console.log('📥 Application request:', { jobId, userId: req.user.userId });
 
     // Check if job exists
-    const job = await prisma.job.findUnique({ where: { id: jobId } });
-    if (!job) {
-      return res.status(404).json({ message: 'Job not found' });
+    const job = await prisma.job.findFirst({
+      where: { id: jobId, deletedAt: null },
+      include: { questions: { orderBy: { position: 'asc' } } }
+    });
+    if (!job || job.status === 'DRAFT') {
+      return sendError(res, 404, 'Job not found');
+    }
+
+    if (!isAcceptingApplications(job)) {
+      return sendError(res, 400, 'This job is no longer accepting applications');
     }
 
     // Check if already applied
@@ -29,141 +91,485 @@ router.post('/job/:jobId', authMiddleware, requireRole('JOB_SEEKER'), async (req
       }
     });
 
-    if (existing) {
-      return res.status(400).json({ message: 'Already applied to this job' });
+    if (existing && !existing.deletedAt) {
+      return sendError(res, 409, 'Already applied to this job');
     }
 
-    const application = await prisma.application.create({
-      data: {
-        coverLetter,
-        userId: req.user.userId,
-        jobId: jobId
-      }
+    const { answers, knockedOut, error, field } = parseAnswers(job.questions, req.body.answers);
+    if (error) {
+      return sendValidationError(res, error, field);
+    }
+
+    // A re-application starts over with the files of the moment
+    const staleFiles = existing
+      ? await prisma.applicationFile.findMany({ where: { applicationId: existing.id }, select: { path: true } })
+      : [];
+    const profileSnapshot = includeProfile ? await snapshotProfile(prisma, req.user.userId) : null;
+
+    // New applications enter the job's first stage; the entry starts their history
+    const stages = await getStages(prisma, jobId);
+    const [firstStage] = stages;
+    const entry = {
+      fromStatus: existing?.status ?? null,
+      toStageId: firstStage.id,
+      toStageName: firstStage.name,
+      toStatus: 'PENDING',
+      actorId: req.user.userId
+    };
+
+    // Re-applying after a withdrawal reuses the withdrawn (soft-deleted) row
+    const application = existing
+      ? await prisma.application.update({
+        where: { id: existing.id },
+        data: {
+          coverLetter,
+          status: 'PENDING',
+          stageId: firstStage.id,
+          knockedOut: knockedOut.length > 0,
+          profileSnapshot: profileSnapshot ?? Prisma.DbNull,
+          createdAt: new Date(),
+          deletedAt: null,
+          events: { create: entry },
+          answers: { deleteMany: {}, create: answers },
+          files: { deleteMany: {} }
+        }
+      })
+      : await prisma.application.create({
+        data: {
+          coverLetter,
+          userId: req.user.userId,
+          jobId: jobId,
+          stageId: firstStage.id,
+          knockedOut: knockedOut.length > 0,
+          profileSnapshot: profileSnapshot ?? Prisma.DbNull,
+          events: { create: entry },
+          answers: { create: answers }
+        }
+      });
+    await removeFiles(staleFiles);
+
+    // The resume as it is now, so replacing it on the profile later doesn't
+    // change what was submitted
+    const profile = await prisma.profile.findUnique({
+      where: { userId: req.user.userId },
+      select: { resume: true, resumeName: true }
     });
+    const resume = await snapshotResume(profile, application.id);
+    const files = resume
+      ? [await prisma.applicationFile.create({ data: { ...resume, applicationId: application.id }, select: FILE_SELECT })]
+      : [];
+    application.files = files.map((file) => withUrl(application.id, file));
+
+    const applicant = await prisma.user.findUnique({ where: { id: req.user.userId }, select: { name: true } });
+    await notifyApplicationSubmitted(prisma, { application, job, applicant });
 
-    console.log('✅ Application submitted:', { id: application.id });
+    // Knocked out applicants go straight to the rejected stage; nobody is
+    // named as the actor, and the note tells the team which answers did it
+    if (knockedOut.length) {
+      const rejected = stageForStatus('REJECTED', stages);
+      const note = `Rejected by screening: ${knockedOut.map((question) => question.prompt).join('; ')}`;
+      const moved = await moveApplication(prisma, application, rejected, stages, { actorId: null, note });
+      console.log('✅ Application submitted and knocked out:', { id: application.id });
+      return res.status(201).json({
+        message: 'Application submitted',
+        application: forApplicant({ ...moved, files: application.files })
+      });
+    }
 
-    res.status(201).json({ message: 'Application submitted', application });
+    console.log('✅ Application submitted:', { id: application.id, resume: !!resume });
+
+    res.status(201).json({ message: 'Application submitted', application: forApplicant(application) });
   } catch (error) {
-    console.error('Apply error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // GET /applications/my-applications - Get my applications (Job Seeker)
-router.get('/my-applications', authMiddleware, requireRole('JOB_SEEKER'), async (req, res) => {
+router.get('/my-applications', authMiddleware, requireRole('JOB_SEEKER'), async (req, res, next) => {
   try {
     const applications = await prisma.application.findMany({
-      where: { userId: req.user.userId },
+      where: { userId: req.user.userId, deletedAt: null, job: { deletedAt: null } },
       include: {
         job: {
           include: {
             recruiter: { select: { name: true, email: true } }
           }
-        }
+        },
+        stage: { select: { id: true, name: true, kind: true } }
       },
       orderBy: { createdAt: 'desc' }
     });
 
-    res.json({ applications });
+    res.json({ applications: applications.map(forApplicant) });
   } catch (error) {
-    console.error('Get applications error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
-// GET /applications/:id - Get single application
-router.get('/:id', authMiddleware, async (req, res) => {
+// GET /applications/:id - Get single application, with its stage timeline and files
+router.get('/:id', authMiddleware, validate({ params: idParams }), async (req, res, next) => {
   try {
-    const application = await prisma.application.findUnique({
-      where: { id: req.params.id },
+    const application = await prisma.application.findFirst({
+      where: { id: req.params.id, deletedAt: null },
       include: {
         job: true,
-        user: { select: { id: true, name: true, email: true } }
+        user: { select: { id: true, name: true, email: true } },
+        stage: { select: { id: true, name: true, kind: true } },
+        events: {
+          include: { actor: { select: { id: true, name: true } } },
+          orderBy: { createdAt: 'asc' }
+        },
+        answers: { select: { questionId: true, prompt: true, type: true, value: true, knockedOut: true } },
+        files: { select: FILE_SELECT, orderBy: { createdAt: 'asc' } }
       }
     });
 
     if (!application) {
-      return res.status(404).json({ message: 'Application not found' });
+      return sendError(res, 404, 'Application not found');
     }
+    application.files = application.files.map((file) => withUrl(application.id, file));
 
     // Check authorization
     if (req.user.role === 'JOB_SEEKER' && application.userId !== req.user.userId) {
-      return res.status(403).json({ message: 'Not authorized' });
+      return sendError(res, 403, 'Not authorized');
     }
 
-    if (req.user.role === 'RECRUITER' && application.job.recruiterId !== req.user.userId) {
-      return res.status(403).json({ message: 'Not authorized' });
+    if (req.user.role === 'RECRUITER') {
+      const { status, error } = await authorizeJob(prisma, application.job, req.user, 'VIEWER');
+      if (error) {
+        return sendError(res, status, error);
+      }
+    }
+
+    // Applicants see when they moved and where to, not who moved them or why,
+    // and their answers without which ones knocked them out
+    if (req.user.role === 'JOB_SEEKER') {
+      application.events = application.events.map(({ note, actorId, actor, ...event }) => event);
+      application.answers = application.answers.map(({ knockedOut, ...answer }) => answer);
+      return res.json({ application: forApplicant(application) });
     }
 
     res.json({ application });
   } catch (error) {
-    console.error('Get application error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
-// PATCH /applications/:id/status - Update application status (Recruiter)
-router.patch('/:id/status', authMiddleware, requireRole('RECRUITER'), async (req, res) => {
+// PATCH /applications/:id/status - Move application to a stage (Recruiter with REVIEWER permission)
+// Body: { stageId, note? } or, for older clients, { status, note? }
+router.patch('/:id/status', authMiddleware, requireRole('RECRUITER'), validate({ params: idParams, body: moveApplicationBody }), async (req, res, next) => {
   try {
-    const { status } = req.body;
+    const { stageId, status, note } = req.body;
 
-    // Validate status
-    const validStatuses = ['PENDING', 'REVIEWED', 'ACCEPTED', 'REJECTED'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ message: 'Invalid status' });
+    const { application, status: accessStatus, error: accessError } = await findApplicationFor(prisma, req.params.id, req.user, 'REVIEWER');
+    if (accessError) {
+      return sendError(res, accessStatus, accessError);
     }
 
-    const application = await prisma.application.findUnique({
-      where: { id: req.params.id },
-      include: { job: true }
-    });
-
-    if (!application) {
-      return res.status(404).json({ message: 'Application not found' });
+    const stages = await getStages(prisma, application.jobId);
+    const toStage = stageId
+      ? stages.find((stage) => stage.id === stageId)
+      : stageForStatus(status, stages);
+    if (!toStage) {
+      return sendValidationError(res, 'Invalid stage for this job', 'stageId');
     }
 
-    if (application.job.recruiterId !== req.user.userId) {
-      return res.status(403).json({ message: 'Not authorized' });
+    const fromStage = stages.find((stage) => stage.id === application.stageId);
+    if (!canMoveTo(fromStage, toStage, stages)) {
+      return sendError(res, 400, `Cannot move application from ${fromStage.name} to ${toStage.name}`);
     }
 
-    const updated = await prisma.application.update({
-      where: { id: req.params.id },
-      data: { status }
+    const updated = await moveApplication(prisma, application, toStage, stages, {
+      actorId: req.user.userId,
+      note: note || null
     });
 
-    console.log('✅ Application status updated:', { id: updated.id, status: updated.status });
+    await notifyApplicationStatusChanged(prisma, { application: updated, job: application.job, stage: toStage });
+
+    console.log('✅ Application status updated:', { id: updated.id, stage: toStage.name, status: updated.status });
 
     res.json({ message: 'Status updated', application: updated });
   } catch (error) {
-    console.error('Update status error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // DELETE /applications/:id - Withdraw application (Job Seeker)
-router.delete('/:id', authMiddleware, requireRole('JOB_SEEKER'), async (req, res) => {
+router.delete('/:id', authMiddleware, requireRole('JOB_SEEKER'), validate({ params: idParams }), async (req, res, next) => {
   try {
-    const application = await prisma.application.findUnique({
-      where: { id: req.params.id }
+    const application = await prisma.application.findFirst({
+      where: { id: req.params.id, deletedAt: null }
     });
 
     if (!application) {
-      return res.status(404).json({ message: 'Application not found' });
+      return sendError(res, 404, 'Application not found');
     }
 
     if (application.userId !== req.user.userId) {
-      return res.status(403).json({ message: 'Not authorized' });
+      return sendError(res, 403, 'Not authorized');
     }
 
-    await prisma.application.delete({ where: { id: req.params.id } });
+    await prisma.application.update({
+      where: { id: req.params.id },
+      data: { deletedAt: new Date() }
+    });
 
     console.log('✅ Application withdrawn:', { id: req.params.id });
 
     res.json({ message: 'Application withdrawn' });
   } catch (error) {
-    console.error('Delete application error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
+  }
+});
+
+// ==================== FILES ====================
+// The submitted resume and the applicant's attachments, downloaded through
+// here rather than the public uploads folder
+
+/**
+ * Loads a live application the user may see files of: the applicant, or a
+ * recruiter with at least VIEWER on the job.
+ * Returns { application } or { status, error }.
+ */
+async function findForFiles(applicationId, user) {
+  if (user.role === 'RECRUITER') {
+    return findApplicationFor(prisma, applicationId, user, 'VIEWER');
+  }
+  const application = await prisma.application.findFirst({ where: { id: applicationId, deletedAt: null } });
+  if (!application) {
+    return { status: 404, error: 'Application not found' };
+  }
+  if (application.userId !== user.userId) {
+    return { status: 403, error: 'Not authorized' };
+  }
+  return { application };
+}
+
+// POST /applications/:id/attachments - Add attachments, e.g. a portfolio or certificates (Job Seeker)
+// Multipart: files (up to 5 per application)
+router.post('/:id/attachments', authMiddleware, requireRole('JOB_SEEKER'), uploadLimiter, validate({ params: idParams }), upload.array('files', MAX_ATTACHMENTS), verifyUploads, async (req, res, next) => {
+  const files = req.files || [];
+  try {
+    const { application, status, error } = await findForFiles(req.params.id, req.user);
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    if (!files.length) {
+      return sendError(res, 400, 'No file uploaded');
+    }
+
+    const attached = await prisma.applicationFile.count({ where: { applicationId: application.id, kind: 'ATTACHMENT' } });
+    if (attached + files.length > MAX_ATTACHMENTS) {
+      return sendError(res, 400, `Applications can have at most ${MAX_ATTACHMENTS} attachments (${attached} already added)`);
+    }
+
+    const stored = await storeAttachments(application.id, files);
+    const created = await prisma.$transaction(stored.map((file) => prisma.applicationFile.create({
+      data: { ...file, applicationId: application.id },
+      select: FILE_SELECT
+    }))).catch(async (createError) => {
+      await removeFiles(stored);
+      throw createError;
+    });
+
+    console.log('✅ Application attachments added:', { applicationId: application.id, count: created.length });
+
+    res.status(201).json({
+      message: 'Attachments added',
+      files: created.map((file) => withUrl(application.id, file))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /applications/:id/attachments/:fileId - Remove an attachment (Job Seeker)
+// The submitted resume can't be removed
+router.delete('/:id/attachments/:fileId', authMiddleware, requireRole('JOB_SEEKER'), validate({ params: fileParams }), async (req, res, next) => {
+  try {
+    const { application, status, error } = await findForFiles(req.params.id, req.user);
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const file = await prisma.applicationFile.findFirst({
+      where: { id: req.params.fileId, applicationId: application.id, kind: 'ATTACHMENT' }
+    });
+    if (!file) {
+      return sendError(res, 404, 'Attachment not found');
+    }
+
+    await prisma.applicationFile.delete({ where: { id: file.id } });
+    await removeFiles([file]);
+
+    console.log('✅ Application attachment removed:', { applicationId: application.id, fileId: file.id });
+
+    res.json({ message: 'Attachment removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /applications/:id/files/:fileId - Download the submitted resume or an attachment
+// (the applicant, or a recruiter with access to the job)
+router.get('/:id/files/:fileId', authMiddleware, validate({ params: fileParams }), async (req, res, next) => {
+  try {
+    const { application, status, error } = await findForFiles(req.params.id, req.user);
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const file = await prisma.applicationFile.findFirst({
+      where: { id: req.params.fileId, applicationId: application.id }
+    });
+    if (!file) {
+      return sendError(res, 404, 'File not found');
+    }
+
+    const sent = await sendStoredFile(res, file.path, { fileName: file.fileName });
+    if (!sent) {
+      return sendError(res, 404, 'File not found');
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==================== NOTES AND RATINGS ====================
+// Internal to the hiring team: recruiter-only routes, never part of what the applicant sees
+
+const NOTE_SELECT = {
+  id: true,
+  body: true,
+  createdAt: true,
+  updatedAt: true,
+  author: { select: { id: true, name: true } }
+};
+
+// GET /applications/:id/notes - Get the team's notes and ratings (Recruiter with access)
+router.get('/:id/notes', authMiddleware, requireRole('RECRUITER'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const { application, status, error } = await findApplicationFor(prisma, req.params.id, req.user, 'VIEWER');
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const [notes, ratings] = await Promise.all([
+      prisma.applicationNote.findMany({
+        where: { applicationId: application.id },
+        select: NOTE_SELECT,
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.applicationRating.findMany({
+        where: { applicationId: application.id },
+        select: { score: true, updatedAt: true, user: { select: { id: true, name: true } } },
+        orderBy: { updatedAt: 'desc' }
+      })
+    ]);
+
+    const averageRating = ratings.length
+      ? Math.round((ratings.reduce((sum, rating) => sum + rating.score, 0) / ratings.length) * 10) / 10
+      : null;
+
+    res.json({ notes, ratings, averageRating });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /applications/:id/notes - Add an internal note (Recruiter with REVIEWER permission)
+router.post('/:id/notes', authMiddleware, requireRole('RECRUITER'), writeLimiter, validate({ params: idParams, body: noteBody }), async (req, res, next) => {
+  try {
+    const { application, status, error } = await findApplicationFor(prisma, req.params.id, req.user, 'REVIEWER');
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const note = await prisma.applicationNote.create({
+      data: { applicationId: application.id, authorId: req.user.userId, body: req.body.body },
+      select: NOTE_SELECT
+    });
+
+    console.log('✅ Application note added:', { id: note.id, applicationId: application.id });
+
+    res.status(201).json({ message: 'Note added', note });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /applications/:id/notes/:noteId - Delete a note (its author, or a recruiter with OWNER permission)
+router.delete('/:id/notes/:noteId', authMiddleware, requireRole('RECRUITER'), validate({ params: noteParams }), async (req, res, next) => {
+  try {
+    const { application, permission, status, error } = await findApplicationFor(prisma, req.params.id, req.user, 'REVIEWER');
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const note = await prisma.applicationNote.findFirst({
+      where: { id: req.params.noteId, applicationId: application.id }
+    });
+
+    if (!note) {
+      return sendError(res, 404, 'Note not found');
+    }
+
+    if (note.authorId !== req.user.userId && permission !== 'OWNER') {
+      return sendError(res, 403, 'Not authorized');
+    }
+
+    await prisma.applicationNote.delete({ where: { id: note.id } });
+
+    res.json({ message: 'Note deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /applications/:id/rating - Set my rating of the applicant, 1 to 5 (Recruiter with REVIEWER permission)
+router.put('/:id/rating', authMiddleware, requireRole('RECRUITER'), validate({ params: idParams, body: ratingBody }), async (req, res, next) => {
+  try {
+    const { application, status, error } = await findApplicationFor(prisma, req.params.id, req.user, 'REVIEWER');
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const key = { applicationId: application.id, userId: req.user.userId };
+    const rating = await prisma.applicationRating.upsert({
+      where: { applicationId_userId: key },
+      update: { score: req.body.score },
+      create: { ...key, score: req.body.score },
+      select: { score: true, updatedAt: true }
+    });
+
+    console.log('✅ Application rated:', { applicationId: application.id, userId: req.user.userId, score: rating.score });
+
+    res.json({ message: 'Rating saved', rating });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /applications/:id/rating - Remove my rating (Recruiter with REVIEWER permission)
+router.delete('/:id/rating', authMiddleware, requireRole('RECRUITER'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const { application, status, error } = await findApplicationFor(prisma, req.params.id, req.user, 'REVIEWER');
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const { count } = await prisma.applicationRating.deleteMany({
+      where: { applicationId: application.id, userId: req.user.userId }
+    });
+
+    if (!count) {
+      return sendError(res, 404, 'No rating found');
+    }
+
+    res.json({ message: 'Rating removed' });
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -1,27 +1,60 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const { authMiddleware } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { authLimiter } = require('../middleware/rateLimit');
+const { sendError } = require('../utils/errors');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessionsQueries
+} = require('../utils/tokens');
+const { createUserToken, consumeUserToken } = require('../utils/userTokens');
+const { sendMail } = require('../utils/mailer');
+const { verificationEmail, passwordResetEmail } = require('../utils/emails');
+const { findPendingInvite, acceptInvite } = require('../utils/invites');
+const { getLockout, recordFailedLogin, clearFailedLogins } = require('../utils/loginLockout');
+const {
+  registerBody,
+  acceptInviteBody,
+  loginBody,
+  tokenBody,
+  forgotPasswordBody,
+  resetPasswordBody,
+  refreshTokenBody
+} = require('../schemas/auth');
 
 const prisma = new PrismaClient();
 
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(prisma, user.id, 'EMAIL_VERIFICATION');
+  return sendMail({ to: user.email, ...verificationEmail(user, token) });
+};
+
+const clientMeta = (req) => ({ userAgent: req.headers['user-agent'], ip: req.ip });
+
+const sendLockedOut = (res, seconds) => {
+  res.set('Retry-After', String(seconds));
+  const wait = Math.ceil(seconds / 60);
+  return sendError(res, 429, `Too many failed login attempts. Try again in ${wait} minute${wait === 1 ? '' : 's'}.`, {
+    code: 'ACCOUNT_LOCKED'
+  });
+};
+
 // POST /auth/register
-router.post('/register', async (req, res) => {
+router.post('/register', authLimiter, validate({ body: registerBody }), async (req, res, next) => {
   try {
     const { name, email, password, role } = req.body;
 
     console.log('📥 Register request:', { name, email, role });
 
-    // Validation
-    if (!name || !email || !password || !role) {
-      return res.status(400).json({ message: 'All fields are required' });
-    }
-
     // Check if user exists
     const existingUser = await prisma.user.findUnique({ where: { email } });
     if (existingUser) {
-      return res.status(400).json({ message: 'User already exists' });
+      return sendError(res, 409, 'User already exists');
     }
 
     // Hash password
@@ -34,94 +67,247 @@ router.post('/register', async (req, res) => {
 
     console.log('✅ User registered:', { id: user.id, email: user.email, role: user.role });
 
+    await sendVerificationEmail(user);
+
+    res.status(201).json({
+      message: 'User registered successfully. Check your email to verify your address.',
+      user: { id: user.id, name: user.name, email: user.email, role: user.role, emailVerified: false }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /auth/accept-invite - Create an admin account from an invite
+router.post('/accept-invite', authLimiter, validate({ body: acceptInviteBody }), async (req, res, next) => {
+  try {
+    const { token, name, password } = req.body;
+
+    const invite = await findPendingInvite(prisma, token);
+    if (!invite) {
+      return sendError(res, 400, 'Invalid or expired invite');
+    }
+
+    const existingUser = await prisma.user.findUnique({ where: { email: invite.email } });
+    if (existingUser) {
+      return sendError(res, 409, 'An account with this email already exists. Ask an admin to change its role instead.');
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const user = await acceptInvite(prisma, invite, { name, password: hashedPassword });
+    if (!user) {
+      return sendError(res, 400, 'Invalid or expired invite');
+    }
+
+    console.log('✅ Invite accepted:', { id: user.id, email: user.email, role: user.role });
+
     res.status(201).json({
-      message: 'User registered successfully',
-      user: { id: user.id, name: user.name, email: user.email, role: user.role }
+      message: 'Account created',
+      user: { id: user.id, name: user.name, email: user.email, role: user.role, emailVerified: true }
     });
   } catch (error) {
-    console.error('Register error:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
+    next(error);
   }
 });
 
 // POST /auth/login
-router.post('/login', async (req, res) => {
+router.post('/login', authLimiter, validate({ body: loginBody }), async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
     console.log('📥 Login request:', { email });
 
-    // Validation
-    if (!email || !password) {
-      return res.status(400).json({ message: 'Email and password are required' });
+    // Locked accounts are turned away before the password is even checked
+    const lockedFor = await getLockout(email);
+    if (lockedFor) {
+      return sendLockedOut(res, lockedFor);
     }
 
     // Find user
     const user = await prisma.user.findUnique({ where: { email } });
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+    if (!user || user.deletedAt) {
+      await recordFailedLogin(email);
+      return sendError(res, 400, 'Invalid credentials');
     }
 
     // Check password
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+      await recordFailedLogin(email);
+      return sendError(res, 400, 'Invalid credentials');
     }
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    await clearFailedLogins(email);
+
+    // Generate access + refresh token
+    const tokens = await issueTokens(prisma, user, clientMeta(req));
 
     console.log('✅ User logged in:', { id: user.id, email: user.email, role: user.role });
 
     res.json({
       message: 'Login successful',
-      token,
-      user: { id: user.id, name: user.name, email: user.email, role: user.role }
+      ...tokens,
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: !!user.emailVerifiedAt
+      }
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
+    next(error);
   }
 });
 
-// GET /auth/me - Get current user
-router.get('/me', async (req, res) => {
+// POST /auth/verify-email - Confirm an email address with the emailed token
+router.post('/verify-email', authLimiter, validate({ body: tokenBody }), async (req, res, next) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({ message: 'No token provided' });
+    const { token } = req.body;
+
+    const record = await consumeUserToken(prisma, token, 'EMAIL_VERIFICATION');
+    if (!record) {
+      return sendError(res, 400, 'Invalid or expired token');
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: { id: true, name: true, email: true, role: true, createdAt: true }
+    await prisma.user.update({
+      where: { id: record.userId },
+      data: { emailVerifiedAt: new Date() }
     });
 
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    console.log('✅ Email verified:', { userId: record.userId });
+
+    res.json({ message: 'Email verified' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /auth/resend-verification - Send a new verification email
+router.post('/resend-verification', authLimiter, authMiddleware, async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.userId } });
+
+    if (user.emailVerifiedAt) {
+      return sendError(res, 400, 'Email already verified');
     }
 
-    res.json({ user });
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /auth/forgot-password - Email a password reset link
+router.post('/forgot-password', authLimiter, validate({ body: forgotPasswordBody }), async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (user && !user.deletedAt) {
+      const token = await createUserToken(prisma, user.id, 'PASSWORD_RESET');
+      await sendMail({ to: user.email, ...passwordResetEmail(user, token) });
+      console.log('✅ Password reset requested:', { userId: user.id });
+    }
+
+    // Same answer either way, so this can't be used to probe for accounts
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /auth/reset-password - Set a new password with the emailed token
+router.post('/reset-password', authLimiter, validate({ body: resetPasswordBody }), async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const record = await consumeUserToken(prisma, token, 'PASSWORD_RESET');
+    if (!record) {
+      return sendError(res, 400, 'Invalid or expired token');
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Receiving the email proves the address, and old sessions are signed out
+    const [user] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: record.userId },
+        data: { password: hashedPassword, emailVerifiedAt: new Date() }
+      }),
+      ...revokeAllSessionsQueries(prisma, record.userId)
+    ]);
+
+    // A new password also lifts any login lockout
+    await clearFailedLogins(user.email);
+
+    console.log('✅ Password reset:', { userId: record.userId });
+
+    res.json({ message: 'Password has been reset. Please log in again.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh', validate({ body: refreshTokenBody }), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const { tokens, error } = await rotateRefreshToken(prisma, refreshToken, clientMeta(req));
+    if (error) {
+      return sendError(res, 401, error);
+    }
+
+    res.json({ message: 'Token refreshed', ...tokens });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /auth/logout - End the session the refresh token belongs to
+router.post('/logout', validate({ body: refreshTokenBody }), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    await revokeSession(prisma, refreshToken);
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /auth/logout-all - End every session of the current user
+router.post('/logout-all', authMiddleware, async (req, res, next) => {
+  try {
+    await prisma.$transaction(revokeAllSessionsQueries(prisma, req.user.userId));
+
+    console.log('✅ All sessions revoked:', { userId: req.user.userId });
+
+    res.json({ message: 'Logged out of all sessions' });
   } catch (error) {
-    res.status(401).json({ message: 'Invalid token' });
+    next(error);
   }
 });
 
-// GET /auth/users - Debug endpoint (remove in production)
-router.get('/users', async (req, res) => {
+// GET /auth/me - Get current user
+router.get('/me', authMiddleware, async (req, res, next) => {
   try {
-    const users = await prisma.user.findMany({
-      select: { id: true, name: true, email: true, role: true, createdAt: true },
-      orderBy: { createdAt: 'desc' }
+    const user = await prisma.user.findFirst({
+      where: { id: req.user.userId, deletedAt: null },
+      select: { id: true, name: true, email: true, role: true, emailVerifiedAt: true, createdAt: true }
     });
-    res.json({ count: users.length, users });
+
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+
+    res.json({ user });
   } catch (error) {
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const { authMiddleware, requireRole, requireVerifiedEmail } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendValidationError } = require('../utils/errors');
+const { parseCandidateSearchQuery, searchCandidates } = require('../utils/candidateSearch');
+const { searchCandidatesQuery } = require('../schemas/candidates');
+
+const prisma = new PrismaClient();
+
+// GET /candidates - Search job seekers (Recruiter with a verified email, Admin)
+// Query: q, skills, location, minYears, maxYears, sort, limit, cursor
+router.get('/', authMiddleware, requireRole('RECRUITER', 'ADMIN'), requireVerifiedEmail, validate({ query: searchCandidatesQuery }), async (req, res, next) => {
+  try {
+    const { options, error, field } = parseCandidateSearchQuery(req.query);
+    if (error) {
+      return sendValidationError(res, error, field, 'query');
+    }
+
+    const { candidates, nextCursor, total } = await searchCandidates(prisma, options, req.user);
+    res.json({ candidates, nextCursor, total });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
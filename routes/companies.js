@@ -0,0 +1,484 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const { authMiddleware, requireRole, requireVerifiedEmail } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { writeLimiter, uploadLimiter } = require('../middleware/rateLimit');
+const { verifyUploads } = require('../middleware/uploads');
+const { ApiError, sendError, sendValidationError } = require('../utils/errors');
+const { openJobWhere } = require('../utils/jobStatus');
+const { sendMail } = require('../utils/mailer');
+const { companyInviteEmail } = require('../utils/emails');
+const { storeUpload, publicUrl, publicKey, removeStoredFiles } = require('../utils/storage');
+const {
+  companyKey,
+  findMembership,
+  createCompanyInvite,
+  findPendingCompanyInvite,
+  acceptCompanyInvite
+} = require('../utils/companies');
+const {
+  idParams,
+  memberParams,
+  inviteParams,
+  companiesQuery,
+  createCompanyBody,
+  updateCompanyBody,
+  companyInviteBody,
+  memberRoleBody,
+  acceptCompanyInviteBody
+} = require('../schemas/companies');
+
+const prisma = new PrismaClient();
+
+const LOGO_TYPES = ['.jpg', '.jpeg', '.png', '.gif'];
+
+// Logos are kept in memory, then stored as public files (/files/logos/...)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (LOGO_TYPES.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      const message = 'Only JPG, PNG, GIF files are allowed for logo';
+      cb(new ApiError(400, message, {
+        code: 'UPLOAD_ERROR',
+        fields: [{ field: file.fieldname, in: 'body', message }]
+      }), false);
+    }
+  },
+  limits: { fileSize: 2 * 1024 * 1024 } // 2MB limit
+});
+
+const removeLogoFile = (logo) => removeStoredFiles([publicKey(logo)]);
+
+const MEMBER_SELECT = {
+  role: true,
+  createdAt: true,
+  user: { select: { id: true, name: true, email: true } }
+};
+
+const INVITE_SELECT = {
+  id: true,
+  email: true,
+  role: true,
+  expiresAt: true,
+  createdAt: true,
+  invitedBy: { select: { id: true, name: true } }
+};
+
+/**
+ * Loads a company for one of its members; `ownerOnly` also requires the
+ * OWNER role. Returns { company, membership } or { status, error }.
+ */
+async function findCompanyForMember(id, user, { ownerOnly = false } = {}) {
+  const company = await prisma.company.findUnique({ where: { id } });
+  if (!company) {
+    return { status: 404, error: 'Company not found' };
+  }
+
+  const membership = await findMembership(prisma, company.id, user.userId);
+  if (!membership || (ownerOnly && membership.role !== 'OWNER')) {
+    return { status: 403, error: 'Not authorized' };
+  }
+  return { company, membership };
+}
+
+// A company keeps at least one owner
+async function isLastOwner(companyId, userId) {
+  const owners = await prisma.companyMember.findMany({
+    where: { companyId, role: 'OWNER' },
+    select: { userId: true }
+  });
+  return owners.length === 1 && owners[0].userId === userId;
+}
+
+// GET /companies - Search companies by name (Public)
+// Query: q, limit (max 50)
+router.get('/', validate({ query: companiesQuery }), async (req, res, next) => {
+  try {
+    const { q } = req.query;
+
+    const companies = await prisma.company.findMany({
+      where: q ? { name: { contains: q, mode: 'insensitive' } } : {},
+      select: { id: true, name: true, logo: true, size: true, locations: true },
+      orderBy: { name: 'asc' },
+      take: req.query.limit ?? 20
+    });
+
+    res.json({ companies });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /companies/mine - Get the companies I belong to, with my role (Recruiter only)
+router.get('/mine', authMiddleware, requireRole('RECRUITER'), async (req, res, next) => {
+  try {
+    const memberships = await prisma.companyMember.findMany({
+      where: { userId: req.user.userId },
+      include: { company: true },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({ companies: memberships.map(({ company, role }) => ({ ...company, role })) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /companies/invites/accept - Join a company with an invite token (Recruiter only)
+router.post('/invites/accept', authMiddleware, requireRole('RECRUITER'), validate({ body: acceptCompanyInviteBody }), async (req, res, next) => {
+  try {
+    const invite = await findPendingCompanyInvite(prisma, req.body.token);
+    if (!invite) {
+      return sendError(res, 400, 'Invalid or expired invite');
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.userId }, select: { email: true } });
+    if (user.email.toLowerCase() !== invite.email.toLowerCase()) {
+      return sendError(res, 403, 'This invite was sent to another email address');
+    }
+
+    if (await findMembership(prisma, invite.companyId, req.user.userId)) {
+      return sendError(res, 409, `You are already a member of ${invite.company.name}`);
+    }
+
+    const membership = await acceptCompanyInvite(prisma, invite, req.user.userId);
+    if (!membership) {
+      return sendError(res, 400, 'Invalid or expired invite');
+    }
+
+    console.log('✅ Company invite accepted:', { companyId: invite.companyId, userId: req.user.userId, role: membership.role });
+
+    res.json({ message: `You joined ${invite.company.name}`, company: { ...invite.company, role: membership.role } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /companies - Create a company; its creator becomes its owner (Recruiter with a verified email only)
+router.post('/', authMiddleware, requireRole('RECRUITER'), requireVerifiedEmail, writeLimiter, validate({ body: createCompanyBody }), async (req, res, next) => {
+  try {
+    const { name, website, description, size, locations } = req.body;
+
+    const key = companyKey(name);
+    if (!key) {
+      return sendValidationError(res, 'Invalid company name', 'name');
+    }
+
+    const existing = await prisma.company.findUnique({ where: { key }, select: { name: true } });
+    if (existing) {
+      return sendError(res, 409, `${existing.name} already has a company page. Ask one of its owners to invite you.`);
+    }
+
+    const company = await prisma.company.create({
+      data: {
+        name,
+        key,
+        website,
+        description,
+        size,
+        locations: locations ?? [],
+        members: { create: { userId: req.user.userId, role: 'OWNER' } }
+      }
+    });
+
+    console.log('✅ Company created:', { id: company.id, name: company.name });
+
+    res.status(201).json({ message: 'Company created', company: { ...company, role: 'OWNER' } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /companies/:id - Company page with its open jobs (Public)
+router.get('/:id', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const company = await prisma.company.findUnique({
+      where: { id: req.params.id },
+      select: {
+        id: true,
+        name: true,
+        logo: true,
+        website: true,
+        description: true,
+        size: true,
+        locations: true,
+        createdAt: true,
+        jobs: {
+          where: { AND: [openJobWhere(), { deletedAt: null }] },
+          select: {
+            id: true,
+            title: true,
+            location: true,
+            category: true,
+            type: true,
+            salary: true,
+            salaryMin: true,
+            salaryMax: true,
+            salaryCurrency: true,
+            salaryPeriod: true,
+            applicationDeadline: true,
+            publishedAt: true,
+            createdAt: true
+          },
+          orderBy: { createdAt: 'desc' }
+        }
+      }
+    });
+
+    if (!company) {
+      return sendError(res, 404, 'Company not found');
+    }
+
+    const { jobs, ...companyData } = company;
+    res.json({ company: companyData, jobs });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /companies/:id - Update a company (Owner only)
+// Renaming also renames the company on its jobs
+router.patch('/:id', authMiddleware, requireRole('RECRUITER'), validate({ params: idParams, body: updateCompanyBody }), async (req, res, next) => {
+  try {
+    const { company, status, error } = await findCompanyForMember(req.params.id, req.user, { ownerOnly: true });
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const data = { ...req.body };
+    const renamed = data.name !== undefined && data.name !== company.name;
+    if (renamed) {
+      data.key = companyKey(data.name);
+      if (!data.key) {
+        return sendValidationError(res, 'Invalid company name', 'name');
+      }
+      const existing = await prisma.company.findUnique({ where: { key: data.key }, select: { id: true, name: true } });
+      if (existing && existing.id !== company.id) {
+        return sendError(res, 409, `${existing.name} already has a company page`);
+      }
+    }
+
+    const [updated] = await prisma.$transaction([
+      prisma.company.update({ where: { id: company.id }, data }),
+      ...(renamed ? [prisma.job.updateMany({ where: { companyId: company.id }, data: { company: data.name } })] : [])
+    ]);
+
+    console.log('✅ Company updated:', { id: updated.id, name: updated.name });
+
+    res.json({ message: 'Company updated', company: updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /companies/:id/logo - Upload a company logo (Owner only)
+router.post('/:id/logo', authMiddleware, requireRole('RECRUITER'), uploadLimiter, validate({ params: idParams }), upload.single('logo'), verifyUploads, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return sendError(res, 400, 'No file uploaded');
+    }
+
+    const { company, status, error } = await findCompanyForMember(req.params.id, req.user, { ownerOnly: true });
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const logo = publicUrl(await storeUpload('logos', req.file));
+    await prisma.company.update({ where: { id: company.id }, data: { logo } });
+    await removeLogoFile(company.logo);
+
+    console.log('✅ Company logo uploaded:', { id: company.id });
+
+    res.json({ message: 'Logo uploaded', logo });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /companies/:id/logo - Remove the company logo (Owner only)
+router.delete('/:id/logo', authMiddleware, requireRole('RECRUITER'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const { company, status, error } = await findCompanyForMember(req.params.id, req.user, { ownerOnly: true });
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    if (!company.logo) {
+      return sendError(res, 404, 'No logo found');
+    }
+
+    await prisma.company.update({ where: { id: company.id }, data: { logo: null } });
+    await removeLogoFile(company.logo);
+
+    res.json({ message: 'Logo deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /companies/:id/members - Get a company's members (Members only)
+router.get('/:id/members', authMiddleware, requireRole('RECRUITER'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const { company, status, error } = await findCompanyForMember(req.params.id, req.user);
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const members = await prisma.companyMember.findMany({
+      where: { companyId: company.id },
+      select: MEMBER_SELECT,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({ members });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /companies/:id/members/:userId - Change a member's role (Owner only)
+router.patch('/:id/members/:userId', authMiddleware, requireRole('RECRUITER'), validate({ params: memberParams, body: memberRoleBody }), async (req, res, next) => {
+  try {
+    const { company, status, error } = await findCompanyForMember(req.params.id, req.user, { ownerOnly: true });
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const member = await findMembership(prisma, company.id, req.params.userId);
+    if (!member) {
+      return sendError(res, 404, 'Member not found');
+    }
+
+    if (req.body.role !== 'OWNER' && member.role === 'OWNER' && await isLastOwner(company.id, member.userId)) {
+      return sendError(res, 400, 'A company needs at least one owner. Make someone else an owner first.');
+    }
+
+    const updated = await prisma.companyMember.update({
+      where: { companyId_userId: { companyId: company.id, userId: member.userId } },
+      data: { role: req.body.role },
+      select: MEMBER_SELECT
+    });
+
+    console.log('✅ Company member role changed:', { companyId: company.id, userId: member.userId, role: updated.role });
+
+    res.json({ message: 'Member updated', member: updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /companies/:id/members/:userId - Remove a member, or leave the company (Owner, or the member themselves)
+// Jobs they posted stay with the company
+router.delete('/:id/members/:userId', authMiddleware, requireRole('RECRUITER'), validate({ params: memberParams }), async (req, res, next) => {
+  try {
+    const leaving = req.params.userId === req.user.userId;
+    const { company, status, error } = await findCompanyForMember(req.params.id, req.user, { ownerOnly: !leaving });
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const member = await findMembership(prisma, company.id, req.params.userId);
+    if (!member) {
+      return sendError(res, 404, 'Member not found');
+    }
+
+    if (member.role === 'OWNER' && await isLastOwner(company.id, member.userId)) {
+      return sendError(res, 400, 'A company needs at least one owner. Make someone else an owner first.');
+    }
+
+    await prisma.companyMember.delete({
+      where: { companyId_userId: { companyId: company.id, userId: member.userId } }
+    });
+
+    console.log('✅ Company member removed:', { companyId: company.id, userId: member.userId, by: req.user.userId });
+
+    res.json({ message: leaving ? `You left ${company.name}` : 'Member removed' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /companies/:id/invites - Invite a recruiter to join (Owner only)
+// Body: email, role (OWNER or MEMBER, default MEMBER)
+router.post('/:id/invites', authMiddleware, requireRole('RECRUITER'), writeLimiter, validate({ params: idParams, body: companyInviteBody }), async (req, res, next) => {
+  try {
+    const { company, status, error } = await findCompanyForMember(req.params.id, req.user, { ownerOnly: true });
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const { email } = req.body;
+
+    const existingMember = await prisma.companyMember.findFirst({
+      where: { companyId: company.id, user: { email: { equals: email, mode: 'insensitive' } } }
+    });
+    if (existingMember) {
+      return sendError(res, 409, 'This recruiter is already a member');
+    }
+
+    const inviter = await prisma.user.findUnique({ where: { id: req.user.userId } });
+    const { invite, token } = await createCompanyInvite(prisma, {
+      companyId: company.id,
+      email,
+      role: req.body.role ?? 'MEMBER',
+      invitedById: inviter.id
+    });
+    await sendMail({ to: email, ...companyInviteEmail(inviter, company, token) });
+
+    console.log('✅ Company invite sent:', { id: invite.id, companyId: company.id, email, invitedBy: inviter.id });
+
+    const { tokenHash, ...inviteData } = invite;
+    res.status(201).json({ message: 'Invite sent', invite: inviteData });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /companies/:id/invites - Get pending invites (Owner only)
+router.get('/:id/invites', authMiddleware, requireRole('RECRUITER'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const { company, status, error } = await findCompanyForMember(req.params.id, req.user, { ownerOnly: true });
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const invites = await prisma.companyInvite.findMany({
+      where: { companyId: company.id, acceptedAt: null, expiresAt: { gt: new Date() } },
+      select: INVITE_SELECT,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({ invites });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /companies/:id/invites/:inviteId - Revoke a pending invite (Owner only)
+router.delete('/:id/invites/:inviteId', authMiddleware, requireRole('RECRUITER'), validate({ params: inviteParams }), async (req, res, next) => {
+  try {
+    const { company, status, error } = await findCompanyForMember(req.params.id, req.user, { ownerOnly: true });
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const { count } = await prisma.companyInvite.deleteMany({
+      where: { id: req.params.inviteId, companyId: company.id, acceptedAt: null }
+    });
+
+    if (!count) {
+      return sendError(res, 404, 'Invite not found');
+    }
+
+    res.json({ message: 'Invite revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
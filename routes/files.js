@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+const { sendStoredFile } = require('../utils/storage');
+const { publicFileParams } = require('../schemas/files');
+
+// GET /files/:folder/:name - Get a public file: an avatar or a company logo
+// Names are unique per upload, so browsers may cache them for good
+router.get('/:folder/:name', validate({ params: publicFileParams }), async (req, res, next) => {
+  try {
+    const sent = await sendStoredFile(res, `${req.params.folder}/${req.params.name}`, {
+      inline: true,
+      cacheControl: 'public, max-age=31536000, immutable'
+    });
+    if (!sent) {
+      return sendError(res, 404, 'File not found');
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,347 @@
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { writeLimiter } = require('../middleware/rateLimit');
+const { sendError, sendValidationError } = require('../utils/errors');
+const { findApplicationFor } = require('../utils/jobAccess');
+const {
+  INTERVIEW_INCLUDE,
+  createCalendarToken,
+  parseSlots,
+  findBookedSlots,
+  bookSlot,
+  withSlotAvailability,
+  interviewCalendar
+} = require('../utils/interviews');
+const {
+  notifyInterviewProposed,
+  notifyInterviewScheduled,
+  notifyInterviewCancelled
+} = require('../utils/notifications');
+const {
+  idParams,
+  proposeInterviewBody,
+  rescheduleInterviewBody,
+  selectSlotBody,
+  cancelInterviewBody,
+  listInterviewsQuery,
+  calendarTokenParams
+} = require('../schemas/interviews');
+
+const prisma = new PrismaClient();
+
+// Interviews of a live application; only the recruiter running the interview
+// and the candidate can see them, as with message threads.
+// Returns { interview, role } (role: 'recruiter' or 'candidate') or { status, error }.
+async function findInterview(id, user) {
+  const interview = await prisma.interview.findFirst({
+    where: { id, application: { deletedAt: null } },
+    include: INTERVIEW_INCLUDE
+  });
+
+  if (!interview) {
+    return { status: 404, error: 'Interview not found' };
+  }
+  if (interview.recruiterId === user.userId) return { interview, role: 'recruiter' };
+  if (interview.application.userId === user.userId) return { interview, role: 'candidate' };
+  return { status: 403, error: 'Not authorized' };
+}
+
+const describeSlots = (slots) => slots.map((slot) => slot.startsAt.toISOString()).join(', ');
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}/interviews/calendar/${token}.ics`;
+
+// GET /interviews/calendar/:token.ics - iCal feed of a user's upcoming interviews (Public: the token is the secret)
+router.get('/calendar/:token.ics', validate({ params: calendarTokenParams }), async (req, res, next) => {
+  try {
+    const user = await prisma.user.findFirst({
+      where: { calendarToken: req.params.token, deletedAt: null },
+      select: { id: true }
+    });
+
+    if (!user) {
+      return sendError(res, 404, 'Calendar not found');
+    }
+
+    const interviews = await prisma.interview.findMany({
+      where: {
+        status: 'SCHEDULED',
+        endsAt: { gte: new Date() },
+        application: { deletedAt: null },
+        OR: [{ recruiterId: user.id }, { application: { userId: user.id } }]
+      },
+      include: INTERVIEW_INCLUDE,
+      orderBy: { startsAt: 'asc' }
+    });
+
+    res.type('text/calendar; charset=utf-8').send(interviewCalendar(interviews, 'Job Portal interviews'));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /interviews/calendar - Get my iCal feed URL (created on first use)
+router.get('/calendar', authMiddleware, async (req, res, next) => {
+  try {
+    let { calendarToken } = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: { calendarToken: true }
+    });
+
+    if (!calendarToken) {
+      calendarToken = createCalendarToken();
+      await prisma.user.update({ where: { id: req.user.userId }, data: { calendarToken } });
+    }
+
+    res.json({ url: feedUrl(req, calendarToken) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /interviews/calendar/reset - Replace my iCal feed URL (the old one stops working)
+router.post('/calendar/reset', authMiddleware, async (req, res, next) => {
+  try {
+    const calendarToken = createCalendarToken();
+    await prisma.user.update({ where: { id: req.user.userId }, data: { calendarToken } });
+
+    console.log('✅ Calendar feed reset:', { userId: req.user.userId });
+
+    res.json({ message: 'Calendar URL replaced', url: feedUrl(req, calendarToken) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /interviews - Propose interview slots for an application (Recruiter with REVIEWER permission on the job)
+// Body: applicationId, slots (start times), durationMinutes, location, notes
+// The recruiter proposing it runs the interview
+router.post('/', authMiddleware, requireRole('RECRUITER'), writeLimiter, validate({ body: proposeInterviewBody }), async (req, res, next) => {
+  try {
+    const { applicationId, durationMinutes, location, notes } = req.body;
+
+    const { application, status, error: accessError } = await findApplicationFor(prisma, applicationId, req.user, 'REVIEWER');
+    if (accessError) {
+      return sendError(res, status, accessError);
+    }
+
+    if (application.status === 'REJECTED') {
+      return sendError(res, 400, 'Cannot schedule an interview for a rejected application');
+    }
+
+    const { slots, error, field } = parseSlots(req.body.slots, durationMinutes);
+    if (error) {
+      return sendValidationError(res, error, field);
+    }
+
+    const booked = await findBookedSlots(prisma, req.user.userId, slots);
+    if (booked.length) {
+      return sendError(res, 409, `You already have interviews at: ${describeSlots(booked)}`);
+    }
+
+    const interview = await prisma.interview.create({
+      data: {
+        applicationId,
+        recruiterId: req.user.userId,
+        durationMinutes,
+        location,
+        notes,
+        slots: { create: slots }
+      },
+      include: INTERVIEW_INCLUDE
+    });
+
+    await notifyInterviewProposed(prisma, interview);
+
+    console.log('✅ Interview proposed:', { id: interview.id, applicationId, slots: slots.length });
+
+    res.status(201).json({ message: 'Interview proposed', interview });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /interviews - Get my interviews (as recruiter or candidate)
+// Query: status, upcoming=true (waiting for a slot, or scheduled and not over)
+router.get('/', authMiddleware, validate({ query: listInterviewsQuery }), async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+    const and = [
+      { application: { deletedAt: null } },
+      { OR: [{ recruiterId: userId }, { application: { userId } }] }
+    ];
+    if (req.query.status) {
+      and.push({ status: req.query.status });
+    }
+    if (req.query.upcoming === 'true') {
+      and.push({ OR: [{ status: 'PROPOSED' }, { status: 'SCHEDULED', endsAt: { gte: new Date() } }] });
+    }
+
+    const interviews = await prisma.interview.findMany({
+      where: { AND: and },
+      include: INTERVIEW_INCLUDE,
+      orderBy: [{ startsAt: { sort: 'asc', nulls: 'first' } }, { createdAt: 'desc' }]
+    });
+
+    res.json({ interviews });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /interviews/:id - Get an interview; proposed slots say whether they're still available
+router.get('/:id', authMiddleware, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const { interview, status, error } = await findInterview(req.params.id, req.user);
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    res.json({ interview: await withSlotAvailability(prisma, interview) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /interviews/:id/select - Pick one of the proposed slots (Candidate)
+router.post('/:id/select', authMiddleware, requireRole('JOB_SEEKER'), validate({ params: idParams, body: selectSlotBody }), async (req, res, next) => {
+  try {
+    const { interview, role, status, error } = await findInterview(req.params.id, req.user);
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    if (role !== 'candidate') {
+      return sendError(res, 403, 'Not authorized');
+    }
+
+    const result = await bookSlot(prisma, interview, req.body.slotId);
+    if (result.field) {
+      return sendValidationError(res, result.error, result.field);
+    }
+    if (result.error) {
+      return sendError(res, result.status, result.error);
+    }
+
+    await notifyInterviewScheduled(prisma, result.interview);
+
+    console.log('✅ Interview scheduled:', { id: interview.id, startsAt: result.interview.startsAt });
+
+    res.json({ message: 'Interview scheduled', interview: result.interview });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /interviews/:id/reschedule - Propose new slots; the candidate picks again (Recruiter)
+router.post('/:id/reschedule', authMiddleware, requireRole('RECRUITER'), validate({ params: idParams, body: rescheduleInterviewBody }), async (req, res, next) => {
+  try {
+    const { interview, role, status, error } = await findInterview(req.params.id, req.user);
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    if (role !== 'recruiter') {
+      return sendError(res, 403, 'Not authorized');
+    }
+
+    if (interview.status === 'CANCELLED') {
+      return sendError(res, 400, 'This interview was cancelled. Propose a new one instead.');
+    }
+
+    const durationMinutes = req.body.durationMinutes ?? interview.durationMinutes;
+    const { slots, error: slotError, field } = parseSlots(req.body.slots, durationMinutes);
+    if (slotError) {
+      return sendValidationError(res, slotError, field);
+    }
+
+    const booked = await findBookedSlots(prisma, req.user.userId, slots, interview.id);
+    if (booked.length) {
+      return sendError(res, 409, `You already have interviews at: ${describeSlots(booked)}`);
+    }
+
+    const [, updated] = await prisma.$transaction([
+      prisma.interviewSlot.deleteMany({ where: { interviewId: interview.id } }),
+      prisma.interview.update({
+        where: { id: interview.id },
+        data: {
+          status: 'PROPOSED',
+          durationMinutes,
+          location: req.body.location,
+          notes: req.body.notes,
+          startsAt: null,
+          endsAt: null,
+          sequence: { increment: 1 },
+          slots: { create: slots }
+        },
+        include: INTERVIEW_INCLUDE
+      })
+    ]);
+
+    await notifyInterviewProposed(prisma, updated, { rescheduled: true });
+
+    console.log('✅ Interview rescheduled:', { id: updated.id, slots: slots.length });
+
+    res.json({ message: 'New slots proposed', interview: updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /interviews/:id/cancel - Cancel an interview (Recruiter or Candidate)
+router.post('/:id/cancel', authMiddleware, validate({ params: idParams, body: cancelInterviewBody }), async (req, res, next) => {
+  try {
+    const { interview, status, error } = await findInterview(req.params.id, req.user);
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    if (interview.status === 'CANCELLED') {
+      return sendError(res, 400, 'Interview is already cancelled');
+    }
+
+    const updated = await prisma.interview.update({
+      where: { id: interview.id },
+      data: {
+        status: 'CANCELLED',
+        cancelledAt: new Date(),
+        cancelReason: req.body.reason || null,
+        sequence: { increment: 1 }
+      },
+      include: INTERVIEW_INCLUDE
+    });
+
+    await notifyInterviewCancelled(prisma, updated, req.user.userId);
+
+    console.log('✅ Interview cancelled:', { id: updated.id, by: req.user.userId });
+
+    res.json({ message: 'Interview cancelled', interview: updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /interviews/:id/ics - Download a scheduled (or cancelled) interview as an .ics file
+router.get('/:id/ics', authMiddleware, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const { interview, status, error } = await findInterview(req.params.id, req.user);
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    if (!interview.startsAt) {
+      return sendError(res, 400, 'This interview has no time yet: a slot must be picked first');
+    }
+
+    res
+      .attachment(`interview-${interview.id}.ics`)
+      .type('text/calendar; charset=utf-8')
+      .send(interviewCalendar([interview]));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,216 +1,699 @@
 const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
-const { authMiddleware, requireRole } = require('../middleware/auth');
+const {
+  authMiddleware,
+  optionalAuth,
+  requireRole,
+  requireVerifiedEmail
+} = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { writeLimiter } = require('../middleware/rateLimit');
+const { sendError, sendValidationError } = require('../utils/errors');
+const {
+  JOB_CATEGORIES,
+  normalizeCategory,
+  parseJobSearchQuery,
+  searchJobs
+} = require('../utils/jobSearch');
+const {
+  SALARY_FIELDS,
+  parseSalaryInput,
+  hasSalaryInput,
+  parseSalaryString
+} = require('../utils/salary');
+const { canTransition, isPastDeadline, parseDeadline } = require('../utils/jobStatus');
+const { softDeleteJob } = require('../utils/softDelete');
+const { DEFAULT_STAGES, getStages, parseStageList, replaceStages } = require('../utils/pipeline');
+const { getTaxonomy, syncJobSkills } = require('../utils/skills');
+const { COMPANY_SUMMARY_SELECT, resolveJobCompany } = require('../utils/companies');
+const { jobPermission, authorizeJob, findJobFor, accessibleJobWhere } = require('../utils/jobAccess');
+const {
+  publicQuestion,
+  parseQuestionList,
+  replaceQuestions,
+  parseAnswerFilters,
+  matchesAnswerFilters
+} = require('../utils/screening');
+const { notifyJobClosed, notifyJobShared } = require('../utils/notifications');
+const { FILE_SELECT, withUrl } = require('../utils/applicationFiles');
+const {
+  MATCH_PROFILE_SELECT,
+  MATCH_JOB_INCLUDE,
+  jobSkills,
+  candidateSkills,
+  scoreMatch,
+  compareMatches,
+  recommendJobs
+} = require('../utils/matching');
+const {
+  idParams,
+  createJobBody,
+  updateJobBody,
+  jobStatusBody,
+  searchJobsQuery,
+  myJobsQuery,
+  recommendedJobsQuery,
+  applicantsQuery,
+  stagesBody,
+  questionsBody,
+  collaboratorParams,
+  addCollaboratorBody,
+  collaboratorBody
+} = require('../schemas/jobs');
 
 const prisma = new PrismaClient();
 
-const JOB_CATEGORIES = ['frontend', 'backend', 'fullstack'];
-
-function normalizeCategory(input) {
-  if (typeof input !== 'string') return null;
-  const value = input.trim().toLowerCase();
-  if (!value) return null;
-  if (!JOB_CATEGORIES.includes(value)) return null;
-  return value;
-}
-
-// GET /jobs - Get all jobs (Public)
-router.get('/', async (req, res) => {
+const EMPTY_SALARY = {
+  salaryMin: null,
+  salaryMax: null,
+  salaryCurrency: null,
+  salaryPeriod: null,
+  salaryNegotiable: false
+};
+
+// GET /jobs - Search jobs (Public)
+// Query: q, role|category, type, location, recruiterId, companyId, postedSince,
+//        salaryMin, salaryMax, salaryCurrency, salaryPeriod, sort, limit, cursor
+router.get('/', validate({ query: searchJobsQuery }), async (req, res, next) => {
   try {
-    const roleQuery = req.query.role ?? req.query.category;
-    const category = normalizeCategory(roleQuery);
-    if (roleQuery != null && category == null) {
-      return res.status(400).json({
-        message: `Invalid role. Use one of: ${JOB_CATEGORIES.join(', ')}`
-      });
+    const { options, error, field } = parseJobSearchQuery(req.query);
+    if (error) {
+      return sendValidationError(res, error, field, 'query');
     }
 
-    const jobs = await prisma.job.findMany({
-      ...(category ? { where: { category } } : {}),
+    const { jobs, nextCursor, total } = await searchJobs(prisma, options, {
       include: {
         recruiter: {
           select: { id: true, name: true, email: true }
-        }
-      },
-      orderBy: { createdAt: 'desc' }
+        },
+        employer: { select: COMPANY_SUMMARY_SELECT }
+      }
     });
-    res.json({ jobs });
+    res.json({ jobs, nextCursor, total });
   } catch (error) {
-    console.error('Get jobs error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
-// GET /jobs/my-jobs - Get recruiter's jobs
-router.get('/my-jobs', authMiddleware, requireRole('RECRUITER'), async (req, res) => {
+// GET /jobs/my-jobs - Get the jobs I posted or that are shared with me, with my permission on each
+router.get('/my-jobs', authMiddleware, requireRole('RECRUITER'), validate({ query: myJobsQuery }), async (req, res, next) => {
   try {
+    const { status } = req.query;
+    const { userId } = req.user;
+
     const jobs = await prisma.job.findMany({
-      where: { recruiterId: req.user.userId },
+      where: { ...accessibleJobWhere(userId), deletedAt: null, ...(status ? { status } : {}) },
       include: {
-        _count: { select: { applications: true } }
+        employer: { select: COMPANY_SUMMARY_SELECT },
+        collaborators: { where: { userId }, select: { permission: true } },
+        _count: { select: { applications: { where: { deletedAt: null } } } }
       },
       orderBy: { createdAt: 'desc' }
     });
+    res.json({
+      jobs: jobs.map(({ collaborators, ...job }) => ({
+        ...job,
+        permission: job.recruiterId === userId ? 'OWNER' : collaborators[0].permission
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /jobs/recommended - Open jobs matching my skills, best first (Job Seeker)
+router.get('/recommended', authMiddleware, requireRole('JOB_SEEKER'), validate({ query: recommendedJobsQuery }), async (req, res, next) => {
+  try {
+    const profile = await prisma.profile.findUnique({
+      where: { userId: req.user.userId },
+      select: MATCH_PROFILE_SELECT
+    });
+
+    if (!candidateSkills(await getTaxonomy(prisma), profile).length) {
+      return res.json({ jobs: [], message: 'Add skills or experience to your profile to get recommendations' });
+    }
+
+    const jobs = await recommendJobs(prisma, req.user.userId, profile, {
+      limit: req.query.limit ?? 20,
+      include: {
+        recruiter: {
+          select: { id: true, name: true, email: true }
+        },
+        employer: { select: COMPANY_SUMMARY_SELECT }
+      }
+    });
+
     res.json({ jobs });
   } catch (error) {
-    console.error('Get my jobs error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
-// GET /jobs/:id - Get single job
-router.get('/:id', async (req, res) => {
+// GET /jobs/:id - Get single job (drafts are visible to their recruiter and admins only)
+router.get('/:id', optionalAuth, validate({ params: idParams }), async (req, res, next) => {
   try {
-    const job = await prisma.job.findUnique({
-      where: { id: req.params.id },
+    const job = await prisma.job.findFirst({
+      where: { id: req.params.id, deletedAt: null },
       include: {
         recruiter: {
           select: { id: true, name: true, email: true }
-        }
+        },
+        employer: { select: COMPANY_SUMMARY_SELECT },
+        questions: { orderBy: { position: 'asc' } },
+        ...MATCH_JOB_INCLUDE
       }
     });
 
-    if (!job) {
-      return res.status(404).json({ message: 'Job not found' });
+    const canSeeDraft = async () => (
+      req.user?.role === 'ADMIN' || (req.user && await jobPermission(prisma, job, req.user.userId) != null)
+    );
+    if (!job || (job.status === 'DRAFT' && !(await canSeeDraft()))) {
+      return sendError(res, 404, 'Job not found');
     }
 
-    res.json({ job });
+    const { skillLinks, questions, ...jobData } = job;
+    res.json({ job: { ...jobData, skills: jobSkills(job), questions: questions.map(publicQuestion) } });
   } catch (error) {
-    console.error('Get job error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
-// POST /jobs - Create job (Recruiter only)
-router.post('/', authMiddleware, requireRole('RECRUITER'), async (req, res) => {
+// POST /jobs - Create job (Recruiter with a verified email only)
+router.post('/', authMiddleware, requireRole('RECRUITER'), requireVerifiedEmail, writeLimiter, validate({ body: createJobBody }), async (req, res, next) => {
   try {
-    const { title, company, location, type, salary, description, requirements } = req.body;
+    const { title, location, type, salary, description, requirements } = req.body;
     const category =
       normalizeCategory(req.body.role ?? req.body.category) ?? 'fullstack';
 
-    console.log('📥 Create job request:', { title, company });
+    console.log('📥 Create job request:', { title, company: req.body.company, companyId: req.body.companyId });
+
+    // Structured salary fields win; otherwise try to read them from the salary text
+    const { data: salaryData, error: salaryError, field: salaryField } = parseSalaryInput(req.body);
+    if (salaryError) {
+      return sendValidationError(res, salaryError, salaryField);
+    }
+    if (!hasSalaryInput(req.body)) {
+      Object.assign(salaryData, parseSalaryString(salary));
+    }
+    if (!salary && salaryData.salaryMin == null && salaryData.salaryMax == null && !salaryData.salaryNegotiable) {
+      return sendValidationError(res, 'Salary is required', 'salary');
+    }
+
+    // New jobs go live right away unless saved as a draft
+    const status = req.body.status ?? 'PUBLISHED';
 
-    // Validation
-    if (!title || !company || !location || !salary || !description) {
-      return res.status(400).json({ message: 'Required fields missing' });
+    let applicationDeadline = null;
+    if (req.body.applicationDeadline != null) {
+      const deadline = parseDeadline(req.body.applicationDeadline);
+      if (deadline.error) {
+        return sendValidationError(res, deadline.error, deadline.field);
+      }
+      applicationDeadline = deadline.value;
+    }
+
+    const { company, status: companyStatus, error: companyError, field: companyField } = await resolveJobCompany(prisma, req.user.userId, req.body);
+    if (companyField) {
+      return sendValidationError(res, companyError, companyField);
+    }
+    if (companyError) {
+      return sendError(res, companyStatus, companyError);
     }
 
     const job = await prisma.job.create({
       data: {
         title,
-        company,
+        company: company.name,
+        companyId: company.id,
         location,
         category,
         type: type || 'FULL_TIME',
         salary,
+        ...salaryData,
         description,
         requirements,
-        recruiterId: req.user.userId
+        status,
+        applicationDeadline,
+        publishedAt: status === 'PUBLISHED' ? new Date() : null,
+        recruiterId: req.user.userId,
+        stages: {
+          create: DEFAULT_STAGES.map((stage, position) => ({ ...stage, position }))
+        }
       }
     });
 
-    console.log('✅ Job created:', { id: job.id, title: job.title });
+    const skills = await syncJobSkills(prisma, job);
+
+    console.log('✅ Job created:', { id: job.id, title: job.title, skills: skills.length });
 
-    res.status(201).json({ message: 'Job created', job });
+    res.status(201).json({ message: 'Job created', job: { ...job, skills: skills.map((skill) => skill.name) } });
   } catch (error) {
-    console.error('Create job error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
-// PUT /jobs/:id - Update job (Recruiter only)
-router.put('/:id', authMiddleware, requireRole('RECRUITER'), async (req, res) => {
+// PUT /jobs/:id - Update job (Recruiter with OWNER permission)
+router.put('/:id', authMiddleware, requireRole('RECRUITER'), validate({ params: idParams, body: updateJobBody }), async (req, res, next) => {
   try {
-    const job = await prisma.job.findUnique({ where: { id: req.params.id } });
-
-    if (!job) {
-      return res.status(404).json({ message: 'Job not found' });
-    }
-
-    if (job.recruiterId !== req.user.userId) {
-      return res.status(403).json({ message: 'Not authorized' });
+    const { job, status: accessStatus, error: accessError } = await findJobFor(prisma, req.params.id, req.user, 'OWNER');
+    if (accessError) {
+      return sendError(res, accessStatus, accessError);
     }
 
     const updateData = { ...req.body };
     // Support role/category updates while avoiding Prisma "unknown argument" errors.
     const maybeCategory = normalizeCategory(updateData.role ?? updateData.category);
     if ((updateData.role != null || updateData.category != null) && !maybeCategory) {
-      return res.status(400).json({
-        message: `Invalid role. Use one of: ${JOB_CATEGORIES.join(', ')}`
-      });
+      return sendValidationError(res, `Invalid role. Use one of: ${JOB_CATEGORIES.join(', ')}`, 'role');
     }
     delete updateData.role;
     delete updateData.category;
     if (maybeCategory) updateData.category = maybeCategory;
 
+    const { data: salaryData, error: salaryError, field: salaryField } = parseSalaryInput(req.body, job);
+    if (salaryError) {
+      return sendValidationError(res, salaryError, salaryField);
+    }
+    SALARY_FIELDS.forEach((field) => delete updateData[field]);
+    Object.assign(updateData, salaryData);
+    // Re-derive the structured fields when only the salary text changed
+    if (!hasSalaryInput(req.body) && typeof req.body.salary === 'string' && req.body.salary !== job.salary) {
+      Object.assign(updateData, EMPTY_SALARY, parseSalaryString(req.body.salary));
+    }
+
+    if (updateData.applicationDeadline !== undefined) {
+      const deadline = parseDeadline(updateData.applicationDeadline);
+      if (deadline.error) {
+        return sendValidationError(res, deadline.error, deadline.field);
+      }
+      updateData.applicationDeadline = deadline.value;
+    }
+
+    delete updateData.companyId;
+    if (req.body.company !== undefined || req.body.companyId !== undefined) {
+      const { company, status, error, field } = await resolveJobCompany(prisma, req.user.userId, req.body);
+      if (field) {
+        return sendValidationError(res, error, field);
+      }
+      if (error) {
+        return sendError(res, status, error);
+      }
+      updateData.company = company.name;
+      updateData.companyId = company.id;
+    }
+
     const updated = await prisma.job.update({
       where: { id: req.params.id },
       data: updateData
     });
 
+    // Required skills are read from the text, so re-link them when it changes
+    if (['title', 'requirements', 'description'].some((field) => updateData[field] !== undefined)) {
+      await syncJobSkills(prisma, updated);
+    }
+
     console.log('✅ Job updated:', { id: updated.id, title: updated.title });
 
     res.json({ message: 'Job updated', job: updated });
   } catch (error) {
-    console.error('Update job error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
+  }
+});
+
+// PATCH /jobs/:id/status - Publish, pause, close or re-open a job (Recruiter with OWNER permission)
+router.patch('/:id/status', authMiddleware, requireRole('RECRUITER'), validate({ params: idParams, body: jobStatusBody }), async (req, res, next) => {
+  try {
+    const { status } = req.body;
+
+    const { job, status: accessStatus, error: accessError } = await findJobFor(prisma, req.params.id, req.user, 'OWNER');
+    if (accessError) {
+      return sendError(res, accessStatus, accessError);
+    }
+
+    if (!canTransition(job.status, status)) {
+      return sendError(res, 400, `Cannot change job status from ${job.status} to ${status}`);
+    }
+
+    const data = { status };
+
+    if (req.body.applicationDeadline !== undefined) {
+      const deadline = parseDeadline(req.body.applicationDeadline);
+      if (deadline.error) {
+        return sendValidationError(res, deadline.error, deadline.field);
+      }
+      data.applicationDeadline = deadline.value;
+    }
+
+    if (status === 'PUBLISHED') {
+      if (isPastDeadline({ ...job, ...data })) {
+        return sendValidationError(res, 'Set a new applicationDeadline before publishing again', 'applicationDeadline');
+      }
+      data.publishedAt = job.publishedAt ?? new Date();
+    }
+    if (status === 'CLOSED') {
+      data.closedAt = new Date();
+    }
+
+    const updated = await prisma.job.update({
+      where: { id: req.params.id },
+      data
+    });
+
+    if (status === 'CLOSED') {
+      await notifyJobClosed(prisma, updated);
+    }
+
+    console.log('✅ Job status updated:', { id: updated.id, status: updated.status });
+
+    res.json({ message: 'Job status updated', job: updated });
+  } catch (error) {
+    next(error);
   }
 });
 
 // DELETE /jobs/:id - Delete job (Recruiter or Admin)
-router.delete('/:id', authMiddleware, requireRole('RECRUITER', 'ADMIN'), async (req, res) => {
+router.delete('/:id', authMiddleware, requireRole('RECRUITER', 'ADMIN'), validate({ params: idParams }), async (req, res, next) => {
   try {
-    const job = await prisma.job.findUnique({ where: { id: req.params.id } });
+    const job = await prisma.job.findFirst({ where: { id: req.params.id, deletedAt: null } });
 
     if (!job) {
-      return res.status(404).json({ message: 'Job not found' });
+      return sendError(res, 404, 'Job not found');
     }
 
-    // Recruiter can only delete their own jobs
-    if (req.user.role === 'RECRUITER' && job.recruiterId !== req.user.userId) {
-      return res.status(403).json({ message: 'Not authorized' });
+    // Recruiters need OWNER permission on the job
+    if (req.user.role === 'RECRUITER') {
+      const { status, error } = await authorizeJob(prisma, job, req.user, 'OWNER');
+      if (error) {
+        return sendError(res, status, error);
+      }
     }
 
-    // Delete related applications and saved jobs first
-    await prisma.application.deleteMany({ where: { jobId: req.params.id } });
-    await prisma.savedJob.deleteMany({ where: { jobId: req.params.id } });
-    await prisma.job.delete({ where: { id: req.params.id } });
+    // Soft delete: the job and its applications can be restored by an admin
+    await softDeleteJob(prisma, req.params.id);
 
     console.log('✅ Job deleted:', { id: req.params.id });
 
     res.json({ message: 'Job deleted' });
   } catch (error) {
-    console.error('Delete job error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
-// GET /jobs/:id/applicants - Get job applicants (Recruiter)
-router.get('/:id/applicants', authMiddleware, requireRole('RECRUITER'), async (req, res) => {
+// GET /jobs/:id/applicants - Get job applicants with their skill match, screening answers, files and team rating (Recruiter with access)
+// Query: sort=newest (default) | match, answers[<questionId>]=<answer>, knockedOut=true|false
+router.get('/:id/applicants', authMiddleware, requireRole('RECRUITER'), validate({ params: idParams, query: applicantsQuery }), async (req, res, next) => {
   try {
-    const job = await prisma.job.findUnique({ where: { id: req.params.id } });
+    const { job, status, error } = await findJobFor(prisma, req.params.id, req.user, 'VIEWER', {
+      include: { ...MATCH_JOB_INCLUDE, questions: { orderBy: { position: 'asc' } } }
+    });
+    if (error) {
+      return sendError(res, status, error);
+    }
 
-    if (!job) {
-      return res.status(404).json({ message: 'Job not found' });
+    const { filters, error: filterError, field } = parseAnswerFilters(req.query.answers, job.questions);
+    if (filterError) {
+      return sendValidationError(res, filterError, field, 'query');
     }
 
-    if (job.recruiterId !== req.user.userId) {
-      return res.status(403).json({ message: 'Not authorized' });
+    const where = { jobId: req.params.id, deletedAt: null };
+    if (req.query.knockedOut) {
+      where.knockedOut = req.query.knockedOut === 'true';
     }
 
-    const applicants = await prisma.application.findMany({
-      where: { jobId: req.params.id },
-      include: {
-        user: { select: { id: true, name: true, email: true } }
+    const [applications, ratings] = await Promise.all([
+      prisma.application.findMany({
+        where,
+        include: {
+          user: {
+            select: { id: true, name: true, email: true, profile: { select: MATCH_PROFILE_SELECT } }
+          },
+          stage: { select: { id: true, name: true, kind: true } },
+          answers: { select: { questionId: true, prompt: true, type: true, value: true, knockedOut: true } },
+          files: { select: FILE_SELECT, orderBy: { createdAt: 'asc' } }
+        },
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.applicationRating.groupBy({
+        by: ['applicationId'],
+        where: { application: { jobId: req.params.id, deletedAt: null } },
+        _avg: { score: true },
+        _count: { _all: true }
+      })
+    ]);
+
+    const ratingsByApplication = new Map(ratings.map((group) => [
+      group.applicationId,
+      { average: Math.round(group._avg.score * 10) / 10, count: group._count._all }
+    ]));
+
+    const taxonomy = await getTaxonomy(prisma);
+    const required = jobSkills(job);
+    const applicants = applications
+      .filter((application) => matchesAnswerFilters(application.answers, filters))
+      .map(({ user: { profile, ...user }, ...application }) => ({
+        ...application,
+        user,
+        files: application.files.map((file) => withUrl(application.id, file)),
+        match: scoreMatch(candidateSkills(taxonomy, profile), required),
+        rating: ratingsByApplication.get(application.id) ?? { average: null, count: 0 }
+      }));
+
+    if (req.query.sort === 'match') {
+      applicants.sort((a, b) => compareMatches(a.match, b.match));
+    }
+
+    res.json({ applicants });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /jobs/:id/stages - Get the job's hiring pipeline (Recruiter with access)
+router.get('/:id/stages', authMiddleware, requireRole('RECRUITER'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const { job, status, error } = await findJobFor(prisma, req.params.id, req.user, 'VIEWER');
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const stages = await getStages(prisma, job.id);
+
+    res.json({ stages });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /jobs/:id/stages - Replace the job's hiring pipeline (Recruiter with OWNER permission)
+// Body: { stages: [{ id?, name, kind? }] } in pipeline order
+router.put('/:id/stages', authMiddleware, requireRole('RECRUITER'), validate({ params: idParams, body: stagesBody }), async (req, res, next) => {
+  try {
+    const { job, status, error: accessError } = await findJobFor(prisma, req.params.id, req.user, 'OWNER');
+    if (accessError) {
+      return sendError(res, status, accessError);
+    }
+
+    const existing = await getStages(prisma, job.id);
+    const { stages, error, field } = parseStageList(req.body.stages, existing);
+    if (error) {
+      return sendValidationError(res, error, field);
+    }
+
+    // Stages left out of the list are removed; they can't hold live applicants
+    const keptIds = stages.map((stage) => stage.id).filter(Boolean);
+    const occupied = await prisma.application.findFirst({
+      where: { jobId: job.id, deletedAt: null, stageId: { not: null, notIn: keptIds } },
+      include: { stage: { select: { name: true } } }
+    });
+    if (occupied) {
+      return sendError(res, 400, `Move applicants out of the ${occupied.stage.name} stage before removing it`);
+    }
+
+    const updated = await replaceStages(prisma, job.id, stages, existing);
+
+    console.log('✅ Job stages updated:', { id: job.id, stages: updated.length });
+
+    res.json({ message: 'Stages updated', stages: updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /jobs/:id/questions - Get the job's screening questions, with knockout rules (Recruiter with access)
+// Applicants see the questions, without knockout rules, on GET /jobs/:id
+router.get('/:id/questions', authMiddleware, requireRole('RECRUITER'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const { job, status, error } = await findJobFor(prisma, req.params.id, req.user, 'VIEWER', {
+      include: { questions: { orderBy: { position: 'asc' } } }
+    });
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    res.json({ questions: job.questions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /jobs/:id/questions - Replace the job's screening questions (Recruiter with OWNER permission)
+// Body: { questions: [{ id?, type, prompt, required?, options?, knockout? }] } in form order
+// Answers already given keep their copy of the question
+router.put('/:id/questions', authMiddleware, requireRole('RECRUITER'), validate({ params: idParams, body: questionsBody }), async (req, res, next) => {
+  try {
+    const { job, status, error: accessError } = await findJobFor(prisma, req.params.id, req.user, 'OWNER', {
+      include: { questions: true }
+    });
+    if (accessError) {
+      return sendError(res, status, accessError);
+    }
+
+    const { questions, error, field } = parseQuestionList(req.body.questions, job.questions);
+    if (error) {
+      return sendValidationError(res, error, field);
+    }
+
+    const updated = await replaceQuestions(prisma, job.id, questions, job.questions);
+
+    console.log('✅ Job questions updated:', { id: job.id, questions: updated.length });
+
+    res.json({ message: 'Questions updated', questions: updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ==================== COLLABORATORS ====================
+
+const COLLABORATOR_SELECT = {
+  permission: true,
+  createdAt: true,
+  user: { select: { id: true, name: true, email: true } },
+  addedBy: { select: { id: true, name: true } }
+};
+
+// GET /jobs/:id/collaborators - Get the job's hiring team (Recruiter with access)
+// The recruiter who posted the job comes first, as OWNER
+router.get('/:id/collaborators', authMiddleware, requireRole('RECRUITER'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const { job, status, error } = await findJobFor(prisma, req.params.id, req.user, 'VIEWER', {
+      include: { recruiter: { select: { id: true, name: true, email: true } } }
+    });
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const collaborators = await prisma.jobCollaborator.findMany({
+      where: { jobId: job.id },
+      select: COLLABORATOR_SELECT,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      collaborators: [
+        { permission: 'OWNER', createdAt: job.createdAt, user: job.recruiter, addedBy: null, postedJob: true },
+        ...collaborators
+      ]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /jobs/:id/collaborators - Share the job with another recruiter (Recruiter with OWNER permission)
+// Body: email, permission (VIEWER, REVIEWER or OWNER; default VIEWER)
+router.post('/:id/collaborators', authMiddleware, requireRole('RECRUITER'), writeLimiter, validate({ params: idParams, body: addCollaboratorBody }), async (req, res, next) => {
+  try {
+    const { job, status, error } = await findJobFor(prisma, req.params.id, req.user, 'OWNER');
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const user = await prisma.user.findFirst({
+      where: { email: { equals: req.body.email, mode: 'insensitive' }, deletedAt: null },
+      select: { id: true, role: true }
+    });
+    if (!user || user.role !== 'RECRUITER') {
+      return sendValidationError(res, 'No recruiter account uses this email', 'email');
+    }
+
+    if (user.id === job.recruiterId || await jobPermission(prisma, job, user.id)) {
+      return sendError(res, 409, 'This recruiter already has access to the job');
+    }
+
+    const collaborator = await prisma.jobCollaborator.create({
+      data: {
+        jobId: job.id,
+        userId: user.id,
+        permission: req.body.permission ?? 'VIEWER',
+        addedById: req.user.userId
       },
-      orderBy: { createdAt: 'desc' }
+      select: COLLABORATOR_SELECT
     });
 
-    res.json({ applicants });
+    await notifyJobShared(prisma, {
+      job,
+      collaborator: { userId: user.id, permission: collaborator.permission },
+      sharedBy: collaborator.addedBy
+    });
+
+    console.log('✅ Job collaborator added:', { jobId: job.id, userId: user.id, permission: collaborator.permission });
+
+    res.status(201).json({ message: 'Collaborator added', collaborator });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /jobs/:id/collaborators/:userId - Change a collaborator's permission (Recruiter with OWNER permission)
+router.patch('/:id/collaborators/:userId', authMiddleware, requireRole('RECRUITER'), validate({ params: collaboratorParams, body: collaboratorBody }), async (req, res, next) => {
+  try {
+    const { job, status, error } = await findJobFor(prisma, req.params.id, req.user, 'OWNER');
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const where = { jobId_userId: { jobId: job.id, userId: req.params.userId } };
+    if (!await prisma.jobCollaborator.findUnique({ where })) {
+      return sendError(res, 404, 'Collaborator not found');
+    }
+
+    const collaborator = await prisma.jobCollaborator.update({
+      where,
+      data: { permission: req.body.permission },
+      select: COLLABORATOR_SELECT
+    });
+
+    console.log('✅ Job collaborator updated:', { jobId: job.id, userId: req.params.userId, permission: collaborator.permission });
+
+    res.json({ message: 'Collaborator updated', collaborator });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /jobs/:id/collaborators/:userId - Remove a collaborator (Recruiter with OWNER permission, or the collaborator leaving)
+router.delete('/:id/collaborators/:userId', authMiddleware, requireRole('RECRUITER'), validate({ params: collaboratorParams }), async (req, res, next) => {
+  try {
+    const leaving = req.params.userId === req.user.userId;
+    const { job, status, error } = await findJobFor(prisma, req.params.id, req.user, leaving ? 'VIEWER' : 'OWNER');
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const { count } = await prisma.jobCollaborator.deleteMany({
+      where: { jobId: job.id, userId: req.params.userId }
+    });
+
+    if (!count) {
+      return sendError(res, 404, 'Collaborator not found');
+    }
+
+    console.log('✅ Job collaborator removed:', { jobId: job.id, userId: req.params.userId, by: req.user.userId });
+
+    res.json({ message: leaving ? 'You left the hiring team' : 'Collaborator removed' });
   } catch (error) {
-    console.error('Get applicants error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
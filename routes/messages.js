@@ -0,0 +1,347 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const { authMiddleware } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { writeLimiter } = require('../middleware/rateLimit');
+const { verifyUploads } = require('../middleware/uploads');
+const { ApiError, sendError, sendValidationError } = require('../utils/errors');
+const { encodeCursor, decodeCursor } = require('../utils/jobSearch');
+const { notifyNewMessage } = require('../utils/notifications');
+const { accessibleJobWhere, authorizeJob } = require('../utils/jobAccess');
+const { contentTypeFor, storeUpload, removeStoredFiles, sendStoredFile } = require('../utils/storage');
+const {
+  applicationIdParams,
+  attachmentParams,
+  listMessagesQuery,
+  sendMessageBody
+} = require('../schemas/messages');
+
+const prisma = new PrismaClient();
+
+// Attachments are private to the thread: they go to the file storage under
+// messages/<applicationId>/ and are only downloaded through this router
+const ATTACHMENT_TYPES = ['.pdf', '.doc', '.docx', '.txt', '.png', '.jpg', '.jpeg', '.gif'];
+const MAX_ATTACHMENTS = 5;
+
+const DEFAULT_LIMIT = 50;
+
+const fileFilter = (req, file, cb) => {
+  if (ATTACHMENT_TYPES.includes(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    const message = `Attachments must be one of: ${ATTACHMENT_TYPES.join(', ')}`;
+    cb(new ApiError(400, message, {
+      code: 'UPLOAD_ERROR',
+      fields: [{ field: file.fieldname, in: 'body', message }]
+    }), false);
+  }
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: { fileSize: 5 * 1024 * 1024, files: MAX_ATTACHMENTS } // 5MB per file
+});
+
+const MESSAGE_SELECT = {
+  id: true,
+  body: true,
+  senderId: true,
+  readAt: true,
+  createdAt: true,
+  attachments: { select: { id: true, fileName: true, mimeType: true, size: true } }
+};
+
+const toClient = (applicationId, message) => ({
+  ...message,
+  attachments: message.attachments.map((attachment) => ({
+    ...attachment,
+    url: `/messages/${applicationId}/attachments/${attachment.id}`
+  }))
+});
+
+// Applications whose threads the user takes part in
+const threadsWhere = (userId) => ({
+  deletedAt: null,
+  job: { deletedAt: null },
+  OR: [{ userId }, { job: accessibleJobWhere(userId, 'VIEWER') }]
+});
+
+/**
+ * Loads the application behind a thread if the user takes part in it: the
+ * applicant, or the job's team (its recruiter and collaborators) as for
+ * GET /applications/:id. Team members need `required` on the job. Admins can
+ * see applications but not their private threads.
+ * Returns { application } or { status, error }.
+ */
+async function findThread(applicationId, user, required = 'VIEWER') {
+  const application = await prisma.application.findFirst({
+    where: { id: applicationId, deletedAt: null, job: { deletedAt: null } },
+    include: {
+      job: { select: { id: true, title: true, company: true, recruiterId: true } },
+      user: { select: { id: true, name: true } }
+    }
+  });
+
+  if (!application) {
+    return { status: 404, error: 'Application not found' };
+  }
+  if (application.userId !== user.userId) {
+    const { status, error } = await authorizeJob(prisma, application.job, user, required);
+    if (error) return { status, error };
+  }
+  return { application };
+}
+
+// Messages of a thread the user receives: the team's for the applicant, the
+// applicant's for anyone on the team (not their colleagues')
+const receivedWhere = (application, userId) => ({
+  applicationId: application.id,
+  senderId: application.userId === userId ? { not: userId } : application.userId
+});
+
+// Unread received messages per thread (see receivedWhere), as a Map of
+// applicationId -> count
+async function countUnread(userId) {
+  const groups = await prisma.message.groupBy({
+    by: ['applicationId', 'senderId'],
+    where: { senderId: { not: userId }, readAt: null, application: threadsWhere(userId) },
+    _count: { _all: true }
+  });
+  if (!groups.length) return new Map();
+
+  const applications = await prisma.application.findMany({
+    where: { id: { in: [...new Set(groups.map((group) => group.applicationId))] } },
+    select: { id: true, userId: true }
+  });
+  const applicants = new Map(applications.map((application) => [application.id, application.userId]));
+
+  const counts = new Map();
+  for (const { applicationId, senderId, _count } of groups) {
+    const applicantId = applicants.get(applicationId);
+    if (applicantId !== userId && senderId !== applicantId) continue;
+    counts.set(applicationId, (counts.get(applicationId) || 0) + _count._all);
+  }
+  return counts;
+}
+
+// Who hears about a new message: the applicant, or the job's whole team
+async function messageRecipients(application, senderId) {
+  if (senderId !== application.userId) return [application.userId];
+  const collaborators = await prisma.jobCollaborator.findMany({
+    where: { jobId: application.job.id },
+    select: { userId: true }
+  });
+  return [application.job.recruiterId, ...collaborators.map((collaborator) => collaborator.userId)];
+}
+
+// Stores the uploaded files, then the message; files stored for a message
+// that fails to save are removed
+async function createMessage(applicationId, senderId, body, files) {
+  const keys = [];
+  try {
+    for (const file of files) {
+      keys.push(await storeUpload(`messages/${applicationId}`, file));
+    }
+    return await prisma.message.create({
+      data: {
+        applicationId,
+        senderId,
+        body,
+        attachments: {
+          create: files.map((file, index) => ({
+            fileName: file.originalname,
+            path: keys[index],
+            mimeType: contentTypeFor(keys[index]),
+            size: file.size
+          }))
+        }
+      },
+      select: MESSAGE_SELECT
+    });
+  } catch (error) {
+    await removeStoredFiles(keys);
+    throw error;
+  }
+}
+
+// GET /messages - Get my threads, most recent first, with unread counts
+router.get('/', authMiddleware, async (req, res, next) => {
+  try {
+    const { userId } = req.user;
+
+    const [applications, unreadCounts] = await Promise.all([
+      prisma.application.findMany({
+        where: { ...threadsWhere(userId), messages: { some: {} } },
+        select: {
+          id: true,
+          status: true,
+          job: { select: { id: true, title: true, company: true, recruiter: { select: { id: true, name: true } } } },
+          user: { select: { id: true, name: true } },
+          messages: { select: MESSAGE_SELECT, orderBy: { createdAt: 'desc' }, take: 1 }
+        }
+      }),
+      countUnread(userId)
+    ]);
+
+    const threads = applications
+      .map(({ messages, job: { recruiter, ...job }, user, ...application }) => ({
+        applicationId: application.id,
+        status: application.status,
+        job,
+        // The other side: the job's recruiter for the applicant, the applicant for the team
+        with: user.id === userId ? recruiter : user,
+        lastMessage: toClient(application.id, messages[0]),
+        unreadCount: unreadCounts.get(application.id) || 0
+      }))
+      .sort((a, b) => b.lastMessage.createdAt - a.lastMessage.createdAt);
+
+    res.json({ threads });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /messages/unread-count - Number of unread messages across my threads
+router.get('/unread-count', authMiddleware, async (req, res, next) => {
+  try {
+    const unreadCounts = await countUnread(req.user.userId);
+    const unreadCount = [...unreadCounts.values()].reduce((sum, count) => sum + count, 0);
+
+    res.json({ unreadCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /messages/:applicationId - Get a thread's messages, newest first
+// Query: limit (max 100), cursor
+router.get('/:applicationId', authMiddleware, validate({ params: applicationIdParams, query: listMessagesQuery }), async (req, res, next) => {
+  try {
+    const { application, status, error } = await findThread(req.params.applicationId, req.user);
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const limit = req.query.limit || DEFAULT_LIMIT;
+    const page = { take: limit + 1 };
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor?.id) {
+        return sendValidationError(res, 'Invalid cursor', 'cursor', 'query');
+      }
+      page.cursor = { id: cursor.id };
+      page.skip = 1;
+    }
+
+    const [rows, unreadCount] = await Promise.all([
+      prisma.message.findMany({
+        where: { applicationId: application.id },
+        select: MESSAGE_SELECT,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        ...page
+      }),
+      prisma.message.count({
+        where: { ...receivedWhere(application, req.user.userId), readAt: null }
+      })
+    ]);
+
+    const hasMore = rows.length > limit;
+    const messages = hasMore ? rows.slice(0, limit) : rows;
+    const nextCursor = hasMore ? encodeCursor({ id: messages[messages.length - 1].id }) : null;
+
+    res.json({
+      messages: messages.map((message) => toClient(application.id, message)),
+      nextCursor,
+      unreadCount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /messages/:applicationId - Send a message (applicant, or the job's
+// recruiter and collaborators with REVIEWER)
+// JSON { body } or multipart with `body` and up to 5 files in `attachments`
+router.post('/:applicationId', authMiddleware, writeLimiter, validate({ params: applicationIdParams }), upload.array('attachments', MAX_ATTACHMENTS), verifyUploads, async (req, res, next) => {
+  const files = req.files || [];
+  try {
+    // Validated here rather than with validate(): multipart bodies arrive after the upload
+    const parsed = sendMessageBody.safeParse(req.body ?? {});
+    if (!parsed.success) {
+      return sendValidationError(res, parsed.error.issues[0].message, 'body');
+    }
+
+    const { application, status, error } = await findThread(req.params.applicationId, req.user, 'REVIEWER');
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const body = parsed.data.body || null;
+    if (!body && !files.length) {
+      return sendValidationError(res, 'Write a message or attach a file', 'body');
+    }
+
+    const message = await createMessage(application.id, req.user.userId, body, files);
+
+    const sender = await prisma.user.findUnique({ where: { id: req.user.userId }, select: { name: true } });
+    const recipientIds = await messageRecipients(application, req.user.userId);
+    await notifyNewMessage(prisma, { message, application, job: application.job, sender, recipientIds });
+
+    console.log('✅ Message sent:', { id: message.id, applicationId: application.id, attachments: files.length });
+
+    res.status(201).json({ message: 'Message sent', sent: toClient(application.id, message) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /messages/:applicationId/read - Mark the messages I received in a thread
+// as read (for the team: read by all of it)
+router.post('/:applicationId/read', authMiddleware, validate({ params: applicationIdParams }), async (req, res, next) => {
+  try {
+    const { application, status, error } = await findThread(req.params.applicationId, req.user);
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const { count } = await prisma.message.updateMany({
+      where: { ...receivedWhere(application, req.user.userId), readAt: null },
+      data: { readAt: new Date() }
+    });
+
+    res.json({ message: 'Messages marked as read', count });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /messages/:applicationId/attachments/:attachmentId - Download an attachment
+router.get('/:applicationId/attachments/:attachmentId', authMiddleware, validate({ params: attachmentParams }), async (req, res, next) => {
+  try {
+    const { application, status, error } = await findThread(req.params.applicationId, req.user);
+    if (error) {
+      return sendError(res, status, error);
+    }
+
+    const attachment = await prisma.messageAttachment.findFirst({
+      where: { id: req.params.attachmentId, message: { applicationId: application.id } }
+    });
+
+    if (!attachment) {
+      return sendError(res, 404, 'Attachment not found');
+    }
+
+    const sent = await sendStoredFile(res, attachment.path, { fileName: attachment.fileName });
+    if (!sent) {
+      return sendError(res, 404, 'Attachment not found');
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const { authMiddleware, streamAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendError, sendValidationError } = require('../utils/errors');
+const { encodeCursor, decodeCursor } = require('../utils/jobSearch');
+const { NOTIFICATION_SELECT } = require('../utils/notifications');
+const { getHub } = require('../utils/notificationHub');
+const { idParams, listNotificationsQuery } = require('../schemas/notifications');
+
+const prisma = new PrismaClient();
+
+const DEFAULT_LIMIT = 20;
+
+// Comment lines sent this often keep proxies from closing idle streams
+const HEARTBEAT_MS = 25 * 1000;
+
+// Notifications replayed to a reconnecting stream, at most
+const MAX_REPLAY = 100;
+
+// GET /notifications - Get my notifications, newest first
+// Query: unread=true, limit (max 100), cursor
+router.get('/', authMiddleware, validate({ query: listNotificationsQuery }), async (req, res, next) => {
+  try {
+    const limit = req.query.limit || DEFAULT_LIMIT;
+    const where = { userId: req.user.userId };
+    if (req.query.unread === 'true') where.readAt = null;
+
+    const page = { take: limit + 1 };
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor?.id) {
+        return sendValidationError(res, 'Invalid cursor', 'cursor', 'query');
+      }
+      page.cursor = { id: cursor.id };
+      page.skip = 1;
+    }
+
+    const [rows, unreadCount] = await Promise.all([
+      prisma.notification.findMany({
+        where,
+        select: NOTIFICATION_SELECT,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        ...page
+      }),
+      prisma.notification.count({ where: { userId: req.user.userId, readAt: null } })
+    ]);
+
+    const hasMore = rows.length > limit;
+    const notifications = hasMore ? rows.slice(0, limit) : rows;
+    const nextCursor = hasMore ? encodeCursor({ id: notifications[notifications.length - 1].id }) : null;
+
+    res.json({ notifications, nextCursor, unreadCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /notifications/stream - Live notifications as Server-Sent Events
+// Token in the Authorization header or ?token= (for EventSource). The stream
+// ends when the token expires; reconnect with a fresh one. Notifications
+// missed since Last-Event-ID are sent first.
+router.get('/stream', streamAuth, async (req, res, next) => {
+  const { userId } = req.user;
+
+  const send = (notification) => {
+    res.write(`id: ${notification.id}\nevent: notification\ndata: ${JSON.stringify(notification)}\n\n`);
+  };
+
+  // Subscribe before replaying, so nothing created meanwhile is lost; clients
+  // may see a notification twice and should de-duplicate by id
+  const unsubscribe = getHub().subscribe(userId, send);
+  let heartbeat = null;
+  let expiry = null;
+  const cleanUp = () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+  };
+  req.on('close', cleanUp);
+
+  let missed = [];
+  try {
+    const lastEventId = req.get('Last-Event-ID');
+    const last = lastEventId
+      ? await prisma.notification.findFirst({ where: { id: lastEventId, userId }, select: { createdAt: true } })
+      : null;
+    if (last) {
+      missed = await prisma.notification.findMany({
+        where: { userId, createdAt: { gt: last.createdAt } },
+        select: NOTIFICATION_SELECT,
+        orderBy: { createdAt: 'asc' },
+        take: MAX_REPLAY
+      });
+    }
+  } catch (error) {
+    cleanUp();
+    return next(error);
+  }
+
+  // The client left during the replay: cleanUp has run, start nothing
+  if (req.destroyed || res.writableEnded) return;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+  missed.forEach(send);
+
+  heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  if (req.tokenExpiresAt) {
+    expiry = setTimeout(() => {
+      res.write('event: token-expired\ndata: {}\n\n');
+      res.end();
+    }, Math.min(Math.max(0, req.tokenExpiresAt - Date.now()), 2 ** 31 - 1));
+  }
+});
+
+// POST /notifications/read-all - Mark all my notifications as read
+router.post('/read-all', authMiddleware, async (req, res, next) => {
+  try {
+    const { count } = await prisma.notification.updateMany({
+      where: { userId: req.user.userId, readAt: null },
+      data: { readAt: new Date() }
+    });
+
+    res.json({ message: 'All notifications marked as read', count });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /notifications/:id/read - Mark a notification as read
+router.patch('/:id/read', authMiddleware, validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const notification = await prisma.notification.findFirst({
+      where: { id: req.params.id, userId: req.user.userId },
+      select: { id: true, readAt: true }
+    });
+
+    if (!notification) {
+      return sendError(res, 404, 'Notification not found');
+    }
+
+    const updated = notification.readAt
+      ? await prisma.notification.findUnique({ where: { id: notification.id }, select: NOTIFICATION_SELECT })
+      : await prisma.notification.update({
+        where: { id: notification.id },
+        data: { readAt: new Date() },
+        select: NOTIFICATION_SELECT
+      });
+
+    res.json({ message: 'Notification marked as read', notification: updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -2,22 +2,46 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 const { PrismaClient } = require('@prisma/client');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, signedLinkOrAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { uploadLimiter } = require('../middleware/rateLimit');
+const { verifyUploads } = require('../middleware/uploads');
+const { ApiError, sendError } = require('../utils/errors');
+const { extractResumeText } = require('../utils/resumeText');
+const { refreshExperienceMonths } = require('../utils/experience');
+const { setProfileSkills, getTaxonomy } = require('../utils/skills');
+const { getStorage, newKey, storeUpload, removeStoredFiles, sendStoredFile } = require('../utils/storage');
+const { storeAvatar, removeAvatar } = require('../utils/images');
+const { signPath } = require('../utils/fileLinks');
+const { resumeUrl, withResumeUrl, canViewResume } = require('../utils/resumeAccess');
+const { renderResume, resumeFileName } = require('../utils/resumePdf');
+const { IMPORT_FORMATS, readProfileImport, diffImport, toJsonResume } = require('../utils/profileTransfer');
+const {
+  MAX_SKILLS,
+  idParams,
+  userIdParams,
+  basicBody,
+  aboutBody,
+  skillsBody,
+  experienceBody,
+  updateExperienceBody,
+  educationBody,
+  updateEducationBody,
+  generateResumeOptions,
+  importBody,
+  exportQuery
+} = require('../schemas/profile');
 
 const prisma = new PrismaClient();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const dir = file.fieldname === 'resume' ? 'uploads/resumes' : 'uploads/avatars';
-    cb(null, dir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, req.user.userId + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
+// Uploads are kept in memory, then handed to the file storage (utils/storage.js)
+const storage = multer.memoryStorage();
+
+// Rejected files end the request with a 400 through the error handler
+const uploadError = (file, message) => new ApiError(400, message, {
+  code: 'UPLOAD_ERROR',
+  fields: [{ field: file.fieldname, in: 'body', message }]
 });
 
 const fileFilter = (req, file, cb) => {
@@ -28,7 +52,7 @@ const fileFilter = (req, file, cb) => {
     if (allowedTypes.includes(ext)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF, DOC, DOCX files are allowed for resume'), false);
+      cb(uploadError(file, 'Only PDF, DOC, DOCX files are allowed for resume'), false);
     }
   } else if (file.fieldname === 'avatar') {
     // Allow images
@@ -37,7 +61,15 @@ const fileFilter = (req, file, cb) => {
     if (allowedTypes.includes(ext)) {
       cb(null, true);
     } else {
-      cb(new Error('Only JPG, PNG, GIF files are allowed for avatar'), false);
+      cb(uploadError(file, 'Only JPG, PNG, GIF files are allowed for avatar'), false);
+    }
+  } else if (file.fieldname === 'file') {
+    // Profile imports: JSON Resume or a LinkedIn export archive
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (IMPORT_FORMATS[ext]) {
+      cb(null, true);
+    } else {
+      cb(uploadError(file, 'Only JSON (JSON Resume) and ZIP (LinkedIn export) files can be imported'), false);
     }
   } else {
     cb(null, true);
@@ -50,10 +82,17 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 });
 
+// LinkedIn archives can hold much more than the profile; only a few CSVs are read
+const importUpload = multer({
+  storage,
+  fileFilter,
+  limits: { fileSize: 20 * 1024 * 1024 } // 20MB limit
+});
+
 // ==================== PROFILE ROUTES ====================
 
 // GET /profile - Get my profile
-router.get('/', authMiddleware, async (req, res) => {
+router.get('/', authMiddleware, async (req, res, next) => {
   try {
     let profile = await prisma.profile.findUnique({
       where: { userId: req.user.userId },
@@ -80,18 +119,40 @@ router.get('/', authMiddleware, async (req, res) => {
       });
     }
 
-    res.json({ profile });
+    res.json({ profile: withResumeUrl(profile) });
   } catch (error) {
-    console.error('Get profile error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
-// GET /profile/:userId - Get profile by user ID (public)
-router.get('/:userId', async (req, res) => {
+// GET /profile/export - Download my profile as a JSON Resume document
+// (declared before /:userId, which would match it)
+router.get('/export', authMiddleware, validate({ query: exportQuery }), async (req, res, next) => {
   try {
     const profile = await prisma.profile.findUnique({
-      where: { userId: req.params.userId },
+      where: { userId: req.user.userId },
+      include: {
+        experiences: { orderBy: { startDate: 'desc' } },
+        education: { orderBy: { startYear: 'desc' } },
+        user: { select: { email: true, name: true } }
+      }
+    });
+    if (!profile) {
+      return sendError(res, 404, 'Profile not found');
+    }
+
+    res.attachment('resume.json');
+    res.json(toJsonResume(profile));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /profile/:userId - Get profile by user ID (public)
+router.get('/:userId', validate({ params: userIdParams }), async (req, res, next) => {
+  try {
+    const profile = await prisma.profile.findFirst({
+      where: { userId: req.params.userId, user: { deletedAt: null } },
       include: {
         experiences: { orderBy: { startDate: 'desc' } },
         education: { orderBy: { startYear: 'desc' } },
@@ -100,18 +161,20 @@ router.get('/:userId', async (req, res) => {
     });
 
     if (!profile) {
-      return res.status(404).json({ message: 'Profile not found' });
+      return sendError(res, 404, 'Profile not found');
     }
 
-    res.json({ profile });
+    // Extracted resume text is for recruiter search, not the public profile
+    delete profile.resumeText;
+
+    res.json({ profile: withResumeUrl(profile) });
   } catch (error) {
-    console.error('Get profile by ID error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // PUT /profile/basic - Update basic info
-router.put('/basic', authMiddleware, async (req, res) => {
+router.put('/basic', authMiddleware, validate({ body: basicBody }), async (req, res, next) => {
   try {
     const { name, headline, location, phone } = req.body;
 
@@ -133,15 +196,14 @@ router.put('/basic', authMiddleware, async (req, res) => {
 
     console.log('✅ Profile basic info updated:', { userId: req.user.userId });
 
-    res.json({ message: 'Profile updated', profile });
+    res.json({ message: 'Profile updated', profile: withResumeUrl(profile) });
   } catch (error) {
-    console.error('Update basic info error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // PUT /profile/about - Update about section
-router.put('/about', authMiddleware, async (req, res) => {
+router.put('/about', authMiddleware, validate({ body: aboutBody }), async (req, res, next) => {
   try {
     const { about } = req.body;
 
@@ -156,51 +218,32 @@ router.put('/about', authMiddleware, async (req, res) => {
 
     console.log('✅ Profile about updated:', { userId: req.user.userId });
 
-    res.json({ message: 'About section updated', profile });
+    res.json({ message: 'About section updated', profile: withResumeUrl(profile) });
   } catch (error) {
-    console.error('Update about error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
-// PUT /profile/skills - Update skills
-router.put('/skills', authMiddleware, async (req, res) => {
+// PUT /profile/skills - Update skills (stored in their canonical spelling)
+router.put('/skills', authMiddleware, validate({ body: skillsBody }), async (req, res, next) => {
   try {
-    const { skills } = req.body;
-
-    if (!Array.isArray(skills)) {
-      return res.status(400).json({ message: 'Skills must be an array' });
-    }
-
-    const profile = await prisma.profile.upsert({
-      where: { userId: req.user.userId },
-      update: { skills },
-      create: {
-        userId: req.user.userId,
-        skills
-      }
-    });
+    const { profile, skills } = await setProfileSkills(prisma, req.user.userId, req.body.skills);
 
     console.log('✅ Profile skills updated:', { userId: req.user.userId, skillsCount: skills.length });
 
-    res.json({ message: 'Skills updated', profile });
+    res.json({ message: 'Skills updated', profile: withResumeUrl(profile) });
   } catch (error) {
-    console.error('Update skills error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // ==================== EXPERIENCE ROUTES ====================
 
 // POST /profile/experience - Add experience
-router.post('/experience', authMiddleware, async (req, res) => {
+router.post('/experience', authMiddleware, validate({ body: experienceBody }), async (req, res, next) => {
   try {
     const { title, company, location, startDate, endDate, current, description } = req.body;
 
-    if (!title || !company || !startDate) {
-      return res.status(400).json({ message: 'Title, company, and start date are required' });
-    }
-
     // Ensure profile exists
     let profile = await prisma.profile.findUnique({ where: { userId: req.user.userId } });
     if (!profile) {
@@ -221,18 +264,18 @@ router.post('/experience', authMiddleware, async (req, res) => {
         description
       }
     });
+    await refreshExperienceMonths(prisma, profile.id);
 
     console.log('✅ Experience added:', { id: experience.id, title });
 
     res.status(201).json({ message: 'Experience added', experience });
   } catch (error) {
-    console.error('Add experience error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // PUT /profile/experience/:id - Update experience
-router.put('/experience/:id', authMiddleware, async (req, res) => {
+router.put('/experience/:id', authMiddleware, validate({ params: idParams, body: updateExperienceBody }), async (req, res, next) => {
   try {
     const { title, company, location, startDate, endDate, current, description } = req.body;
 
@@ -243,7 +286,7 @@ router.put('/experience/:id', authMiddleware, async (req, res) => {
     });
 
     if (!existing || existing.profile.userId !== req.user.userId) {
-      return res.status(403).json({ message: 'Not authorized' });
+      return sendError(res, 403, 'Not authorized');
     }
 
     const experience = await prisma.experience.update({
@@ -258,18 +301,18 @@ router.put('/experience/:id', authMiddleware, async (req, res) => {
         description
       }
     });
+    await refreshExperienceMonths(prisma, existing.profileId);
 
     console.log('✅ Experience updated:', { id: experience.id });
 
     res.json({ message: 'Experience updated', experience });
   } catch (error) {
-    console.error('Update experience error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // DELETE /profile/experience/:id - Delete experience
-router.delete('/experience/:id', authMiddleware, async (req, res) => {
+router.delete('/experience/:id', authMiddleware, validate({ params: idParams }), async (req, res, next) => {
   try {
     // Verify ownership
     const existing = await prisma.experience.findUnique({
@@ -278,31 +321,27 @@ router.delete('/experience/:id', authMiddleware, async (req, res) => {
     });
 
     if (!existing || existing.profile.userId !== req.user.userId) {
-      return res.status(403).json({ message: 'Not authorized' });
+      return sendError(res, 403, 'Not authorized');
     }
 
     await prisma.experience.delete({ where: { id: req.params.id } });
+    await refreshExperienceMonths(prisma, existing.profileId);
 
     console.log('✅ Experience deleted:', { id: req.params.id });
 
     res.json({ message: 'Experience deleted' });
   } catch (error) {
-    console.error('Delete experience error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // ==================== EDUCATION ROUTES ====================
 
 // POST /profile/education - Add education
-router.post('/education', authMiddleware, async (req, res) => {
+router.post('/education', authMiddleware, validate({ body: educationBody }), async (req, res, next) => {
   try {
     const { institution, degree, fieldOfStudy, startYear, endYear, grade } = req.body;
 
-    if (!institution || !degree || !fieldOfStudy || !startYear) {
-      return res.status(400).json({ message: 'Institution, degree, field of study, and start year are required' });
-    }
-
     // Ensure profile exists
     let profile = await prisma.profile.findUnique({ where: { userId: req.user.userId } });
     if (!profile) {
@@ -327,13 +366,12 @@ router.post('/education', authMiddleware, async (req, res) => {
 
     res.status(201).json({ message: 'Education added', education });
   } catch (error) {
-    console.error('Add education error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // PUT /profile/education/:id - Update education
-router.put('/education/:id', authMiddleware, async (req, res) => {
+router.put('/education/:id', authMiddleware, validate({ params: idParams, body: updateEducationBody }), async (req, res, next) => {
   try {
     const { institution, degree, fieldOfStudy, startYear, endYear, grade } = req.body;
 
@@ -344,7 +382,7 @@ router.put('/education/:id', authMiddleware, async (req, res) => {
     });
 
     if (!existing || existing.profile.userId !== req.user.userId) {
-      return res.status(403).json({ message: 'Not authorized' });
+      return sendError(res, 403, 'Not authorized');
     }
 
     const education = await prisma.education.update({
@@ -363,13 +401,12 @@ router.put('/education/:id', authMiddleware, async (req, res) => {
 
     res.json({ message: 'Education updated', education });
   } catch (error) {
-    console.error('Update education error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // DELETE /profile/education/:id - Delete education
-router.delete('/education/:id', authMiddleware, async (req, res) => {
+router.delete('/education/:id', authMiddleware, validate({ params: idParams }), async (req, res, next) => {
   try {
     // Verify ownership
     const existing = await prisma.education.findUnique({
@@ -378,7 +415,7 @@ router.delete('/education/:id', authMiddleware, async (req, res) => {
     });
 
     if (!existing || existing.profile.userId !== req.user.userId) {
-      return res.status(403).json({ message: 'Not authorized' });
+      return sendError(res, 403, 'Not authorized');
     }
 
     await prisma.education.delete({ where: { id: req.params.id } });
@@ -387,66 +424,171 @@ router.delete('/education/:id', authMiddleware, async (req, res) => {
 
     res.json({ message: 'Education deleted' });
   } catch (error) {
-    console.error('Delete education error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
+  }
+});
+
+// ==================== IMPORT ROUTES ====================
+
+// POST /profile/import/preview - Read a JSON Resume file (.json) or a LinkedIn
+// data export (.zip) and show what importing it would change. Nothing is saved.
+router.post('/import/preview', authMiddleware, uploadLimiter, importUpload.single('file'), verifyUploads, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return sendError(res, 400, 'No file uploaded');
+    }
+
+    const { format, data } = readProfileImport(req.file);
+    const profile = await prisma.profile.findUnique({
+      where: { userId: req.user.userId },
+      include: { experiences: true, education: true }
+    });
+
+    // What POST /profile/import would reject, so it can be fixed first
+    const result = importBody.safeParse(data);
+    const issues = result.success ? [] : result.error.issues.map((issue) => ({
+      field: issue.path.join('.'),
+      message: issue.message
+    }));
+
+    res.json({
+      format,
+      import: data,
+      changes: diffImport(profile, data, await getTaxonomy(prisma)),
+      issues
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /profile/import - Apply an import: fills in basics, adds skills and
+// the experience and education entries the profile doesn't have yet
+router.post('/import', authMiddleware, validate({ body: importBody }), async (req, res, next) => {
+  try {
+    let profile = await prisma.profile.findUnique({
+      where: { userId: req.user.userId },
+      include: { experiences: true, education: true }
+    });
+    if (!profile) {
+      profile = await prisma.profile.create({
+        data: { userId: req.user.userId },
+        include: { experiences: true, education: true }
+      });
+    }
+
+    const changes = diffImport(profile, req.body, await getTaxonomy(prisma));
+    if (profile.skills.length + changes.skills.added.length > MAX_SKILLS) {
+      return sendError(res, 400, `A profile can have at most ${MAX_SKILLS} skills`);
+    }
+
+    await prisma.$transaction([
+      prisma.profile.update({
+        where: { id: profile.id },
+        data: Object.fromEntries(changes.basics.map(({ field, imported }) => [field, imported]))
+      }),
+      prisma.experience.createMany({
+        data: changes.experiences.added.map((experience) => ({
+          profileId: profile.id,
+          ...experience,
+          endDate: experience.current ? null : experience.endDate,
+          current: experience.current || false
+        }))
+      }),
+      prisma.education.createMany({
+        data: changes.education.added.map((education) => ({ profileId: profile.id, ...education }))
+      })
+    ]);
+    if (changes.experiences.added.length) {
+      await refreshExperienceMonths(prisma, profile.id);
+    }
+    if (changes.skills.added.length) {
+      await setProfileSkills(prisma, req.user.userId, [...profile.skills, ...changes.skills.added]);
+    }
+
+    const imported = {
+      basics: changes.basics.map(({ field }) => field),
+      skills: changes.skills.added.length,
+      experiences: changes.experiences.added.length,
+      education: changes.education.added.length
+    };
+
+    console.log('✅ Profile imported:', { userId: req.user.userId, ...imported });
+
+    const updated = await prisma.profile.findUnique({
+      where: { id: profile.id },
+      include: {
+        experiences: { orderBy: { startDate: 'desc' } },
+        education: { orderBy: { startYear: 'desc' } }
+      }
+    });
+
+    res.json({ message: 'Profile imported', imported, profile: withResumeUrl(updated) });
+  } catch (error) {
+    next(error);
   }
 });
 
 // ==================== RESUME ROUTES ====================
 
 // POST /profile/resume - Upload resume
-router.post('/resume', authMiddleware, upload.single('resume'), async (req, res) => {
+router.post('/resume', authMiddleware, uploadLimiter, upload.single('resume'), verifyUploads, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ message: 'No file uploaded' });
+      return sendError(res, 400, 'No file uploaded');
     }
 
-    const resumeUrl = `/uploads/resumes/${req.file.filename}`;
+    const existing = await prisma.profile.findUnique({ where: { userId: req.user.userId }, select: { resume: true } });
+    const key = await storeUpload(`resumes/${req.user.userId}`, req.file);
+
+    // Null when the file can't be read; the upload still counts
+    const resumeText = await extractResumeText(req.file.buffer, req.file.originalname);
 
     const profile = await prisma.profile.upsert({
       where: { userId: req.user.userId },
       update: {
-        resume: resumeUrl,
+        resume: key,
         resumeName: req.file.originalname,
+        resumeText,
         resumeUpdatedAt: new Date()
       },
       create: {
         userId: req.user.userId,
-        resume: resumeUrl,
+        resume: key,
         resumeName: req.file.originalname,
+        resumeText,
         resumeUpdatedAt: new Date()
       }
     });
+    await removeStoredFiles([existing?.resume]);
 
-    console.log('✅ Resume uploaded:', { userId: req.user.userId, filename: req.file.originalname });
+    console.log('✅ Resume uploaded:', {
+      userId: req.user.userId,
+      filename: req.file.originalname,
+      textLength: resumeText?.length ?? 0
+    });
 
     res.json({
       message: 'Resume uploaded',
       resume: {
-        url: resumeUrl,
+        url: resumeUrl(req.user.userId),
         name: req.file.originalname,
-        updatedAt: profile.resumeUpdatedAt
+        updatedAt: profile.resumeUpdatedAt,
+        searchable: !!resumeText
       }
     });
   } catch (error) {
-    console.error('Upload resume error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // DELETE /profile/resume - Delete resume
-router.delete('/resume', authMiddleware, async (req, res) => {
+router.delete('/resume', authMiddleware, async (req, res, next) => {
   try {
     const profile = await prisma.profile.findUnique({ where: { userId: req.user.userId } });
 
     if (!profile || !profile.resume) {
-      return res.status(404).json({ message: 'No resume found' });
-    }
-
-    // Delete file from disk
-    const filePath = path.join(__dirname, '..', profile.resume);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
+      return sendError(res, 404, 'No resume found');
     }
 
     await prisma.profile.update({
@@ -454,83 +596,192 @@ router.delete('/resume', authMiddleware, async (req, res) => {
       data: {
         resume: null,
         resumeName: null,
+        resumeText: null,
         resumeUpdatedAt: null
       }
     });
+    await removeStoredFiles([profile.resume]);
 
     console.log('✅ Resume deleted:', { userId: req.user.userId });
 
     res.json({ message: 'Resume deleted' });
   } catch (error) {
-    console.error('Delete resume error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
+  }
+});
+
+// Profile with everything a generated resume shows
+const findResumeProfile = (userId) => prisma.profile.findUnique({
+  where: { userId },
+  include: {
+    experiences: { orderBy: { startDate: 'desc' } },
+    education: { orderBy: { startYear: 'desc' } },
+    user: { select: { email: true, name: true } }
+  }
+});
+
+// GET /profile/resume/generate - Render my profile as a PDF resume (?template=classic|modern)
+router.get('/resume/generate', authMiddleware, validate({ query: generateResumeOptions }), async (req, res, next) => {
+  try {
+    const profile = await findResumeProfile(req.user.userId);
+    if (!profile) {
+      return sendError(res, 404, 'Profile not found');
+    }
+
+    const pdf = await renderResume(profile, req.query.template);
+
+    res.attachment(resumeFileName(profile));
+    res.type('application/pdf');
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /profile/resume/generate - Render my profile as a PDF and save it as my resume
+router.post('/resume/generate', authMiddleware, validate({ body: generateResumeOptions }), async (req, res, next) => {
+  try {
+    const profile = await findResumeProfile(req.user.userId);
+    if (!profile) {
+      return sendError(res, 404, 'Profile not found');
+    }
+
+    const pdf = await renderResume(profile, req.body.template);
+    const fileName = resumeFileName(profile);
+    const key = newKey(`resumes/${req.user.userId}`, fileName);
+    await getStorage().put(key, pdf, { contentType: 'application/pdf' });
+
+    const resumeText = await extractResumeText(pdf, fileName);
+
+    const updated = await prisma.profile.update({
+      where: { userId: req.user.userId },
+      data: {
+        resume: key,
+        resumeName: fileName,
+        resumeText,
+        resumeUpdatedAt: new Date()
+      }
+    });
+    await removeStoredFiles([profile.resume]);
+
+    console.log('✅ Resume generated:', {
+      userId: req.user.userId,
+      template: req.body.template,
+      size: pdf.length
+    });
+
+    res.json({
+      message: 'Resume generated',
+      resume: {
+        url: resumeUrl(req.user.userId),
+        name: fileName,
+        updatedAt: updated.resumeUpdatedAt,
+        searchable: !!resumeText
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /profile/:userId/resume - Download a resume (the owner, recruiters the
+// candidate applied to, admins), or anyone holding a signed link to it
+router.get('/:userId/resume', signedLinkOrAuth, validate({ params: userIdParams }), async (req, res, next) => {
+  try {
+    if (!req.signedLink && !(await canViewResume(prisma, req.user, req.params.userId))) {
+      return sendError(res, 403, 'Not authorized');
+    }
+
+    const profile = await prisma.profile.findFirst({
+      where: { userId: req.params.userId, user: { deletedAt: null } },
+      select: { resume: true, resumeName: true }
+    });
+
+    const sent = profile?.resume && await sendStoredFile(res, profile.resume, { fileName: profile.resumeName });
+    if (!sent) {
+      return sendError(res, 404, 'No resume found');
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /profile/:userId/resume/link - Get an expiring signed link to a resume
+// (same access as downloading it)
+router.get('/:userId/resume/link', authMiddleware, validate({ params: userIdParams }), async (req, res, next) => {
+  try {
+    if (!(await canViewResume(prisma, req.user, req.params.userId))) {
+      return sendError(res, 403, 'Not authorized');
+    }
+
+    const profile = await prisma.profile.findFirst({
+      where: { userId: req.params.userId, user: { deletedAt: null } },
+      select: { resume: true }
+    });
+    if (!profile?.resume) {
+      return sendError(res, 404, 'No resume found');
+    }
+
+    res.json(signPath(resumeUrl(req.params.userId)));
+  } catch (error) {
+    next(error);
   }
 });
 
 // ==================== AVATAR ROUTES ====================
 
-// POST /profile/avatar - Upload avatar
-router.post('/avatar', authMiddleware, upload.single('avatar'), async (req, res) => {
+// POST /profile/avatar - Upload avatar, stored as square WebP thumbnails
+router.post('/avatar', authMiddleware, uploadLimiter, upload.single('avatar'), verifyUploads, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ message: 'No file uploaded' });
+      return sendError(res, 400, 'No file uploaded');
     }
 
-    // Delete old avatar if exists
     const existingProfile = await prisma.profile.findUnique({ where: { userId: req.user.userId } });
-    if (existingProfile?.avatar) {
-      const oldPath = path.join(__dirname, '..', existingProfile.avatar);
-      if (fs.existsSync(oldPath)) {
-        fs.unlinkSync(oldPath);
-      }
-    }
 
-    const avatarUrl = `/uploads/avatars/${req.file.filename}`;
+    // Avatars are public, served at /files/avatars/...
+    const { avatar, sizes } = await storeAvatar(req.file.buffer);
 
-    const profile = await prisma.profile.upsert({
+    await prisma.profile.upsert({
       where: { userId: req.user.userId },
-      update: { avatar: avatarUrl },
+      update: { avatar },
       create: {
         userId: req.user.userId,
-        avatar: avatarUrl
+        avatar
       }
     });
 
+    // Delete old avatar if exists
+    await removeAvatar(existingProfile?.avatar);
+
     console.log('✅ Avatar uploaded:', { userId: req.user.userId });
 
-    res.json({ message: 'Avatar uploaded', avatar: avatarUrl });
+    res.json({ message: 'Avatar uploaded', avatar, sizes });
   } catch (error) {
-    console.error('Upload avatar error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // DELETE /profile/avatar - Delete avatar
-router.delete('/avatar', authMiddleware, async (req, res) => {
+router.delete('/avatar', authMiddleware, async (req, res, next) => {
   try {
     const profile = await prisma.profile.findUnique({ where: { userId: req.user.userId } });
 
     if (!profile || !profile.avatar) {
-      return res.status(404).json({ message: 'No avatar found' });
-    }
-
-    // Delete file from disk
-    const filePath = path.join(__dirname, '..', profile.avatar);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
+      return sendError(res, 404, 'No avatar found');
     }
 
     await prisma.profile.update({
       where: { userId: req.user.userId },
       data: { avatar: null }
     });
+    await removeAvatar(profile.avatar);
 
     console.log('✅ Avatar deleted:', { userId: req.user.userId });
 
     res.json({ message: 'Avatar deleted' });
   } catch (error) {
-    console.error('Delete avatar error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
@@ -2,18 +2,21 @@ const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
 const { authMiddleware, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendError } = require('../utils/errors');
+const { jobIdParams } = require('../schemas/savedJobs');
 
 const prisma = new PrismaClient();
 
 // POST /saved-jobs/:jobId - Save a job
-router.post('/:jobId', authMiddleware, requireRole('JOB_SEEKER'), async (req, res) => {
+router.post('/:jobId', authMiddleware, requireRole('JOB_SEEKER'), validate({ params: jobIdParams }), async (req, res, next) => {
   try {
     const jobId = req.params.jobId;
 
     // Check if job exists
-    const job = await prisma.job.findUnique({ where: { id: jobId } });
-    if (!job) {
-      return res.status(404).json({ message: 'Job not found' });
+    const job = await prisma.job.findFirst({ where: { id: jobId, deletedAt: null } });
+    if (!job || job.status === 'DRAFT') {
+      return sendError(res, 404, 'Job not found');
     }
 
     // Check if already saved
@@ -27,7 +30,7 @@ router.post('/:jobId', authMiddleware, requireRole('JOB_SEEKER'), async (req, re
     });
 
     if (existing) {
-      return res.status(400).json({ message: 'Job already saved' });
+      return sendError(res, 409, 'Job already saved');
     }
 
     await prisma.savedJob.create({
@@ -41,16 +44,15 @@ router.post('/:jobId', authMiddleware, requireRole('JOB_SEEKER'), async (req, re
 
     res.json({ message: 'Job saved' });
   } catch (error) {
-    console.error('Save job error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // GET /saved-jobs - Get saved jobs
-router.get('/', authMiddleware, requireRole('JOB_SEEKER'), async (req, res) => {
+router.get('/', authMiddleware, requireRole('JOB_SEEKER'), async (req, res, next) => {
   try {
     const savedJobs = await prisma.savedJob.findMany({
-      where: { userId: req.user.userId },
+      where: { userId: req.user.userId, job: { deletedAt: null } },
       include: {
         job: {
           include: {
@@ -63,13 +65,12 @@ router.get('/', authMiddleware, requireRole('JOB_SEEKER'), async (req, res) => {
 
     res.json({ savedJobs });
   } catch (error) {
-    console.error('Get saved jobs error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // DELETE /saved-jobs/:jobId - Remove saved job
-router.delete('/:jobId', authMiddleware, requireRole('JOB_SEEKER'), async (req, res) => {
+router.delete('/:jobId', authMiddleware, requireRole('JOB_SEEKER'), validate({ params: jobIdParams }), async (req, res, next) => {
   try {
     const jobId = req.params.jobId;
 
@@ -83,7 +84,7 @@ router.delete('/:jobId', authMiddleware, requireRole('JOB_SEEKER'), async (req,
     });
 
     if (!savedJob) {
-      return res.status(404).json({ message: 'Saved job not found' });
+      return sendError(res, 404, 'Saved job not found');
     }
 
     await prisma.savedJob.delete({
@@ -99,13 +100,12 @@ router.delete('/:jobId', authMiddleware, requireRole('JOB_SEEKER'), async (req,
 
     res.json({ message: 'Job removed from saved' });
   } catch (error) {
-    console.error('Remove saved job error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
 // GET /saved-jobs/check/:jobId - Check if job is saved
-router.get('/check/:jobId', authMiddleware, requireRole('JOB_SEEKER'), async (req, res) => {
+router.get('/check/:jobId', authMiddleware, requireRole('JOB_SEEKER'), validate({ params: jobIdParams }), async (req, res, next) => {
   try {
     const savedJob = await prisma.savedJob.findUnique({
       where: {
@@ -118,8 +118,7 @@ router.get('/check/:jobId', authMiddleware, requireRole('JOB_SEEKER'), async (re
 
     res.json({ isSaved: !!savedJob });
   } catch (error) {
-    console.error('Check saved job error:', error);
-    res.status(500).json({ message: 'Server error' });
+    next(error);
   }
 });
 
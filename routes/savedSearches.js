@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { sendError, sendValidationError } = require('../utils/errors');
+const {
+  MAX_SAVED_SEARCHES,
+  createUnsubscribeToken,
+  parseSavedSearchFilters,
+  describeFilters
+} = require('../utils/savedSearches');
+const {
+  idParams,
+  createSavedSearchBody,
+  updateSavedSearchBody,
+  unsubscribeBody
+} = require('../schemas/savedSearches');
+
+const prisma = new PrismaClient();
+
+// The unsubscribe token only ever leaves the server in alert emails
+const SAVED_SEARCH_SELECT = {
+  id: true,
+  name: true,
+  filters: true,
+  frequency: true,
+  alertsEnabled: true,
+  lastAlertedAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+// POST /saved-searches/unsubscribe - Turn off a search's alerts from the link in an alert email (Public)
+router.post('/unsubscribe', validate({ body: unsubscribeBody }), async (req, res, next) => {
+  try {
+    const { count } = await prisma.savedSearch.updateMany({
+      where: { unsubscribeToken: req.body.token },
+      data: { alertsEnabled: false }
+    });
+
+    if (!count) {
+      return sendError(res, 404, 'Saved search not found');
+    }
+
+    console.log('✅ Search alert unsubscribed');
+
+    res.json({ message: 'Unsubscribed from alerts' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /saved-searches - Save a search (Job Seeker only)
+// Body: filters (GET /jobs filters), name, frequency (INSTANT, DAILY, WEEKLY), alertsEnabled
+router.post('/', authMiddleware, requireRole('JOB_SEEKER'), validate({ body: createSavedSearchBody }), async (req, res, next) => {
+  try {
+    const { filters, error, field } = parseSavedSearchFilters(req.body.filters);
+    if (error) {
+      return sendValidationError(res, error, field);
+    }
+
+    const count = await prisma.savedSearch.count({ where: { userId: req.user.userId } });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return sendError(res, 400, `You can save up to ${MAX_SAVED_SEARCHES} searches. Delete one first.`);
+    }
+
+    const savedSearch = await prisma.savedSearch.create({
+      data: {
+        userId: req.user.userId,
+        name: req.body.name || describeFilters(filters),
+        filters,
+        frequency: req.body.frequency,
+        alertsEnabled: req.body.alertsEnabled,
+        unsubscribeToken: createUnsubscribeToken()
+      },
+      select: SAVED_SEARCH_SELECT
+    });
+
+    console.log('✅ Search saved:', { id: savedSearch.id, userId: req.user.userId, frequency: savedSearch.frequency });
+
+    res.status(201).json({ message: 'Search saved', savedSearch });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /saved-searches - Get my saved searches (Job Seeker only)
+router.get('/', authMiddleware, requireRole('JOB_SEEKER'), async (req, res, next) => {
+  try {
+    const savedSearches = await prisma.savedSearch.findMany({
+      where: { userId: req.user.userId },
+      select: SAVED_SEARCH_SELECT,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({ savedSearches });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /saved-searches/:id - Update a saved search or its alerts (Job Seeker only)
+router.patch('/:id', authMiddleware, requireRole('JOB_SEEKER'), validate({ params: idParams, body: updateSavedSearchBody }), async (req, res, next) => {
+  try {
+    const savedSearch = await prisma.savedSearch.findFirst({
+      where: { id: req.params.id, userId: req.user.userId }
+    });
+
+    if (!savedSearch) {
+      return sendError(res, 404, 'Saved search not found');
+    }
+
+    const { name, frequency, alertsEnabled } = req.body;
+    const data = { name, frequency, alertsEnabled };
+
+    if (req.body.filters !== undefined) {
+      const { filters, error, field } = parseSavedSearchFilters(req.body.filters);
+      if (error) {
+        return sendValidationError(res, error, field);
+      }
+      data.filters = filters;
+    }
+
+    // Changed filters or re-enabled alerts start from now: jobs published
+    // before aren't new to this search
+    if (data.filters || (alertsEnabled && !savedSearch.alertsEnabled)) {
+      data.lastCheckedAt = new Date();
+    }
+
+    const updated = await prisma.savedSearch.update({
+      where: { id: savedSearch.id },
+      data,
+      select: SAVED_SEARCH_SELECT
+    });
+
+    console.log('✅ Saved search updated:', { id: updated.id, frequency: updated.frequency, alertsEnabled: updated.alertsEnabled });
+
+    res.json({ message: 'Saved search updated', savedSearch: updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /saved-searches/:id - Delete a saved search (Job Seeker only)
+router.delete('/:id', authMiddleware, requireRole('JOB_SEEKER'), validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const { count } = await prisma.savedSearch.deleteMany({
+      where: { id: req.params.id, userId: req.user.userId }
+    });
+
+    if (!count) {
+      return sendError(res, 404, 'Saved search not found');
+    }
+
+    console.log('✅ Saved search deleted:', { id: req.params.id });
+
+    res.json({ message: 'Saved search deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const { validate } = require('../middleware/validate');
+const { skillKey } = require('../utils/skills');
+const { autocompleteQuery } = require('../schemas/skills');
+
+const prisma = new PrismaClient();
+
+const DEFAULT_LIMIT = 10;
+
+// Matches are fetched by popularity, then re-ranked so prefix matches come first
+const CANDIDATE_POOL = 50;
+
+// GET /skills - Autocomplete skill names (Public); skills users added are left
+// out until an admin categorizes them
+// Query: q (matches names and aliases), category, limit (max 25)
+router.get('/', validate({ query: autocompleteQuery }), async (req, res, next) => {
+  try {
+    const { q, category } = req.query;
+    const limit = req.query.limit || DEFAULT_LIMIT;
+    const key = q ? skillKey(q) : '';
+
+    const where = {};
+    if (key) {
+      where.OR = [
+        { name: { contains: key, mode: 'insensitive' } },
+        { aliases: { some: { key: { startsWith: key } } } }
+      ];
+    }
+    where.category = category ? { equals: category, mode: 'insensitive' } : { not: null };
+
+    const skills = await prisma.skill.findMany({
+      where,
+      select: { id: true, name: true, key: true, category: true, aliases: { select: { key: true } } },
+      orderBy: [{ profileLinks: { _count: 'desc' } }, { name: 'asc' }],
+      take: key ? CANDIDATE_POOL : limit
+    });
+
+    const rank = (skill) => {
+      if (!key || skill.key.startsWith(key)) return 0;
+      if (skill.aliases.some((alias) => alias.key.startsWith(key))) return 1;
+      return 2;
+    };
+
+    // The sort is stable, so popularity still orders each rank
+    res.json({
+      skills: skills
+        .sort((a, b) => rank(a) - rank(b))
+        .slice(0, limit)
+        .map(({ id, name, category }) => ({ id, name, category }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
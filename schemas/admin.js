@@ -0,0 +1,35 @@
+const { z, id, idParams, email, booleanQuery, optionalText, deletedQuery } = require('./common');
+
+const roleBody = z.object({
+  role: z.enum(['JOB_SEEKER', 'RECRUITER', 'ADMIN'])
+});
+
+const inviteBody = z.object({
+  email
+});
+
+// ?uncategorized=true lists the skills users added that nobody has sorted yet
+const skillsQuery = z.object({
+  q: z.string().trim().max(100).optional(),
+  uncategorized: booleanQuery
+});
+
+const updateSkillBody = z.object({
+  category: optionalText(100),
+  ambiguous: z.boolean().optional()
+});
+
+const mergeSkillsBody = z.object({
+  targetId: id,
+  sourceIds: z.array(id).min(1, 'Name at least one skill to merge').max(50)
+});
+
+module.exports = {
+  idParams,
+  deletedQuery,
+  roleBody,
+  inviteBody,
+  skillsQuery,
+  updateSkillBody,
+  mergeSkillsBody
+};
@@ -0,0 +1,47 @@
+const { z, id, idParams, text, optionalText } = require('./common');
+
+const jobIdParams = z.object({ jobId: id });
+
+const noteParams = z.object({ id, noteId: id });
+
+const fileParams = z.object({ id, fileId: id });
+
+// Answers to the job's screening questions; checked by parseAnswers.
+// includeProfile shares a snapshot of the applicant's profile.
+const applyBody = z.object({
+  coverLetter: optionalText(10000),
+  includeProfile: z.boolean().optional(),
+  answers: z.array(z.object({
+    questionId: id,
+    value: z.union([z.string().max(2000), z.number(), z.boolean()]).nullable()
+  })).max(50).optional()
+});
+
+// { stageId } or, for older clients, { status }
+const moveApplicationBody = z.object({
+  stageId: id.optional(),
+  status: z.enum(['PENDING', 'REVIEWED', 'ACCEPTED', 'REJECTED']).optional(),
+  note: optionalText(2000)
+}).refine((body) => body.stageId || body.status, {
+  message: 'Either stageId or status is required',
+  path: ['stageId']
+});
+
+const noteBody = z.object({
+  body: text(5000)
+});
+
+const ratingBody = z.object({
+  score: z.number().int().min(1, 'Use a score from 1 to 5').max(5, 'Use a score from 1 to 5')
+});
+
+module.exports = {
+  idParams,
+  jobIdParams,
+  noteParams,
+  fileParams,
+  applyBody,
+  moveApplicationBody,
+  noteBody,
+  ratingBody
+};
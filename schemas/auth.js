@@ -0,0 +1,55 @@
+const { z, text, email } = require('./common');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const newPassword = z.string()
+  .min(MIN_PASSWORD_LENGTH, `Must be at least ${MIN_PASSWORD_LENGTH} characters`)
+  .max(128);
+
+const token = text(512);
+
+// Roles anyone can sign up for; ADMIN accounts come from invites only
+const SELF_REGISTER_ROLES = ['JOB_SEEKER', 'RECRUITER'];
+
+const registerBody = z.object({
+  name: text(100),
+  email,
+  password: newPassword,
+  role: z.enum(SELF_REGISTER_ROLES, {
+    errorMap: () => ({ message: `Must be one of: ${SELF_REGISTER_ROLES.join(', ')}` })
+  })
+});
+
+const acceptInviteBody = z.object({
+  token,
+  name: text(100),
+  password: newPassword
+});
+
+const loginBody = z.object({
+  email: z.string().trim().toLowerCase().min(1, 'Required').max(254),
+  password: z.string().min(1, 'Required').max(128)
+});
+
+const tokenBody = z.object({ token });
+
+const forgotPasswordBody = z.object({ email });
+
+const resetPasswordBody = z.object({
+  token,
+  password: newPassword
+});
+
+const refreshTokenBody = z.object({ refreshToken: token });
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  SELF_REGISTER_ROLES,
+  registerBody,
+  acceptInviteBody,
+  loginBody,
+  tokenBody,
+  forgotPasswordBody,
+  resetPasswordBody,
+  refreshTokenBody
+};
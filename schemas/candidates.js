@@ -0,0 +1,17 @@
+const { z } = require('./common');
+
+const queryText = (max = 100) => z.string().max(max).optional();
+
+// Parsed further by parseCandidateSearchQuery
+const searchCandidatesQuery = z.object({
+  q: queryText(200),
+  skills: queryText(1000),
+  location: queryText(200),
+  minYears: queryText(),
+  maxYears: queryText(),
+  sort: queryText(),
+  limit: queryText(),
+  cursor: queryText(500)
+});
+
+module.exports = { searchCandidatesQuery };
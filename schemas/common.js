@@ -0,0 +1,31 @@
+const { z } = require('zod');
+
+const id = z.string().uuid('Must be a valid id');
+
+const idParams = z.object({ id });
+
+// Required, trimmed, non-empty string
+const text = (max) => z.string().trim().min(1, 'Required').max(max);
+
+// Optional string; null or '' clears the value
+const optionalText = (max) => z.string().trim().max(max).nullable().optional();
+
+// Stored lowercased, so addresses differing only in case are one account
+const email = z.string().trim().toLowerCase().email('Must be a valid email').max(254);
+
+// Query strings arrive as text: "true" / "false"
+const booleanQuery = z.enum(['true', 'false']).optional();
+
+// Admin list routes: ?deleted=true shows soft-deleted records
+const deletedQuery = z.object({ deleted: booleanQuery });
+
+module.exports = {
+  z,
+  id,
+  idParams,
+  text,
+  optionalText,
+  email,
+  booleanQuery,
+  deletedQuery
+};
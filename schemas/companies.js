@@ -0,0 +1,52 @@
+const { z, id, idParams, text, optionalText, email } = require('./common');
+const { COMPANY_SIZES, COMPANY_ROLES } = require('../utils/companies');
+
+const memberParams = z.object({ id, userId: id });
+
+const inviteParams = z.object({ id, inviteId: id });
+
+const companiesQuery = z.object({
+  q: z.string().trim().max(100).optional(),
+  limit: z.coerce.number().int().min(1).max(50).optional()
+});
+
+const website = z.string().trim().url('Must be a valid URL').max(500)
+  .refine((value) => /^https?:\/\//i.test(value), 'Must be an http(s) URL');
+
+// Fields an owner may set; the logo goes through POST /companies/:id/logo
+const companyFields = {
+  name: text(200),
+  website: website.nullable().optional(),
+  description: optionalText(10000),
+  size: z.enum(COMPANY_SIZES).nullable().optional(),
+  locations: z.array(text(200)).max(50).optional()
+};
+
+const createCompanyBody = z.object(companyFields);
+
+const updateCompanyBody = z.object(companyFields).partial();
+
+const companyInviteBody = z.object({
+  email,
+  role: z.enum(COMPANY_ROLES).optional()
+});
+
+const memberRoleBody = z.object({
+  role: z.enum(COMPANY_ROLES)
+});
+
+const acceptCompanyInviteBody = z.object({
+  token: text(200)
+});
+
+module.exports = {
+  idParams,
+  memberParams,
+  inviteParams,
+  companiesQuery,
+  createCompanyBody,
+  updateCompanyBody,
+  companyInviteBody,
+  memberRoleBody,
+  acceptCompanyInviteBody
+};
@@ -0,0 +1,12 @@
+const { z } = require('./common');
+const { PUBLIC_PREFIXES } = require('../utils/storage');
+
+// Only public folders, and names as newKey() makes them (no path separators)
+const publicFileParams = z.object({
+  folder: z.enum(PUBLIC_PREFIXES),
+  name: z.string().regex(/^[\w-]+\.[a-z0-9]+$/, 'Invalid file name')
+});
+
+module.exports = {
+  publicFileParams
+};
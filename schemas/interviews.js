@@ -0,0 +1,50 @@
+const { z, id, idParams, optionalText } = require('./common');
+const { MIN_DURATION_MINUTES, MAX_DURATION_MINUTES, MAX_SLOTS } = require('../utils/interviews');
+
+// Start times, ISO date-times; checked further by parseSlots
+const slots = z.array(z.string().max(50)).min(1, 'Propose at least one slot').max(MAX_SLOTS);
+
+const durationMinutes = z.number().int().min(MIN_DURATION_MINUTES).max(MAX_DURATION_MINUTES);
+
+const proposeInterviewBody = z.object({
+  applicationId: id,
+  slots,
+  durationMinutes,
+  location: optionalText(500),
+  notes: optionalText(5000)
+});
+
+// New slots replace the old ones; the other fields are kept unless given
+const rescheduleInterviewBody = z.object({
+  slots,
+  durationMinutes: durationMinutes.optional(),
+  location: optionalText(500),
+  notes: optionalText(5000)
+});
+
+const selectSlotBody = z.object({
+  slotId: id
+});
+
+const cancelInterviewBody = z.object({
+  reason: optionalText(500)
+});
+
+const listInterviewsQuery = z.object({
+  status: z.enum(['PROPOSED', 'SCHEDULED', 'CANCELLED']).optional(),
+  upcoming: z.enum(['true', 'false']).optional()
+});
+
+const calendarTokenParams = z.object({
+  token: z.string().min(1).max(100)
+});
+
+module.exports = {
+  idParams,
+  proposeInterviewBody,
+  rescheduleInterviewBody,
+  selectSlotBody,
+  cancelInterviewBody,
+  listInterviewsQuery,
+  calendarTokenParams
+};
@@ -0,0 +1,139 @@
+const { z, id, idParams, text, optionalText, email, booleanQuery } = require('./common');
+const { JOB_TYPES } = require('../utils/jobSearch');
+const { JOB_STATUSES } = require('../utils/jobStatus');
+const { STAGE_KINDS } = require('../utils/pipeline');
+const { JOB_PERMISSIONS } = require('../utils/jobAccess');
+const { QUESTION_TYPES } = require('../utils/screening');
+
+const queryText = (max = 100) => z.string().max(max).optional();
+
+const upperCase = (value) => (typeof value === 'string' ? value.trim().toUpperCase() : value);
+
+// Shapes only; ranges, currency codes and min <= max are checked by parseSalaryInput
+const amount = z.union([z.number(), z.string()]).nullable().optional();
+
+const salaryFields = {
+  salaryMin: amount,
+  salaryMax: amount,
+  salaryCurrency: z.string().nullable().optional(),
+  salaryPeriod: z.string().nullable().optional(),
+  salaryNegotiable: z.union([z.boolean(), z.enum(['true', 'false'])]).optional()
+};
+
+// Fields a recruiter may set on a job; everything else is stripped
+const jobFields = {
+  title: text(200),
+  // A company name or the id of one of my companies; see resolveJobCompany
+  company: text(200).optional(),
+  companyId: id.optional(),
+  location: text(200),
+  role: z.string().optional(),
+  category: z.string().optional(),
+  type: z.preprocess(upperCase, z.enum(JOB_TYPES)).optional(),
+  salary: optionalText(100),
+  ...salaryFields,
+  description: text(20000),
+  requirements: optionalText(20000),
+  applicationDeadline: z.string().nullable().optional()
+};
+
+const createJobBody = z.object({
+  ...jobFields,
+  status: z.enum(['DRAFT', 'PUBLISHED']).optional()
+});
+
+// Status goes through PATCH /jobs/:id/status; ownership and ids are never writable
+const updateJobBody = z.object(jobFields).partial();
+
+const jobStatusBody = z.object({
+  status: z.enum(['PUBLISHED', 'PAUSED', 'CLOSED']),
+  applicationDeadline: z.string().nullable().optional()
+});
+
+// Parsed further (and normalized) by parseJobSearchQuery
+const searchJobsQuery = z.object({
+  q: queryText(200),
+  role: queryText(),
+  category: queryText(),
+  type: queryText(),
+  location: queryText(200),
+  recruiterId: id.optional(),
+  companyId: id.optional(),
+  postedSince: queryText(),
+  salaryMin: queryText(),
+  salaryMax: queryText(),
+  salaryCurrency: queryText(),
+  salaryPeriod: queryText(),
+  sort: queryText(),
+  limit: queryText(),
+  cursor: queryText(500)
+});
+
+const myJobsQuery = z.object({
+  status: z.enum(JOB_STATUSES).optional()
+});
+
+const recommendedJobsQuery = z.object({
+  limit: z.coerce.number().int().min(1).max(50).optional()
+});
+
+// ?sort=match ranks applicants by how well their skills fit the job;
+// ?answers[<questionId>]=... filters by screening answers (see parseAnswerFilters)
+const applicantsQuery = z.object({
+  sort: z.enum(['newest', 'match']).optional(),
+  answers: z.record(z.string().max(200)).optional(),
+  knockedOut: booleanQuery
+});
+
+const stagesBody = z.object({
+  stages: z.array(z.object({
+    id: id.optional(),
+    name: text(50),
+    kind: z.enum(STAGE_KINDS).optional()
+  }))
+});
+
+// Shapes only; types, options and knockout rules are checked by parseQuestionList
+const questionsBody = z.object({
+  questions: z.array(z.object({
+    id: id.optional(),
+    type: z.enum(QUESTION_TYPES),
+    prompt: text(500),
+    required: z.boolean().optional(),
+    options: z.array(text(100)).optional(),
+    knockout: z.object({
+      answer: z.boolean().optional(),
+      options: z.array(text(100)).optional(),
+      min: z.number().optional(),
+      max: z.number().optional()
+    }).nullable().optional()
+  }))
+});
+
+const collaboratorParams = z.object({ id, userId: id });
+
+// The collaborator is found by their account email
+const addCollaboratorBody = z.object({
+  email,
+  permission: z.enum(JOB_PERMISSIONS).optional()
+});
+
+const collaboratorBody = z.object({
+  permission: z.enum(JOB_PERMISSIONS)
+});
+
+module.exports = {
+  idParams,
+  collaboratorParams,
+  createJobBody,
+  updateJobBody,
+  jobStatusBody,
+  searchJobsQuery,
+  myJobsQuery,
+  recommendedJobsQuery,
+  applicantsQuery,
+  stagesBody,
+  questionsBody,
+  addCollaboratorBody,
+  collaboratorBody
+};
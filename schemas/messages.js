@@ -0,0 +1,23 @@
+const { z, id } = require('./common');
+
+const applicationIdParams = z.object({ applicationId: id });
+
+const attachmentParams = z.object({ applicationId: id, attachmentId: id });
+
+const listMessagesQuery = z.object({
+  limit: z.coerce.number().int().min(1).max(100).optional(),
+  cursor: z.string().max(500).optional()
+});
+
+// Sent as JSON or multipart (with files in `attachments`); a message needs a
+// body, an attachment or both, which the route checks
+const sendMessageBody = z.object({
+  body: z.string().trim().max(5000).optional()
+});
+
+module.exports = {
+  applicationIdParams,
+  attachmentParams,
+  listMessagesQuery,
+  sendMessageBody
+};
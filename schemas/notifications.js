@@ -0,0 +1,12 @@
+const { z, idParams, booleanQuery } = require('./common');
+
+const listNotificationsQuery = z.object({
+  unread: booleanQuery,
+  limit: z.coerce.number().int().min(1).max(100).optional(),
+  cursor: z.string().max(500).optional()
+});
+
+module.exports = {
+  idParams,
+  listNotificationsQuery
+};
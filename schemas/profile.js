@@ -0,0 +1,77 @@
+const { z, id, idParams, text, optionalText } = require('./common');
+const { RESUME_TEMPLATES, DEFAULT_TEMPLATE } = require('../utils/resumePdf');
+
+// "2022" or "2022-01"
+const yearMonth = z.string().trim().regex(/^\d{4}(-(0[1-9]|1[0-2]))?$/, 'Use YYYY-MM');
+const year = z.string().trim().regex(/^\d{4}$/, 'Use YYYY');
+
+const userIdParams = z.object({ userId: id });
+
+const basicBody = z.object({
+  name: optionalText(100),
+  headline: optionalText(200),
+  location: optionalText(200),
+  phone: optionalText(30)
+});
+
+const aboutBody = z.object({
+  about: optionalText(5000)
+});
+
+const MAX_SKILLS = 100;
+
+const skillsBody = z.object({
+  skills: z.array(text(50), { invalid_type_error: 'Skills must be an array' }).max(MAX_SKILLS)
+});
+
+const experienceBody = z.object({
+  title: text(200),
+  company: text(200),
+  location: optionalText(200),
+  startDate: yearMonth,
+  endDate: yearMonth.nullable().optional(),
+  current: z.boolean().optional(),
+  description: optionalText(5000)
+});
+
+const educationBody = z.object({
+  institution: text(200),
+  degree: text(200),
+  fieldOfStudy: text(200),
+  startYear: year,
+  endYear: year.nullable().optional(),
+  grade: optionalText(50)
+});
+
+// ?template= on GET, { template } on POST
+const generateResumeOptions = z.object({
+  template: z.enum(RESUME_TEMPLATES).default(DEFAULT_TEMPLATE)
+});
+
+// POST /profile/import: the `import` object of a preview, possibly edited
+const importBody = z.object({
+  basics: basicBody.merge(aboutBody).optional(),
+  skills: skillsBody.shape.skills.optional(),
+  experiences: z.array(experienceBody, { invalid_type_error: 'Experiences must be an array' }).max(100).optional(),
+  education: z.array(educationBody, { invalid_type_error: 'Education must be an array' }).max(50).optional()
+});
+
+const exportQuery = z.object({
+  format: z.enum(['jsonresume']).default('jsonresume')
+});
+
+module.exports = {
+  MAX_SKILLS,
+  idParams,
+  userIdParams,
+  basicBody,
+  aboutBody,
+  skillsBody,
+  experienceBody,
+  updateExperienceBody: experienceBody.partial(),
+  educationBody,
+  updateEducationBody: educationBody.partial(),
+  generateResumeOptions,
+  importBody,
+  exportQuery
+};
@@ -0,0 +1,5 @@
+const { z, id } = require('./common');
+
+const jobIdParams = z.object({ jobId: id });
+
+module.exports = { jobIdParams };
@@ -0,0 +1,34 @@
+const { z, idParams } = require('./common');
+const { ALERT_FREQUENCIES, SAVED_SEARCH_FILTERS } = require('../utils/savedSearches');
+
+// Same values as the GET /jobs query; checked by parseSavedSearchFilters
+const filterValue = z.union([z.string().max(200), z.number()]).nullable().optional();
+
+const filters = z.object(
+  Object.fromEntries([...SAVED_SEARCH_FILTERS, 'category'].map((key) => [key, filterValue]))
+);
+
+const frequency = z.preprocess(
+  (value) => (typeof value === 'string' ? value.trim().toUpperCase() : value),
+  z.enum(ALERT_FREQUENCIES)
+);
+
+const createSavedSearchBody = z.object({
+  name: z.string().trim().max(100).optional(),
+  filters,
+  frequency: frequency.optional(),
+  alertsEnabled: z.boolean().optional()
+});
+
+const updateSavedSearchBody = createSavedSearchBody.partial();
+
+const unsubscribeBody = z.object({
+  token: z.string().trim().min(1, 'Required').max(200)
+});
+
+module.exports = {
+  idParams,
+  createSavedSearchBody,
+  updateSavedSearchBody,
+  unsubscribeBody
+};
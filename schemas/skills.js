@@ -0,0 +1,9 @@
+const { z } = require('./common');
+
+const autocompleteQuery = z.object({
+  q: z.string().trim().max(100).optional(),
+  category: z.string().trim().max(100).optional(),
+  limit: z.coerce.number().int().min(1).max(25).optional()
+});
+
+module.exports = { autocompleteQuery };
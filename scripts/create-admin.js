@@ -0,0 +1,58 @@
+// Creates the first ADMIN account. Further admins are invited through
+// POST /admin/invites, so this refuses to run once an admin exists.
+//
+// Usage: npm run create-admin -- --email admin@example.com --name "Ada Admin"
+// The password is read from ADMIN_PASSWORD, or --password.
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const { PrismaClient } = require('@prisma/client');
+const { MIN_PASSWORD_LENGTH } = require('../schemas/auth');
+
+const prisma = new PrismaClient();
+
+function arg(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+async function main() {
+  const email = arg('email')?.trim().toLowerCase();
+  const name = arg('name')?.trim();
+  const password = arg('password') ?? process.env.ADMIN_PASSWORD;
+
+  if (!email || !name || !password) {
+    throw new Error('Usage: npm run create-admin -- --email <email> --name <name> [--password <password>]');
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const existingAdmin = await prisma.user.findFirst({ where: { role: 'ADMIN', deletedAt: null } });
+  if (existingAdmin) {
+    throw new Error(`An admin already exists (${existingAdmin.email}). Use POST /admin/invites instead.`);
+  }
+
+  const existingUser = await prisma.user.findUnique({ where: { email } });
+  if (existingUser) {
+    throw new Error(`A user with email ${email} already exists`);
+  }
+
+  const user = await prisma.user.create({
+    data: {
+      name,
+      email,
+      password: await bcrypt.hash(password, 10),
+      role: 'ADMIN',
+      emailVerifiedAt: new Date()
+    }
+  });
+
+  console.log('✅ Admin created:', { id: user.id, email: user.email });
+}
+
+main()
+  .catch((error) => {
+    console.error('Create admin error:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
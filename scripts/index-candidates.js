@@ -0,0 +1,72 @@
+// Prepares existing profiles for candidate search: extracts the text of
+// resumes uploaded before extraction existed and recomputes every profile's
+// total experience.
+//
+// Usage: npm run index:candidates [-- --dry-run]
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { extractResumeText } = require('../utils/resumeText');
+const { readStoredFile } = require('../utils/storage');
+const { totalExperienceMonths } = require('../utils/experience');
+
+const prisma = new PrismaClient();
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  const profiles = await prisma.profile.findMany({
+    select: {
+      id: true,
+      resume: true,
+      resumeText: true,
+      experienceMonths: true,
+      experiences: { select: { startDate: true, endDate: true, current: true } }
+    }
+  });
+
+  let extracted = 0;
+  let updated = 0;
+  const unreadable = [];
+
+  for (const profile of profiles) {
+    const data = {};
+
+    if (profile.resume && profile.resumeText == null) {
+      const buffer = await readStoredFile(profile.resume);
+      const resumeText = buffer && await extractResumeText(buffer, profile.resume);
+      if (resumeText == null) {
+        unreadable.push(profile);
+      } else {
+        data.resumeText = resumeText;
+        extracted++;
+      }
+    }
+
+    const experienceMonths = totalExperienceMonths(profile.experiences);
+    if (experienceMonths !== profile.experienceMonths) {
+      data.experienceMonths = experienceMonths;
+    }
+
+    if (!Object.keys(data).length) continue;
+
+    updated++;
+    console.log(`${dryRun ? '[dry-run] ' : ''}${profile.id}:`, {
+      resumeTextLength: data.resumeText?.length,
+      experienceMonths: data.experienceMonths
+    });
+    if (!dryRun) {
+      await prisma.profile.update({ where: { id: profile.id }, data });
+    }
+  }
+
+  console.log(`✅ Updated ${updated} of ${profiles.length} profiles (${extracted} resumes extracted)`);
+  for (const profile of unreadable) {
+    console.log(`⚠️  Could not read resume for profile ${profile.id}: ${profile.resume}`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('Candidate indexing error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,90 @@
+// Turns the free-text `company` of existing jobs into Company records.
+// Spellings of one name ("Acme", "ACME Inc.") share a company, named after
+// its most used spelling. Recruiters who posted for it become members; the
+// first of them becomes its owner if it has none yet. Jobs already linked to
+// a company are left alone, so the script can run again safely.
+//
+// Usage: npm run migrate:companies [-- --dry-run]
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { companyKey } = require('../utils/companies');
+
+const prisma = new PrismaClient();
+const dryRun = process.argv.includes('--dry-run');
+
+// Most used spelling, the earliest one on ties
+function pickName(jobs) {
+  const counts = new Map();
+  for (const job of jobs) {
+    counts.set(job.company, (counts.get(job.company) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+async function main() {
+  const jobs = await prisma.job.findMany({
+    where: { companyId: null },
+    select: { id: true, company: true, recruiterId: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const groups = new Map();
+  const skipped = [];
+  for (const job of jobs) {
+    const key = companyKey(job.company);
+    if (!key) {
+      skipped.push(job);
+      continue;
+    }
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(job);
+  }
+
+  let created = 0;
+  for (const [key, group] of groups) {
+    const existing = await prisma.company.findUnique({
+      where: { key },
+      include: { members: { select: { userId: true, role: true } } }
+    });
+    const name = existing?.name ?? pickName(group);
+    const recruiterIds = [...new Set(group.map((job) => job.recruiterId))];
+    const spellings = [...new Set(group.map((job) => job.company))];
+
+    console.log(
+      `${dryRun ? '[dry-run] ' : ''}${existing ? 'Linking' : 'Creating'} "${name}":`,
+      { jobs: group.length, recruiters: recruiterIds.length, spellings }
+    );
+    if (!existing) created++;
+    if (dryRun) continue;
+
+    const hasOwner = existing?.members.some((member) => member.role === 'OWNER');
+    await prisma.$transaction(async (tx) => {
+      const company = existing ?? await tx.company.create({ data: { name, key } });
+      await tx.companyMember.createMany({
+        data: recruiterIds.map((userId, index) => ({
+          companyId: company.id,
+          userId,
+          role: !hasOwner && index === 0 ? 'OWNER' : 'MEMBER'
+        })),
+        skipDuplicates: true
+      });
+      // Every spelling becomes the company's name
+      await tx.job.updateMany({
+        where: { id: { in: group.map((job) => job.id) } },
+        data: { companyId: company.id, company: name }
+      });
+    });
+  }
+
+  console.log(`✅ ${dryRun ? 'Would link' : 'Linked'} ${jobs.length - skipped.length} jobs to ${groups.size} companies (${created} new)`);
+  for (const job of skipped) {
+    console.log(`⚠️  Could not read a company name for job ${job.id}: "${job.company}"`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('Company migration error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,46 @@
+// Marks the emails of accounts created before email verification existed as
+// verified (emailVerifiedAt = createdAt), so their recruiters can keep posting
+// jobs. Run it once when deploying verification; accounts created after
+// --before (default: now) are left alone, so they still have to verify.
+//
+// Usage: npm run migrate:email-verification [-- --dry-run] [--before 2026-01-31]
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+const dryRun = process.argv.includes('--dry-run');
+
+function cutoff() {
+  const flagIndex = process.argv.indexOf('--before');
+  if (flagIndex === -1) return new Date();
+  const value = process.argv[flagIndex + 1];
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid --before date: ${value}`);
+  }
+  return date;
+}
+
+async function main() {
+  const before = cutoff();
+  const where = { emailVerifiedAt: null, createdAt: { lt: before } };
+
+  if (dryRun) {
+    const count = await prisma.user.count({ where });
+    console.log(`[dry-run] ${count} accounts created before ${before.toISOString()} would be marked verified`);
+    return;
+  }
+
+  const count = await prisma.$executeRaw`
+    UPDATE "User" SET "emailVerifiedAt" = "createdAt"
+    WHERE "emailVerifiedAt" IS NULL AND "createdAt" < ${before}`;
+
+  console.log(`✅ Marked ${count} accounts created before ${before.toISOString()} as verified`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Email verification migration error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,56 @@
+// Lowercases the email of existing users, as register and invites now store
+// them. Accounts whose emails differ only in case can't both keep theirs:
+// they are listed and left alone to be sorted out by hand (e.g. by purging
+// the duplicate), then this can run again.
+//
+// Usage: npm run migrate:emails [-- --dry-run]
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  const users = await prisma.user.findMany({
+    select: { id: true, email: true, deletedAt: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const byEmail = new Map();
+  for (const user of users) {
+    const email = user.email.trim().toLowerCase();
+    byEmail.set(email, [...(byEmail.get(email) || []), user]);
+  }
+
+  let updated = 0;
+  const conflicts = [];
+
+  for (const [email, accounts] of byEmail) {
+    if (accounts.length > 1) {
+      conflicts.push({ email, accounts });
+      continue;
+    }
+
+    const [user] = accounts;
+    if (user.email === email) continue;
+
+    updated++;
+    console.log(`${dryRun ? '[dry-run] ' : ''}${user.id}: "${user.email}" -> "${email}"`);
+    if (!dryRun) {
+      await prisma.user.update({ where: { id: user.id }, data: { email } });
+    }
+  }
+
+  console.log(`✅ Lowercased ${updated} of ${users.length} user emails`);
+  for (const { email, accounts } of conflicts) {
+    const list = accounts.map((user) => `${user.id} "${user.email}"${user.deletedAt ? ' (deleted)' : ''}`).join(', ');
+    console.log(`⚠️  ${accounts.length} accounts share ${email}: ${list}`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('Email migration error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
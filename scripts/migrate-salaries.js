@@ -0,0 +1,62 @@
+// Fills the structured salary fields of existing jobs from their free-text
+// `salary`. Jobs that already have structured data are left alone, except
+// amounts without a currency (left by earlier versions of the parser), which
+// are parsed again or cleared.
+//
+// Usage: npm run migrate:salaries [-- --dry-run]
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { parseSalaryString } = require('../utils/salary');
+
+const EMPTY_SALARY = { salaryMin: null, salaryMax: null, salaryCurrency: null, salaryPeriod: null };
+
+const prisma = new PrismaClient();
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  const jobs = await prisma.job.findMany({
+    where: {
+      salary: { not: null },
+      OR: [
+        { salaryMin: null, salaryMax: null, salaryNegotiable: false },
+        { salaryCurrency: null, OR: [{ salaryMin: { not: null } }, { salaryMax: { not: null } }] }
+      ]
+    },
+    select: { id: true, salary: true, salaryMin: true, salaryMax: true }
+  });
+
+  let parsed = 0;
+  const skipped = [];
+
+  for (const job of jobs) {
+    const salaryData = parseSalaryString(job.salary);
+    if (!salaryData) {
+      skipped.push(job);
+      if (job.salaryMin != null || job.salaryMax != null) {
+        console.log(`${dryRun ? '[dry-run] ' : ''}${job.id}: clearing amounts without a currency`);
+        if (!dryRun) {
+          await prisma.job.update({ where: { id: job.id }, data: EMPTY_SALARY });
+        }
+      }
+      continue;
+    }
+
+    parsed++;
+    console.log(`${dryRun ? '[dry-run] ' : ''}${job.id}: "${job.salary}" ->`, salaryData);
+    if (!dryRun) {
+      await prisma.job.update({ where: { id: job.id }, data: salaryData });
+    }
+  }
+
+  console.log(`✅ Parsed ${parsed} of ${jobs.length} job salaries`);
+  for (const job of skipped) {
+    console.log(`⚠️  Could not parse salary for job ${job.id}: "${job.salary}"`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('Salary migration error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,115 @@
+// Moves files saved before the file storage existed into it (FILE_STORAGE,
+// see utils/storage.js): resumes, avatars and company logos from the public
+// uploads/ folder, and message and application files from storage/. Records
+// are pointed at their new keys and URLs. Files already moved are skipped,
+// so the script can run again safely. The old files are left in place;
+// delete uploads/ once everything is moved.
+//
+// Usage: npm run migrate:storage [-- --dry-run]
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const { getStorage, contentTypeFor, publicUrl } = require('../utils/storage');
+
+const prisma = new PrismaClient();
+const dryRun = process.argv.includes('--dry-run');
+
+const ROOT = path.join(__dirname, '..');
+const OLD_STORAGE_PREFIX = 'storage/';
+
+// Keys keep the old file name, with its extension lower-cased
+const keyFor = (prefix, oldPath) => {
+  const ext = path.extname(oldPath);
+  return `${prefix}/${path.basename(oldPath, ext)}${ext.toLowerCase()}`;
+};
+
+const missing = [];
+
+// Copies a file from disk into storage. Returns false if it's not on disk.
+async function moveFile(oldPath, key) {
+  let buffer;
+  try {
+    buffer = await fs.promises.readFile(path.join(ROOT, oldPath));
+  } catch (error) {
+    missing.push(oldPath);
+    return false;
+  }
+  console.log(`${dryRun ? '[dry-run] ' : ''}${oldPath} -> ${key}`);
+  if (!dryRun) {
+    await getStorage().put(key, buffer, { contentType: contentTypeFor(key) });
+  }
+  return true;
+}
+
+async function main() {
+  const counts = { resumes: 0, avatars: 0, logos: 0, messageAttachments: 0, applicationFiles: 0 };
+
+  const profiles = await prisma.profile.findMany({
+    where: { OR: [{ resume: { startsWith: '/uploads/' } }, { avatar: { startsWith: '/uploads/' } }] },
+    select: { id: true, userId: true, resume: true, avatar: true }
+  });
+  for (const profile of profiles) {
+    const data = {};
+    if (profile.resume?.startsWith('/uploads/')) {
+      const key = keyFor(`resumes/${profile.userId}`, profile.resume);
+      if (await moveFile(profile.resume, key)) {
+        data.resume = key;
+        counts.resumes++;
+      }
+    }
+    if (profile.avatar?.startsWith('/uploads/')) {
+      const key = keyFor('avatars', profile.avatar);
+      if (await moveFile(profile.avatar, key)) {
+        data.avatar = publicUrl(key);
+        counts.avatars++;
+      }
+    }
+    if (!dryRun && Object.keys(data).length) {
+      await prisma.profile.update({ where: { id: profile.id }, data });
+    }
+  }
+
+  const companies = await prisma.company.findMany({
+    where: { logo: { startsWith: '/uploads/' } },
+    select: { id: true, logo: true }
+  });
+  for (const company of companies) {
+    const key = keyFor('logos', company.logo);
+    if (await moveFile(company.logo, key)) {
+      counts.logos++;
+      if (!dryRun) {
+        await prisma.company.update({ where: { id: company.id }, data: { logo: publicUrl(key) } });
+      }
+    }
+  }
+
+  // Private files already lived under storage/; their keys are the rest of the path
+  for (const [model, count] of [['messageAttachment', 'messageAttachments'], ['applicationFile', 'applicationFiles']]) {
+    const files = await prisma[model].findMany({
+      where: { path: { startsWith: OLD_STORAGE_PREFIX } },
+      select: { id: true, path: true }
+    });
+    for (const file of files) {
+      const key = file.path.slice(OLD_STORAGE_PREFIX.length);
+      if (await moveFile(file.path, key)) {
+        counts[count]++;
+        if (!dryRun) {
+          await prisma[model].update({ where: { id: file.id }, data: { path: key } });
+        }
+      }
+    }
+  }
+
+  console.log(`✅ ${dryRun ? 'Would move' : 'Moved'} files into ${process.env.FILE_STORAGE || 'local'} storage:`, counts);
+  for (const file of missing) {
+    console.log(`⚠️  File not found, record left unchanged: ${file}`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('Storage migration error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
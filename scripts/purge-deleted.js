@@ -0,0 +1,44 @@
+// Hard-deletes users, jobs and applications that were soft-deleted more than
+// the retention period ago (SOFT_DELETE_RETENTION_DAYS, default 30), along
+// with refresh and emailed tokens that expired or were used before then.
+//
+// Usage: npm run purge:deleted [-- --days 90]
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { DEFAULT_RETENTION_DAYS, purgeDeleted } = require('../utils/softDelete');
+const { purgeRefreshTokens } = require('../utils/tokens');
+const { purgeUserTokens } = require('../utils/userTokens');
+
+const prisma = new PrismaClient();
+
+function retentionDays() {
+  const flagIndex = process.argv.indexOf('--days');
+  const value = flagIndex !== -1
+    ? process.argv[flagIndex + 1]
+    : process.env.SOFT_DELETE_RETENTION_DAYS ?? DEFAULT_RETENTION_DAYS;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    throw new Error(`Invalid retention period: ${value}`);
+  }
+  return days;
+}
+
+async function main() {
+  const days = retentionDays();
+  const before = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  console.log(`🧹 Purging records deleted before ${before.toISOString()} (${days} days)`);
+
+  const counts = await purgeDeleted(prisma, before);
+  counts.refreshTokens = await purgeRefreshTokens(prisma, before);
+  counts.userTokens = await purgeUserTokens(prisma, before);
+
+  console.log('✅ Purged:', counts);
+}
+
+main()
+  .catch((error) => {
+    console.error('Purge error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,58 @@
+// Loads the bundled skills taxonomy (prisma/skills.json) and links existing
+// profiles and jobs to it. Profiles keep their skills, renamed to the
+// canonical spelling; jobs are linked to the skills named in their text.
+// Safe to run again, e.g. after editing skills.json.
+//
+// Usage: npm run seed:skills [-- --dry-run]
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { BUNDLED_SKILLS, skillKey, seedSkills, setProfileSkills, syncJobSkills } = require('../utils/skills');
+
+const prisma = new PrismaClient();
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  if (dryRun) {
+    const existing = await prisma.skill.findMany({ select: { key: true } });
+    const keys = new Set(existing.map((skill) => skill.key));
+    const missing = BUNDLED_SKILLS.filter((entry) => !keys.has(skillKey(entry.name)));
+    const [profiles, jobs] = await Promise.all([
+      prisma.profile.count({ where: { skills: { isEmpty: false } } }),
+      prisma.job.count({ where: { deletedAt: null } })
+    ]);
+    console.log(`[dry-run] Would add ${missing.length} of ${BUNDLED_SKILLS.length} bundled skills`);
+    console.log(`[dry-run] Would re-link ${profiles} profiles and ${jobs} jobs`);
+    return;
+  }
+
+  const { created, updated, skippedAliases } = await seedSkills(prisma);
+  console.log(`✅ Skills: ${created} added, ${updated} already present`);
+  for (const { skill, alias } of skippedAliases) {
+    console.log(`⚠️  Alias "${alias}" of ${skill} is already used by another skill`);
+  }
+
+  const profiles = await prisma.profile.findMany({
+    where: { skills: { isEmpty: false } },
+    select: { userId: true, skills: true }
+  });
+  for (const profile of profiles) {
+    await setProfileSkills(prisma, profile.userId, profile.skills);
+  }
+  console.log(`✅ Re-linked ${profiles.length} profiles`);
+
+  const jobs = await prisma.job.findMany({
+    where: { deletedAt: null },
+    select: { id: true, title: true, requirements: true, description: true }
+  });
+  for (const job of jobs) {
+    await syncJobSkills(prisma, job);
+  }
+  console.log(`✅ Re-linked ${jobs.length} jobs`);
+}
+
+main()
+  .catch((error) => {
+    console.error('Skill seeding error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,24 @@
+// Sends the saved-search alerts that are due, once. The API server does this
+// every SEARCH_ALERT_INTERVAL_MINUTES on its own; use this from cron when the
+// server runs elsewhere, or with --dry-run to see what would be sent.
+//
+// Usage: npm run alerts:send [-- --dry-run]
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { runSearchAlerts } = require('../utils/savedSearches');
+
+const prisma = new PrismaClient();
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  const { checked, alerted, failed } = await runSearchAlerts(prisma, { dryRun });
+  console.log(`${dryRun ? '[dry-run] ' : '✅ '}Checked ${checked} saved searches, ${alerted} with new jobs`
+    + (failed ? `, ${failed} not delivered (retried on the next run)` : ''));
+}
+
+main()
+  .catch((error) => {
+    console.error('Search alerts error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
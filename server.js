@@ -1,42 +1,72 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const { startJobExpiryTimer } = require('./utils/jobStatus');
+const { startSearchAlertTimer } = require('./utils/savedSearches');
+const { startSavedJobReminderTimer } = require('./utils/notifications');
+const { startExperienceRefreshTimer } = require('./utils/experience');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const { checkMailConfig } = require('./utils/mailer');
+
+checkMailConfig();
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const jobRoutes = require('./routes/jobs');
+const companyRoutes = require('./routes/companies');
 const applicationRoutes = require('./routes/applications');
 const savedJobRoutes = require('./routes/savedJobs');
+const savedSearchRoutes = require('./routes/savedSearches');
+const notificationRoutes = require('./routes/notifications');
+const messageRoutes = require('./routes/messages');
+const interviewRoutes = require('./routes/interviews');
 const adminRoutes = require('./routes/admin');
 const profileRoutes = require('./routes/profile');
+const candidateRoutes = require('./routes/candidates');
+const skillRoutes = require('./routes/skills');
+const fileRoutes = require('./routes/files');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
+const prisma = new PrismaClient();
+
+// Behind a reverse proxy, trust it for the client IP used by rate limiting,
+// e.g. TRUST_PROXY=1 for one proxy hop
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 
 // Enable CORS for frontend
 app.use(cors({
-  origin: ['http://localhost:5173', 'http://localhost:3000']
+  origin: ['http://localhost:5173', 'http://localhost:3000'],
+  exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
 }));
 
 // Middleware to parse JSON body
 app.use(express.json());
 
-// Serve static files (uploads)
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // Root route
 app.get('/', (req, res) => {
   res.json({
     message: 'Job Portal API',
     version: '1.0.0',
     endpoints: {
-      auth: '/auth (register, login, me)',
-      profile: '/profile (basic, about, skills, experience, education, resume)',
+      auth: '/auth (register, login, refresh, logout, me, verify-email, reset-password, accept-invite)',
+      profile: '/profile (basic, about, skills, experience, education, resume, resume links, generated resumes, import/export)',
+      candidates: '/candidates (recruiter search over resumes and profiles)',
+      skills: '/skills (autocomplete)',
       jobs: '/jobs (CRUD operations)',
+      companies: '/companies (company pages, members, invites)',
       applications: '/applications (apply, my-applications)',
       savedJobs: '/saved-jobs (save, unsave)',
-      admin: '/admin (users, stats)'
+      savedSearches: '/saved-searches (saved searches and job alerts)',
+      notifications: '/notifications (list, mark read, live stream)',
+      messages: '/messages (application threads between applicant and recruiter)',
+      interviews: '/interviews (slots, scheduling, .ics export, iCal feed)',
+      admin: '/admin (users, jobs, applications, stats, invites, skills)',
+      files: '/files (public avatars and company logos)'
     }
   });
 });
@@ -49,24 +79,37 @@ app.get('/health', (req, res) => {
 // Routes
 app.use('/auth', authRoutes);
 app.use('/profile', profileRoutes);
+app.use('/candidates', candidateRoutes);
+app.use('/skills', skillRoutes);
 app.use('/jobs', jobRoutes);
+app.use('/companies', companyRoutes);
 app.use('/applications', applicationRoutes);
 app.use('/saved-jobs', savedJobRoutes);
+app.use('/saved-searches', savedSearchRoutes);
+app.use('/notifications', notificationRoutes);
+app.use('/messages', messageRoutes);
+app.use('/interviews', interviewRoutes);
 app.use('/admin', adminRoutes);
+app.use('/files', fileRoutes);
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({ message: 'Route not found' });
-});
-
-// Error handler
-app.use((err, req, res, next) => {
-  console.error('Server error:', err);
-  res.status(500).json({ message: 'Internal server error' });
-});
+// 404 and error handlers (see utils/errors.js for the response format)
+app.use(notFound);
+app.use(errorHandler);
 
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Job Portal API running on http://localhost:${PORT}`);
   console.log(`📚 API Documentation: http://localhost:${PORT}/`);
+
+  // Flip jobs past their application deadline to EXPIRED
+  startJobExpiryTimer(prisma);
+
+  // Email seekers about new jobs matching their saved searches
+  startSearchAlertTimer(prisma);
+
+  // Remind seekers of saved jobs about to stop taking applications
+  startSavedJobReminderTimer(prisma);
+
+  // Keep experience totals of seekers in a current role up to date
+  startExperienceRefreshTimer(prisma);
 });
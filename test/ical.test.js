@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeText, foldLine, buildCalendar } = require('../utils/ical');
+
+const unfold = (text) => text.replace(/\r\n /g, '');
+
+test('escapes backslashes, separators and line breaks', () => {
+  assert.equal(escapeText('Room 1, floor 2; bring ID'), 'Room 1\\, floor 2\\; bring ID');
+  assert.equal(escapeText('C:\\path'), 'C:\\\\path');
+  assert.equal(escapeText('line one\r\nline two\nthree'), 'line one\\nline two\\nthree');
+  assert.equal(escapeText(42), '42');
+});
+
+test('leaves lines of up to 75 octets alone', () => {
+  const line = `SUMMARY:${'x'.repeat(67)}`;
+  assert.equal(line.length, 75);
+  assert.equal(foldLine(line), line);
+});
+
+test('folds long lines into 75-octet lines continued after a space', () => {
+  const line = `DESCRIPTION:${'abcdefghij'.repeat(20)}`;
+  const folded = foldLine(line);
+  const lines = folded.split('\r\n');
+  assert.equal(lines.length, 3);
+  assert.equal(Buffer.byteLength(lines[0]), 75);
+  assert.ok(lines.slice(1).every((part) => part.startsWith(' ') && Buffer.byteLength(part) <= 75));
+  assert.equal(unfold(folded), line);
+});
+
+test('never splits a multi-byte character', () => {
+  const line = `LOCATION:${'Zürich – 会议室 '.repeat(10)}`;
+  const folded = foldLine(line);
+  assert.ok(folded.split('\r\n').every((part) => Buffer.byteLength(part) <= 75));
+  assert.ok(!folded.includes('\uFFFD'));
+  assert.equal(unfold(folded), line);
+});
+
+test('writes folded, CRLF-terminated calendars', () => {
+  const calendar = buildCalendar({
+    name: 'Interviews, Acme',
+    events: [{
+      uid: 'interview-1',
+      start: '2024-01-31T09:30:00Z',
+      end: '2024-01-31T10:15:00Z',
+      updatedAt: '2024-01-20T08:00:00Z',
+      summary: 'Interview: Backend Engineer',
+      description: 'x'.repeat(100)
+    }]
+  });
+  assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(calendar.split('\r\n').every((line) => Buffer.byteLength(line) <= 75));
+  const lines = unfold(calendar).split('\r\n');
+  assert.ok(lines.includes('X-WR-CALNAME:Interviews\\, Acme'));
+  assert.ok(lines.includes('DTSTART:20240131T093000Z'));
+  assert.ok(lines.includes('DTEND:20240131T101500Z'));
+  assert.ok(lines.includes(`DESCRIPTION:${'x'.repeat(100)}`));
+});
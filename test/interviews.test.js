@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_SLOTS, parseSlots, findBookedSlots } = require('../utils/interviews');
+
+const now = new Date('2024-01-01T00:00:00Z');
+const at = (time) => new Date(`2024-01-31T${time}:00Z`);
+
+test('turns start times into sorted slots of the given length', () => {
+  const { slots } = parseSlots(['2024-01-31T14:00:00Z', '2024-01-31T09:30:00Z'], 45, now);
+  assert.deepEqual(slots, [
+    { startsAt: at('09:30'), endsAt: at('10:15') },
+    { startsAt: at('14:00'), endsAt: at('14:45') }
+  ]);
+});
+
+test('drops repeated start times, however they are written', () => {
+  const { slots } = parseSlots(['2024-01-31T09:00:00Z', '2024-01-31T10:00:00+01:00'], 30, now);
+  assert.deepEqual(slots, [{ startsAt: at('09:00'), endsAt: at('09:30') }]);
+});
+
+test('rejects missing, too many, invalid and past slots', () => {
+  const error = (input) => parseSlots(input, 30, now).error;
+  assert.equal(error([]), `Propose between 1 and ${MAX_SLOTS} slots`);
+  assert.equal(error('2024-01-31T09:00:00Z'), `Propose between 1 and ${MAX_SLOTS} slots`);
+  assert.equal(error(Array.from({ length: MAX_SLOTS + 1 }, (_, hour) => `2024-01-31T${String(hour).padStart(2, '0')}:00:00Z`)), `Propose between 1 and ${MAX_SLOTS} slots`);
+  assert.equal(error(['31/31/2024']), 'Invalid slot. Use ISO date-times, e.g. 2024-01-31T09:30:00Z');
+  assert.equal(error(['2024-01-01T00:00:00Z']), 'Slots must be in the future');
+});
+
+// A prisma stand-in holding the recruiter's scheduled interviews
+const withBooked = (booked) => {
+  const calls = [];
+  return {
+    calls,
+    interview: {
+      findMany: async (query) => {
+        calls.push(query);
+        return booked;
+      }
+    }
+  };
+};
+
+test('finds the slots overlapping a booked interview', async () => {
+  const prisma = withBooked([{ startsAt: at('10:00'), endsAt: at('11:00') }]);
+  const slots = [
+    { startsAt: at('09:00'), endsAt: at('10:00') }, // ends as it starts
+    { startsAt: at('09:30'), endsAt: at('10:30') }, // overlaps its start
+    { startsAt: at('10:15'), endsAt: at('10:45') }, // inside it
+    { startsAt: at('10:45'), endsAt: at('11:15') }, // overlaps its end
+    { startsAt: at('11:00'), endsAt: at('12:00') } // starts as it ends
+  ];
+  assert.deepEqual(await findBookedSlots(prisma, 'recruiter-1', slots), slots.slice(1, 4));
+});
+
+test('only asks for the recruiter\'s scheduled interviews that could overlap', async () => {
+  const prisma = withBooked([]);
+  const slots = [{ startsAt: at('09:00'), endsAt: at('10:00') }];
+  assert.deepEqual(await findBookedSlots(prisma, 'recruiter-1', slots, 'interview-1'), []);
+  assert.deepEqual(prisma.calls[0].where, {
+    recruiterId: 'recruiter-1',
+    status: 'SCHEDULED',
+    id: { not: 'interview-1' },
+    OR: [{ startsAt: { lt: at('10:00') }, endsAt: { gt: at('09:00') } }]
+  });
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSalaryInput, parseSalaryString } = require('../utils/salary');
+
+const salary = (salaryMin, salaryMax, salaryCurrency, salaryPeriod = 'YEARLY', salaryNegotiable = false) => ({
+  salaryMin,
+  salaryMax,
+  salaryCurrency,
+  salaryPeriod,
+  salaryNegotiable
+});
+
+test('parses ranges with a currency before, between or after the amounts', () => {
+  assert.deepEqual(parseSalaryString('$80k-100k'), salary(80000, 100000, 'USD'));
+  assert.deepEqual(parseSalaryString('$80-100k'), salary(80000, 100000, 'USD'));
+  assert.deepEqual(parseSalaryString('50,000 - 60,000 EUR per year'), salary(50000, 60000, 'EUR'));
+  assert.deepEqual(parseSalaryString('80k USD'), salary(80000, 80000, 'USD'));
+});
+
+test('reads periods', () => {
+  assert.deepEqual(parseSalaryString('£25/hr'), salary(25, 25, 'GBP', 'HOURLY'));
+  assert.deepEqual(parseSalaryString('USD 4.5k per month'), salary(4500, 4500, 'USD', 'MONTHLY'));
+});
+
+test('reads a dot followed by three digits as a thousands separator', () => {
+  assert.deepEqual(parseSalaryString('€4.000 per month'), salary(4000, 4000, 'EUR', 'MONTHLY'));
+  assert.deepEqual(parseSalaryString('€1.200.000'), salary(1200000, 1200000, 'EUR'));
+  assert.deepEqual(parseSalaryString('EUR 1.234,50 /month'), salary(1235, 1235, 'EUR', 'MONTHLY'));
+  assert.deepEqual(parseSalaryString('€4,5k'), salary(4500, 4500, 'EUR'));
+});
+
+test('ignores numbers that are not next to a currency', () => {
+  assert.deepEqual(parseSalaryString('2 years exp, $90k'), salary(90000, 90000, 'USD'));
+  assert.deepEqual(parseSalaryString('Team of 12, from €50k'), salary(50000, null, 'EUR'));
+});
+
+test('reads open-ended amounts', () => {
+  assert.deepEqual(parseSalaryString('$120k+'), salary(120000, null, 'USD'));
+  assert.deepEqual(parseSalaryString('up to $100k'), salary(null, 100000, 'USD'));
+});
+
+test('reads lakhs as INR', () => {
+  assert.deepEqual(parseSalaryString('12 LPA'), salary(1200000, 1200000, 'INR'));
+  assert.deepEqual(parseSalaryString('12-15 lakhs'), salary(1200000, 1500000, 'INR'));
+  assert.deepEqual(parseSalaryString('₹10-12 L'), salary(1000000, 1200000, 'INR'));
+});
+
+test('leaves the amounts empty without a currency', () => {
+  assert.equal(parseSalaryString('120k+'), null);
+  assert.equal(parseSalaryString('10-12 L'), null);
+  assert.deepEqual(parseSalaryString('Competitive'), salary(null, null, null, null, true));
+  assert.deepEqual(parseSalaryString('90k, negotiable'), salary(null, null, null, null, true));
+});
+
+test('parsed salaries pass the structured field rules', () => {
+  for (const text of ['120k+', '10-12 L', '$80k-100k', '€4.000 per month', '2 years exp, $90k', 'Competitive']) {
+    const parsed = parseSalaryString(text);
+    if (parsed) assert.equal(parseSalaryInput(parsed).error, undefined, text);
+  }
+});
+
+test('returns null for empty input', () => {
+  assert.equal(parseSalaryString(''), null);
+  assert.equal(parseSalaryString(null), null);
+});
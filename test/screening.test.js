@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isKnockedOut, parseAnswers, parseAnswerFilters } = require('../utils/screening');
+
+const question = (id, type, fields = {}) => ({
+  id,
+  type,
+  prompt: `Question ${id}`,
+  required: false,
+  options: [],
+  knockout: null,
+  ...fields
+});
+
+const questions = [
+  question('visa', 'YES_NO', { required: true, knockout: { answer: true } }),
+  question('shift', 'CHOICE', { options: ['Day', 'Night', 'Either'], knockout: { options: ['Night'] } }),
+  question('years', 'NUMBER', { knockout: { min: 3 } }),
+  question('why', 'TEXT')
+];
+
+test('knocks out the rejected yes/no answer and choices', () => {
+  assert.equal(isKnockedOut(questions[0], true), true);
+  assert.equal(isKnockedOut(questions[0], false), false);
+  assert.equal(isKnockedOut(questions[1], 'Night'), true);
+  assert.equal(isKnockedOut(questions[1], 'Either'), false);
+});
+
+test('knocks out numbers outside the range, bounds included', () => {
+  const range = question('salary', 'NUMBER', { knockout: { min: 3, max: 10 } });
+  assert.equal(isKnockedOut(range, 2), true);
+  assert.equal(isKnockedOut(range, 3), false);
+  assert.equal(isKnockedOut(range, 10), false);
+  assert.equal(isKnockedOut(range, 11), true);
+});
+
+test('never knocks out missing answers or questions without a rule', () => {
+  assert.equal(isKnockedOut(questions[2], null), false);
+  assert.equal(isKnockedOut(questions[3], 'anything'), false);
+});
+
+test('parses answers for each type and reports knockouts', () => {
+  const { answers, knockedOut, error } = parseAnswers(questions, [
+    { questionId: 'visa', value: 'no' },
+    { questionId: 'shift', value: ' night ' },
+    { questionId: 'years', value: '5' },
+    { questionId: 'why', value: '  I like it  ' }
+  ]);
+  assert.equal(error, undefined);
+  assert.deepEqual(answers.map((answer) => [answer.questionId, answer.value, answer.knockedOut]), [
+    ['visa', false, false],
+    ['shift', 'Night', true],
+    ['years', 5, false],
+    ['why', 'I like it', false]
+  ]);
+  assert.deepEqual(knockedOut.map((knocked) => knocked.id), ['shift']);
+});
+
+test('skips blank optional answers but requires required ones', () => {
+  assert.deepEqual(
+    parseAnswers(questions, [{ questionId: 'visa', value: true }, { questionId: 'why', value: '   ' }]).answers.map((answer) => answer.questionId),
+    ['visa']
+  );
+  assert.deepEqual(parseAnswers(questions, [{ questionId: 'visa', value: '' }]), {
+    error: 'Please answer: Question visa',
+    field: 'answers'
+  });
+});
+
+test('rejects unknown, repeated and invalid answers', () => {
+  assert.equal(parseAnswers(questions, [{ questionId: 'other', value: 'yes' }]).error, 'Question other is not asked by this job');
+  assert.equal(
+    parseAnswers(questions, [{ questionId: 'visa', value: 'yes' }, { questionId: 'visa', value: 'no' }]).error,
+    'Question visa is answered twice'
+  );
+  assert.equal(parseAnswers(questions, [{ questionId: 'visa', value: 'maybe' }]).error, 'Question visa: answer yes or no');
+  assert.equal(
+    parseAnswers(questions, [{ questionId: 'visa', value: 'no' }, { questionId: 'shift', value: 'Evening' }]).error,
+    'Question shift: answer one of: Day, Night, Either'
+  );
+  assert.equal(
+    parseAnswers(questions, [{ questionId: 'visa', value: 'no' }, { questionId: 'years', value: 'five' }]).error,
+    'Question years: answer with a number'
+  );
+});
+
+// The questions whose filter an answer set passes
+const passing = (filters, values) => filters
+  .filter((filter) => filter.matches(values[filter.questionId]))
+  .map((filter) => filter.questionId);
+
+test('filters on yes/no, choices and words', () => {
+  const { filters } = parseAnswerFilters({ visa: 'No', shift: 'day,EITHER', why: 'remote team' }, questions);
+  assert.deepEqual(passing(filters, { visa: false, shift: 'Either', why: 'A remote-first Team' }), ['visa', 'shift', 'why']);
+  assert.deepEqual(passing(filters, { visa: true, shift: 'Night', why: 'remote only' }), []);
+});
+
+test('filters numbers by comparison', () => {
+  const matches = (filter, value) => parseAnswerFilters({ years: filter }, questions).filters[0].matches(value);
+  assert.equal(matches('5', 5), true);
+  assert.equal(matches('5', 6), false);
+  assert.equal(matches('>=5', 5), true);
+  assert.equal(matches('>5', 5), false);
+  assert.equal(matches('<= 2.5', 2.5), true);
+  assert.equal(matches('<3', 3), false);
+  assert.equal(matches('>=1', '5'), false);
+});
+
+test('rejects filters it cannot apply', () => {
+  assert.deepEqual(parseAnswerFilters({ other: 'yes' }, questions), { error: 'Question not found for this job', field: 'answers[other]' });
+  assert.equal(parseAnswerFilters({ visa: 'maybe' }, questions).error, 'Filter with yes or no');
+  assert.equal(parseAnswerFilters({ shift: 'Day,Evening' }, questions).error, 'Filter with one or more of: Day, Night, Either');
+  assert.equal(parseAnswerFilters({ years: 'about 5' }, questions).error, 'Filter with a number, optionally prefixed by >=, <=, > or <');
+});
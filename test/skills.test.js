@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spellingPattern, buildTaxonomy, extractSkills, findSkill } = require('../utils/skills');
+
+const skill = (name, category, { aliases = [], ambiguous = false } = {}) => ({
+  id: name,
+  name,
+  key: name.toLowerCase(),
+  category,
+  ambiguous,
+  aliases: aliases.map((key) => ({ key }))
+});
+
+const taxonomy = buildTaxonomy([
+  skill('C', 'Languages'),
+  skill('C++', 'Languages', { aliases: ['cpp'] }),
+  skill('C#', 'Languages', { aliases: ['csharp'] }),
+  skill('Java', 'Languages'),
+  skill('JavaScript', 'Languages', { aliases: ['js'] }),
+  skill('Node.js', 'Backend', { aliases: ['nodejs', 'node'] }),
+  skill('Machine Learning', 'Data', { aliases: ['ml'] }),
+  skill('Go', 'Languages', { aliases: ['golang'], ambiguous: true }),
+  skill('Kubernetess', null)
+]);
+
+const extract = (text) => extractSkills(taxonomy, text).map((found) => found.name).sort();
+
+test('tells C from C++ and C#', () => {
+  assert.deepEqual(extract('We write C++ and some C#'), ['C#', 'C++']);
+  assert.deepEqual(extract('Embedded C, no C++'), ['C', 'C++']);
+  assert.deepEqual(extract('C.'), ['C']);
+});
+
+test('tells Java from JavaScript', () => {
+  assert.deepEqual(extract('JavaScript (Node.js) backend'), ['JavaScript', 'Node.js']);
+  assert.deepEqual(extract('Java/Spring and JS'), ['Java', 'JavaScript']);
+  assert.deepEqual(extract('java'), ['Java']);
+});
+
+test('matches names with dots and spaces as whole words', () => {
+  assert.deepEqual(extract('Experience with node or nodejs'), ['Node.js']);
+  assert.deepEqual(extract('Applied machine-learning'), ['Machine Learning']);
+  assert.deepEqual(extract('An html file'), []);
+  assert.deepEqual(extract('nodes in a graph'), []);
+});
+
+test('reads ambiguous skills by their aliases only', () => {
+  assert.deepEqual(extract('Ready to go? We use Golang'), ['Go']);
+  assert.deepEqual(extract('Ready to go?'), []);
+});
+
+test('leaves uncategorized skills out of free text but still finds them by name', () => {
+  assert.deepEqual(extract('Kubernetess clusters'), []);
+  assert.equal(findSkill(taxonomy, ' kubernetess ').name, 'Kubernetess');
+  assert.equal(findSkill(taxonomy, 'CPP').name, 'C++');
+});
+
+test('prefers the longest spelling', () => {
+  const pattern = spellingPattern(['c', 'c++']);
+  assert.equal('I know c++'.match(pattern)[0], 'c++');
+  assert.equal(spellingPattern(['react native']).test('React  Native apps'), true);
+  assert.equal(spellingPattern(['react native']).test('React-Native'), true);
+});
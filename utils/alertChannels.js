@@ -0,0 +1,75 @@
+// Pluggable delivery for saved-search alerts.
+//
+// A channel is any object with `deliver({ user, search, jobs, total })`
+// resolving to whether the alert reached the user; false (or a rejection)
+// means the jobs are alerted again on a later run. ALERT_CHANNELS (comma-separated) picks the built-in
+// ones:
+//   email - sends a digest through the mailer (default); only to verified
+//           addresses
+//   log   - logs the digest, handy in development
+// setAlertChannels() swaps in any other implementations.
+const { sendMail } = require('./mailer');
+const { savedSearchAlertEmail } = require('./emails');
+
+const createEmailChannel = () => ({
+  async deliver({ user, search, jobs, total }) {
+    if (!user.emailVerifiedAt) {
+      console.log('⚠️  Search alert skipped, email not verified:', { userId: user.id, searchId: search.id });
+      return false;
+    }
+    return sendMail({ to: user.email, ...savedSearchAlertEmail(user, search, jobs, total) });
+  }
+});
+
+const createLogChannel = () => ({
+  async deliver({ user, search, jobs, total }) {
+    console.log('🔔 Search alert:', {
+      userId: user.id,
+      searchId: search.id,
+      total,
+      jobs: jobs.map((job) => job.title)
+    });
+    return true;
+  }
+});
+
+const CHANNELS = {
+  email: createEmailChannel,
+  log: createLogChannel
+};
+
+let channels = null;
+
+function getAlertChannels() {
+  if (!channels) {
+    const names = (process.env.ALERT_CHANNELS || 'email').split(',').map((name) => name.trim()).filter(Boolean);
+    const unknown = names.filter((name) => !CHANNELS[name]);
+    if (unknown.length) {
+      throw new Error(`Unknown ALERT_CHANNELS "${unknown.join(', ')}". Use any of: ${Object.keys(CHANNELS).join(', ')}`);
+    }
+    channels = names.map((name) => CHANNELS[name]());
+  }
+  return channels;
+}
+
+function setAlertChannels(custom) {
+  channels = custom;
+}
+
+// Delivers through every channel; a failing channel is logged and doesn't
+// stop the others. Resolves to true only if every channel delivered.
+async function deliverAlert(alert) {
+  const results = await Promise.allSettled(getAlertChannels().map((channel) => channel.deliver(alert)));
+  for (const result of results) {
+    if (result.status === 'rejected') console.error('Deliver alert error:', result.reason);
+  }
+  return results.every((result) => result.status === 'fulfilled' && result.value === true);
+}
+
+module.exports = {
+  createEmailChannel,
+  createLogChannel,
+  getAlertChannels,
+  setAlertChannels,
+  deliverAlert
+};
@@ -0,0 +1,111 @@
+// Files submitted with applications: the resume copied from the applicant's
+// profile at apply time and the attachments they add (portfolio,
+// certificates...). They are private to the applicant and the hiring team:
+// stored under applications/<applicationId>/ and only downloaded through
+// GET /applications/:id/files/:fileId.
+const path = require('path');
+const { contentTypeFor, getStorage, newKey, readStoredFile, storeUpload, removeStoredFiles } = require('./storage');
+
+const ATTACHMENT_TYPES = ['.pdf', '.doc', '.docx', '.txt', '.png', '.jpg', '.jpeg', '.gif'];
+const MAX_ATTACHMENTS = 5;
+
+const FILE_SELECT = { id: true, kind: true, fileName: true, mimeType: true, size: true, createdAt: true };
+
+const filePrefix = (applicationId) => `applications/${applicationId}`;
+
+// Where clients download a file from
+const withUrl = (applicationId, file) => ({
+  ...file,
+  url: `/applications/${applicationId}/files/${file.id}`
+});
+
+/**
+ * Copies the profile's current resume into the application's files.
+ * Returns the ApplicationFile data to store, or null when the profile has no
+ * resume or its file is gone.
+ */
+async function snapshotResume(profile, applicationId) {
+  if (!profile?.resume) return null;
+
+  try {
+    const buffer = await readStoredFile(profile.resume);
+    if (!buffer) return null;
+
+    const key = newKey(filePrefix(applicationId), profile.resume);
+    const mimeType = contentTypeFor(profile.resume);
+    await getStorage().put(key, buffer, { contentType: mimeType });
+    return {
+      kind: 'RESUME',
+      fileName: profile.resumeName || path.basename(profile.resume),
+      path: key,
+      mimeType,
+      size: buffer.length
+    };
+  } catch (error) {
+    console.error('Resume snapshot error:', { applicationId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Stores uploaded attachments (multer memory storage) and returns the
+ * ApplicationFile data for each. If one fails, those already stored are
+ * removed and the error is rethrown.
+ */
+async function storeAttachments(applicationId, files) {
+  const stored = [];
+  try {
+    for (const file of files) {
+      const key = await storeUpload(filePrefix(applicationId), file);
+      stored.push({
+        kind: 'ATTACHMENT',
+        fileName: file.originalname,
+        path: key,
+        mimeType: contentTypeFor(key),
+        size: file.size
+      });
+    }
+    return stored;
+  } catch (error) {
+    await removeFiles(stored);
+    throw error;
+  }
+}
+
+// The parts of a profile shared with an application
+async function snapshotProfile(prisma, userId) {
+  const profile = await prisma.profile.findUnique({
+    where: { userId },
+    select: {
+      name: true,
+      headline: true,
+      location: true,
+      phone: true,
+      about: true,
+      skills: true,
+      experiences: {
+        select: { title: true, company: true, location: true, startDate: true, endDate: true, current: true, description: true },
+        orderBy: { startDate: 'desc' }
+      },
+      education: {
+        select: { institution: true, degree: true, fieldOfStudy: true, startYear: true, endYear: true, grade: true },
+        orderBy: { startYear: 'desc' }
+      }
+    }
+  });
+  return profile && { ...profile, takenAt: new Date().toISOString() };
+}
+
+// Removes stored files; missing files are ignored
+const removeFiles = (files = []) => removeStoredFiles(files.map((file) => file.path));
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENTS,
+  FILE_SELECT,
+  withUrl,
+  snapshotResume,
+  storeAttachments,
+  snapshotProfile,
+  removeFiles
+};
@@ -0,0 +1,232 @@
+// Recruiter search over job seeker profiles: resume text, skills, headline
+// and experience titles. Paging works like the job search (see jobSearch.js).
+const {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  splitTerms,
+  toTsQuery
+} = require('./jobSearch');
+const { getTaxonomy, findSkill } = require('./skills');
+const { withResumeUrl, viewableResumeOwners } = require('./resumeAccess');
+
+const SORT_OPTIONS = ['relevance', 'recent', 'experience'];
+const OFFSET_SORTS = ['relevance'];
+
+// Text fields ranked by ?sort=relevance
+const RANKED_FIELDS = ['resumeText', 'headline'];
+
+const SNIPPET_LENGTH = 200;
+
+// Profiles linked to the skill a term names (any spelling); terms that aren't
+// known skills can only match a profile skill spelled exactly that way
+function skillFilter(taxonomy, term) {
+  const skill = findSkill(taxonomy, term);
+  return skill ? { skillLinks: { some: { skillId: skill.id } } } : { skills: { has: term } };
+}
+
+/**
+ * Validates the GET /candidates query string.
+ * Returns { error, field } with a client-facing message, or { options }.
+ */
+function parseCandidateSearchQuery(query) {
+  const options = { limit: DEFAULT_LIMIT };
+
+  if (query.q != null) {
+    const q = String(query.q).trim();
+    if (q.length > 200) return { error: 'Search query is too long (max 200 characters)', field: 'q' };
+    if (q) {
+      options.terms = splitTerms(q);
+      options.rankQuery = toTsQuery(options.terms);
+    }
+  }
+
+  if (query.skills != null) {
+    const skills = String(query.skills).split(',').map((skill) => skill.trim()).filter(Boolean);
+    if (skills.length > 20) return { error: 'Use at most 20 skills', field: 'skills' };
+    if (skills.length) options.skills = skills;
+  }
+
+  if (query.location != null) {
+    const location = String(query.location).trim();
+    if (location) options.location = location;
+  }
+
+  for (const field of ['minYears', 'maxYears']) {
+    if (query[field] == null || query[field] === '') continue;
+    const years = Number(query[field]);
+    if (!Number.isFinite(years) || years < 0 || years > 80) {
+      return { error: `Invalid ${field}. Use a number of years between 0 and 80`, field };
+    }
+    options[field] = years;
+  }
+  if (options.minYears != null && options.maxYears != null && options.minYears > options.maxYears) {
+    return { error: 'minYears cannot be greater than maxYears', field: 'minYears' };
+  }
+
+  if (query.sort != null) {
+    const sort = String(query.sort).trim().toLowerCase();
+    if (!SORT_OPTIONS.includes(sort)) {
+      return { error: `Invalid sort. Use one of: ${SORT_OPTIONS.join(', ')}`, field: 'sort' };
+    }
+    options.sort = sort;
+  }
+  if (!options.sort || (options.sort === 'relevance' && !options.rankQuery)) {
+    options.sort = options.rankQuery ? 'relevance' : 'recent';
+  }
+
+  if (query.limit != null) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `Invalid limit. Use a number between 1 and ${MAX_LIMIT}`, field: 'limit' };
+    }
+    options.limit = limit;
+  }
+
+  if (query.cursor != null) {
+    options.cursor = decodeCursor(query.cursor);
+    if (!options.cursor) return { error: 'Invalid cursor', field: 'cursor' };
+  }
+
+  return { options };
+}
+
+// Only live job seeker accounts are candidates
+function buildCandidateWhere(options, taxonomy) {
+  const and = [{ user: { role: 'JOB_SEEKER', deletedAt: null } }];
+
+  for (const term of options.terms || []) {
+    and.push({
+      OR: [
+        { resumeText: { contains: term, mode: 'insensitive' } },
+        { headline: { contains: term, mode: 'insensitive' } },
+        skillFilter(taxonomy, term),
+        { experiences: { some: { title: { contains: term, mode: 'insensitive' } } } }
+      ]
+    });
+  }
+
+  for (const skill of options.skills || []) {
+    and.push(skillFilter(taxonomy, skill));
+  }
+
+  if (options.location) {
+    and.push({ location: { contains: options.location, mode: 'insensitive' } });
+  }
+  if (options.minYears != null) {
+    and.push({ experienceMonths: { gte: Math.round(options.minYears * 12) } });
+  }
+  if (options.maxYears != null) {
+    and.push({ experienceMonths: { lte: Math.round(options.maxYears * 12) } });
+  }
+
+  return { AND: and };
+}
+
+function buildCandidateOrderBy(options) {
+  switch (options.sort) {
+    case 'relevance':
+      return [
+        { _relevance: { fields: RANKED_FIELDS, search: options.rankQuery, sort: 'desc' } },
+        { updatedAt: 'desc' },
+        { id: 'desc' }
+      ];
+    case 'experience':
+      return [{ experienceMonths: 'desc' }, { id: 'desc' }];
+    default:
+      return [{ updatedAt: 'desc' }, { id: 'desc' }];
+  }
+}
+
+// A short piece of resume text around the first search term found in it
+function resumeSnippet(text, terms = []) {
+  if (!text) return null;
+  const lower = text.toLowerCase();
+  const index = terms
+    .map((term) => lower.indexOf(term.toLowerCase()))
+    .filter((position) => position !== -1)
+    .sort((a, b) => a - b)[0];
+  if (index === undefined) return null;
+
+  const start = Math.max(0, index - SNIPPET_LENGTH / 2);
+  const snippet = text.slice(start, start + SNIPPET_LENGTH).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${snippet}${start + SNIPPET_LENGTH < text.length ? '…' : ''}`;
+}
+
+const CANDIDATE_SELECT = {
+  id: true,
+  userId: true,
+  name: true,
+  headline: true,
+  location: true,
+  avatar: true,
+  skills: true,
+  experienceMonths: true,
+  resume: true,
+  resumeName: true,
+  resumeUpdatedAt: true,
+  resumeText: true,
+  updatedAt: true,
+  user: { select: { name: true, email: true } },
+  experiences: {
+    select: { title: true, company: true, current: true },
+    orderBy: { startDate: 'desc' },
+    take: 3
+  }
+};
+
+/**
+ * Runs a paginated candidate search.
+ * Returns { candidates, nextCursor, total }; the full resume text is replaced
+ * by a snippet around the search terms. `resume` links only the resumes
+ * `user` may download (see canViewResume), and is null for the others.
+ */
+async function searchCandidates(prisma, options, user) {
+  const where = buildCandidateWhere(options, await getTaxonomy(prisma));
+  const orderBy = buildCandidateOrderBy(options);
+
+  const useOffset = OFFSET_SORTS.includes(options.sort);
+  const page = { take: options.limit + 1 };
+  if (useOffset) {
+    page.skip = options.cursor?.offset ?? 0;
+  } else if (options.cursor?.id) {
+    page.cursor = { id: options.cursor.id };
+    page.skip = 1;
+  }
+
+  const [rows, total] = await Promise.all([
+    prisma.profile.findMany({
+      where,
+      select: CANDIDATE_SELECT,
+      orderBy,
+      ...page
+    }),
+    prisma.profile.count({ where })
+  ]);
+
+  const hasMore = rows.length > options.limit;
+  const profiles = hasMore ? rows.slice(0, options.limit) : rows;
+
+  let nextCursor = null;
+  if (hasMore) {
+    nextCursor = useOffset
+      ? encodeCursor({ offset: page.skip + profiles.length })
+      : encodeCursor({ id: profiles[profiles.length - 1].id });
+  }
+
+  const viewable = await viewableResumeOwners(prisma, user, profiles.map((profile) => profile.userId));
+  const candidates = profiles.map(({ resumeText, ...profile }) => ({
+    ...withResumeUrl(viewable.has(profile.userId) ? profile : { ...profile, resume: null }),
+    yearsOfExperience: Math.round(profile.experienceMonths / 12 * 10) / 10,
+    resumeSnippet: resumeSnippet(resumeText, [...(options.terms || []), ...(options.skills || [])])
+  }));
+
+  return { candidates, nextCursor, total };
+}
+
+module.exports = {
+  parseCandidateSearchQuery,
+  buildCandidateWhere,
+  searchCandidates
+};
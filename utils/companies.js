@@ -0,0 +1,173 @@
+// Companies: one record per employer, whatever spelling recruiters type in,
+// shared by the recruiters who joined it. Members post jobs for the company;
+// owners also edit it and manage its members and invites.
+const crypto = require('crypto');
+const { hashToken } = require('./tokens');
+
+const COMPANY_SIZES = ['1-10', '11-50', '51-200', '201-500', '501-1000', '1001-5000', '5000+'];
+const COMPANY_ROLES = ['OWNER', 'MEMBER'];
+
+const COMPANY_INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Legal forms dropped from the end of names, so "Acme Inc." and "ACME" match
+const LEGAL_SUFFIXES = new Set([
+  'inc', 'incorporated', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co',
+  'company', 'plc', 'gmbh', 'ag', 'sa', 'sas', 'srl', 'bv', 'nv', 'oy', 'ab', 'pty', 'pvt'
+]);
+
+// Fields of a company as shown on job listings
+const COMPANY_SUMMARY_SELECT = { id: true, name: true, logo: true };
+
+// "Acme, Inc." -> "acme"; "Müller & Söhne GmbH" -> "muller and sohne"
+function companyKey(name) {
+  const words = String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1])) {
+    words.pop();
+  }
+  return words.join(' ');
+}
+
+// The user's membership of a company, or null
+function findMembership(prisma, companyId, userId) {
+  return prisma.companyMember.findUnique({
+    where: { companyId_userId: { companyId, userId } }
+  });
+}
+
+/**
+ * Picks the company a recruiter posts a job for, from `companyId` or a
+ * `company` name:
+ * - a company they belong to is used as is;
+ * - a name nobody uses yet creates the company, with them as its owner;
+ * - a migrated company nobody has joined yet is claimed, with them as its owner;
+ * - other companies are joined by invitation only.
+ * With neither, their only company is used.
+ * Returns { company } or { status, error, field? }.
+ */
+async function resolveJobCompany(prisma, userId, { companyId, company: name }) {
+  if (companyId) {
+    const membership = await prisma.companyMember.findUnique({
+      where: { companyId_userId: { companyId, userId } },
+      include: { company: true }
+    });
+    if (!membership) {
+      return { status: 403, error: 'You are not a member of this company' };
+    }
+    return { company: membership.company };
+  }
+
+  if (!name) {
+    const memberships = await prisma.companyMember.findMany({ where: { userId }, include: { company: true }, take: 2 });
+    if (memberships.length !== 1) {
+      return { status: 400, error: 'Company is required', field: 'company' };
+    }
+    return { company: memberships[0].company };
+  }
+
+  const key = companyKey(name);
+  if (!key) {
+    return { status: 400, error: 'Invalid company name', field: 'company' };
+  }
+
+  const existing = await prisma.company.findUnique({
+    where: { key },
+    include: { members: { select: { userId: true } } }
+  });
+
+  if (!existing) {
+    try {
+      const created = await prisma.company.create({
+        data: { name, key, members: { create: { userId, role: 'OWNER' } } }
+      });
+      return { company: created };
+    } catch (error) {
+      // Created by someone else in the meantime
+      if (error.code !== 'P2002') throw error;
+      return resolveJobCompany(prisma, userId, { company: name });
+    }
+  }
+
+  const { members, ...company } = existing;
+  if (members.some((member) => member.userId === userId)) {
+    return { company };
+  }
+  if (!members.length) {
+    await prisma.companyMember.create({ data: { companyId: company.id, userId, role: 'OWNER' } });
+    return { company };
+  }
+  return {
+    status: 403,
+    error: `${company.name} already has a company page. Ask one of its owners to invite you.`
+  };
+}
+
+// Creates an invite to `companyId` for `email`, replacing any pending one
+async function createCompanyInvite(prisma, { companyId, email, role, invitedById }) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const [, invite] = await prisma.$transaction([
+    prisma.companyInvite.deleteMany({
+      where: { companyId, email: { equals: email, mode: 'insensitive' }, acceptedAt: null }
+    }),
+    prisma.companyInvite.create({
+      data: {
+        companyId,
+        email,
+        role,
+        tokenHash: hashToken(token),
+        invitedById,
+        expiresAt: new Date(Date.now() + COMPANY_INVITE_TTL_MS)
+      }
+    })
+  ]);
+  return { invite, token };
+}
+
+// Returns the pending, unexpired invite for a token (with its company), or null
+async function findPendingCompanyInvite(prisma, token) {
+  const invite = await prisma.companyInvite.findUnique({
+    where: { tokenHash: hashToken(String(token)) },
+    include: { company: true }
+  });
+  if (!invite || invite.acceptedAt || invite.expiresAt <= new Date()) return null;
+  return invite;
+}
+
+/**
+ * Makes the user a member with the invite's role, in one transaction.
+ * Returns the membership, or null if the invite was accepted concurrently.
+ */
+async function acceptCompanyInvite(prisma, invite, userId) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.companyInvite.updateMany({
+      where: { id: invite.id, acceptedAt: null },
+      data: { acceptedAt: new Date() }
+    });
+    if (!count) return null;
+
+    return tx.companyMember.create({
+      data: { companyId: invite.companyId, userId, role: invite.role }
+    });
+  });
+}
+
+module.exports = {
+  COMPANY_SIZES,
+  COMPANY_ROLES,
+  COMPANY_INVITE_TTL_MS,
+  COMPANY_SUMMARY_SELECT,
+  companyKey,
+  findMembership,
+  resolveJobCompany,
+  createCompanyInvite,
+  findPendingCompanyInvite,
+  acceptCompanyInvite
+};
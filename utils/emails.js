@@ -0,0 +1,86 @@
+// Email templates. Each returns { subject, text, html } for sendMail().
+
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const appLink = (pathname, params = {}) => {
+  const url = new URL(pathname, APP_URL);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+// Wraps paragraphs and an optional call-to-action link into text + HTML bodies
+const layout = ({ subject, paragraphs, link }) => ({
+  subject,
+  text: [...paragraphs, ...(link ? [`${link.label}: ${link.url}`] : [])].join('\n\n'),
+  html: [
+    ...paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`),
+    ...(link ? [`<p><a href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a></p>`] : [])
+  ].join('\n')
+});
+
+const verificationEmail = (user, token) => layout({
+  subject: 'Verify your email address',
+  paragraphs: [
+    `Hi ${user.name},`,
+    'Please confirm your email address to finish setting up your Job Portal account. The link is valid for 24 hours.'
+  ],
+  link: { label: 'Verify email', url: appLink('/verify-email', { token }) }
+});
+
+const passwordResetEmail = (user, token) => layout({
+  subject: 'Reset your password',
+  paragraphs: [
+    `Hi ${user.name},`,
+    'We received a request to reset your Job Portal password. The link is valid for 1 hour and can be used once.',
+    "If you didn't ask for this, you can ignore this email."
+  ],
+  link: { label: 'Reset password', url: appLink('/reset-password', { token }) }
+});
+
+const adminInviteEmail = (inviter, token) => layout({
+  subject: "You've been invited to administer Job Portal",
+  paragraphs: [
+    `${inviter.name} invited you to join Job Portal as an administrator.`,
+    'Open the link below to choose your name and password. The invite is valid for 7 days.'
+  ],
+  link: { label: 'Accept invite', url: appLink('/accept-invite', { token }) }
+});
+
+const companyInviteEmail = (inviter, company, token) => layout({
+  subject: `Join ${company.name} on Job Portal`,
+  paragraphs: [
+    `${inviter.name} invited you to post jobs for ${company.name} on Job Portal.`,
+    'Sign in with a recruiter account using this email address, then open the link below. The invite is valid for 7 days.'
+  ],
+  link: { label: 'Join company', url: appLink('/join-company', { token }) }
+});
+
+// Digest of new jobs matching a saved search; `total` may exceed jobs.length
+const savedSearchAlertEmail = (user, search, jobs, total) => layout({
+  subject: `${total} new ${total === 1 ? 'job' : 'jobs'} for "${search.name}"`,
+  paragraphs: [
+    `Hi ${user.name},`,
+    `${total === 1 ? 'A new job matches' : `${total} new jobs match`} your saved search "${search.name}":`,
+    ...jobs.map((job) => `${job.title} at ${job.company} (${job.location}): ${appLink(`/jobs/${job.id}`)}`),
+    ...(total > jobs.length ? [`…and ${total - jobs.length} more.`] : []),
+    `To stop these alerts, unsubscribe here: ${appLink('/unsubscribe', { token: search.unsubscribeToken })}`
+  ],
+  link: { label: 'See all matching jobs', url: appLink('/jobs', search.filters) }
+});
+
+module.exports = {
+  appLink,
+  escapeHtml,
+  layout,
+  verificationEmail,
+  passwordResetEmail,
+  adminInviteEmail,
+  companyInviteEmail,
+  savedSearchAlertEmail
+};
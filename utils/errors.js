@@ -0,0 +1,54 @@
+// Error responses all share one shape:
+//   { error: { code, message, fields: [{ field, in, message }] } }
+
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+// Thrown (or passed to next) to end a request with a specific error response
+class ApiError extends Error {
+  constructor(status, message, { code, fields = [] } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || DEFAULT_CODES[status] || 'ERROR';
+    this.fields = fields;
+  }
+}
+
+function errorBody(status, message, { code, fields = [] } = {}) {
+  return {
+    error: {
+      code: code || DEFAULT_CODES[status] || 'ERROR',
+      message,
+      fields
+    }
+  };
+}
+
+function sendError(res, status, message, options) {
+  return res.status(status).json(errorBody(status, message, options));
+}
+
+// 400 for a single invalid input; `field` is optional
+function sendValidationError(res, message, field, location = 'body') {
+  return sendError(res, 400, message, {
+    code: 'VALIDATION_ERROR',
+    fields: field ? [{ field, in: location, message }] : []
+  });
+}
+
+module.exports = {
+  ApiError,
+  errorBody,
+  sendError,
+  sendValidationError
+};
@@ -0,0 +1,114 @@
+// Total work experience of a profile, stored as Profile.experienceMonths so
+// candidates can be filtered by years of experience in the database.
+// Current roles keep adding months, so profiles with one are recomputed on a
+// timer (startExperienceRefreshTimer) as well as when their experiences change.
+
+// Totals only change when a month starts; checking daily keeps them at most a
+// day behind
+const REFRESH_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const REFRESH_BATCH_SIZE = 500;
+
+// "2022-03" -> months since year 0; a bare "2022" means January as a start
+// date and December as an end date
+function toMonthIndex(value, { end = false } = {}) {
+  const match = /^(\d{4})(?:-(\d{2}))?$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const month = match[2] ? Number(match[2]) : end ? 12 : 1;
+  return Number(match[1]) * 12 + (month - 1);
+}
+
+/**
+ * Counts the months covered by a list of experiences, counting overlapping
+ * jobs once. Current roles run until `now`; past roles without an end date
+ * count as their start month only.
+ */
+function totalExperienceMonths(experiences, now = new Date()) {
+  const nowIndex = now.getFullYear() * 12 + now.getMonth();
+
+  const ranges = experiences
+    .map((experience) => {
+      const start = toMonthIndex(experience.startDate);
+      if (start === null) return null;
+      let end = experience.current ? nowIndex : toMonthIndex(experience.endDate, { end: true });
+      if (end === null) end = start;
+      end = Math.min(end, nowIndex);
+      return end >= start ? [start, end] : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0;
+  let current = null;
+  for (const [start, end] of ranges) {
+    if (current && start <= current[1] + 1) {
+      current[1] = Math.max(current[1], end);
+    } else {
+      if (current) total += current[1] - current[0] + 1;
+      current = [start, end];
+    }
+  }
+  if (current) total += current[1] - current[0] + 1;
+  return total;
+}
+
+// Recomputes a profile's experienceMonths; call after experiences change
+async function refreshExperienceMonths(prisma, profileId) {
+  const experiences = await prisma.experience.findMany({
+    where: { profileId },
+    select: { startDate: true, endDate: true, current: true }
+  });
+  const experienceMonths = totalExperienceMonths(experiences);
+  await prisma.profile.update({ where: { id: profileId }, data: { experienceMonths } });
+  return experienceMonths;
+}
+
+// Recomputes experienceMonths of every profile with a current role, saving
+// the ones that changed. Returns how many were updated.
+async function refreshCurrentExperienceMonths(prisma, now = new Date()) {
+  let updated = 0;
+  let cursor = null;
+
+  for (;;) {
+    const profiles = await prisma.profile.findMany({
+      where: { experiences: { some: { current: true } } },
+      select: {
+        id: true,
+        experienceMonths: true,
+        experiences: { select: { startDate: true, endDate: true, current: true } }
+      },
+      orderBy: { id: 'asc' },
+      take: REFRESH_BATCH_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+    });
+    if (!profiles.length) break;
+
+    for (const profile of profiles) {
+      const experienceMonths = totalExperienceMonths(profile.experiences, now);
+      if (experienceMonths === profile.experienceMonths) continue;
+      await prisma.profile.update({ where: { id: profile.id }, data: { experienceMonths } });
+      updated++;
+    }
+    cursor = profiles[profiles.length - 1].id;
+  }
+
+  if (updated) {
+    console.log('✅ Experience totals refreshed:', { count: updated });
+  }
+  return updated;
+}
+
+function startExperienceRefreshTimer(prisma) {
+  const run = () => refreshCurrentExperienceMonths(prisma)
+    .catch((error) => console.error('Refresh experience error:', error));
+  run();
+  const timer = setInterval(run, REFRESH_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  totalExperienceMonths,
+  refreshExperienceMonths,
+  refreshCurrentExperienceMonths,
+  startExperienceRefreshTimer
+};
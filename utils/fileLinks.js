@@ -0,0 +1,41 @@
+// Expiring signed links to private files, for places that can't send an
+// Authorization header (an <a href>, an <iframe>, an email). A link carries
+// `expires` (ms timestamp) and `signature`, an HMAC of the path and expiry,
+// and grants access to that path alone until it expires.
+const crypto = require('crypto');
+
+const DEFAULT_LINK_TTL_MINUTES = 15;
+const MAX_LINK_TTL_MINUTES = 24 * 60;
+
+const linkSecret = () => process.env.FILE_LINK_SECRET || process.env.JWT_SECRET;
+
+const sign = (pathname, expires) => (
+  crypto.createHmac('sha256', linkSecret()).update(`${pathname}\n${expires}`).digest('base64url')
+);
+
+// Returns { url, expiresAt } for `pathname`, valid for `ttlMinutes`
+function signPath(pathname, ttlMinutes = Number(process.env.FILE_LINK_TTL_MINUTES) || DEFAULT_LINK_TTL_MINUTES) {
+  const expires = Date.now() + Math.min(ttlMinutes, MAX_LINK_TTL_MINUTES) * 60 * 1000;
+  return {
+    url: `${pathname}?expires=${expires}&signature=${sign(pathname, expires)}`,
+    expiresAt: new Date(expires)
+  };
+}
+
+// Whether `expires` and `signature` (from the query) are a live link to `pathname`
+function verifySignedPath(pathname, { expires, signature } = {}) {
+  const expiresAt = Number(expires);
+  if (!Number.isFinite(expiresAt) || expiresAt < Date.now() || typeof signature !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(sign(pathname, expiresAt));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+module.exports = {
+  DEFAULT_LINK_TTL_MINUTES,
+  MAX_LINK_TTL_MINUTES,
+  signPath,
+  verifySignedPath
+};
@@ -0,0 +1,61 @@
+// Checks uploads by what they contain rather than what they're called: a
+// renamed executable doesn't start like a PDF. Each accepted extension maps
+// to a content type recognized from the file's first bytes.
+
+const startsWith = (buffer, bytes, offset = 0) => (
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte)
+);
+
+const ascii = (text) => [...Buffer.from(text, 'latin1')];
+
+// Plain text: valid UTF-8 without NUL bytes
+function isText(buffer) {
+  if (buffer.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const SIGNATURES = {
+  // Readers accept the header anywhere in the first KB
+  pdf: (buffer) => buffer.subarray(0, 1024).includes('%PDF-'),
+  // DOCX is a zip whose entries live under word/; entry names are stored uncompressed
+  docx: (buffer) => startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) && buffer.includes('word/'),
+  // Legacy Office documents are OLE compound files
+  doc: (buffer) => startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+  png: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  jpeg: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]),
+  gif: (buffer) => startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a')),
+  // Local file header, or the end record of an empty archive
+  zip: (buffer) => startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) || startsWith(buffer, [0x50, 0x4b, 0x05, 0x06]),
+  txt: (buffer) => isText(buffer),
+  // Text whose first character (after a BOM or whitespace) opens an object or array
+  json: (buffer) => isText(buffer) && /^\uFEFF?\s*[[{]/.test(buffer.subarray(0, 1024).toString('utf8'))
+};
+
+const EXTENSION_TYPES = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.doc': 'doc',
+  '.png': 'png',
+  '.jpg': 'jpeg',
+  '.jpeg': 'jpeg',
+  '.gif': 'gif',
+  '.txt': 'txt',
+  '.zip': 'zip',
+  '.json': 'json'
+};
+
+// Whether the buffer's content is what its extension (e.g. ".pdf") says
+function matchesExtension(buffer, ext) {
+  const type = EXTENSION_TYPES[ext.toLowerCase()];
+  return !!type && SIGNATURES[type](buffer);
+}
+
+module.exports = {
+  EXTENSION_TYPES,
+  matchesExtension
+};
@@ -0,0 +1,77 @@
+// Minimal iCalendar (RFC 5545) writer for interview invites and feeds.
+// Times are always written in UTC, so no VTIMEZONE blocks are needed.
+
+const APP_URL = process.env.APP_URL || 'http://localhost:5173';
+const UID_DOMAIN = new URL(APP_URL).hostname;
+
+// 20240131T093000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const bytes = Buffer.from(line);
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * One VEVENT. `event` is { uid, start, end, summary, description?, location?,
+ * url?, status? (CONFIRMED, TENTATIVE, CANCELLED), sequence?, updatedAt? }.
+ */
+function buildEvent(event) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDate(event.updatedAt || new Date())}`,
+    `DTSTART:${formatDate(event.start)}`,
+    `DTEND:${formatDate(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    event.description && `DESCRIPTION:${escapeText(event.description)}`,
+    event.location && `LOCATION:${escapeText(event.location)}`,
+    event.url && `URL:${event.url}`,
+    `STATUS:${event.status || 'CONFIRMED'}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    'END:VEVENT'
+  ];
+  return lines.filter(Boolean);
+}
+
+// A full calendar file; `name` shows as the calendar's title in feeds
+function buildCalendar({ name, events }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Job Portal//Interviews//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    name && `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(buildEvent),
+    'END:VCALENDAR'
+  ];
+  return lines.filter(Boolean).map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  formatDate,
+  escapeText,
+  foldLine,
+  buildCalendar
+};
@@ -0,0 +1,69 @@
+// Avatar processing: uploads are decoded and re-encoded as square WebP
+// thumbnails in fixed sizes. Re-encoding drops EXIF and other metadata
+// (camera, GPS...) and anything hidden after the image data.
+const { ApiError } = require('./errors');
+const { getStorage, newKey, publicUrl, publicKey, removeStoredFiles } = require('./storage');
+
+const AVATAR_SIZES = [64, 128, 256];
+const DEFAULT_AVATAR_SIZE = 256;
+
+// Guards against decompression bombs: small files that decode to huge images
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+const sizedName = (base, size) => `${base}-${size}.webp`;
+
+/**
+ * Re-encodes an uploaded image into every avatar size.
+ * Returns [{ size, buffer }]; throws a 400 ApiError if it can't be decoded.
+ */
+async function processAvatar(buffer) {
+  const sharp = require('sharp');
+  try {
+    // First frame only for animated GIFs; rotate() applies the EXIF orientation before it's dropped
+    const image = sharp(buffer, { animated: false, limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+    return await Promise.all(AVATAR_SIZES.map(async (size) => ({
+      size,
+      buffer: await image.clone().resize(size, size, { fit: 'cover' }).webp({ quality: 85 }).toBuffer()
+    })));
+  } catch (error) {
+    throw new ApiError(400, 'The avatar image could not be read', {
+      code: 'UPLOAD_ERROR',
+      fields: [{ field: 'avatar', in: 'body', message: 'The avatar image could not be read' }]
+    });
+  }
+}
+
+// Public URL of each size, from the avatar's URL (the default size)
+function avatarSizes(avatarUrl) {
+  const match = avatarUrl?.match(new RegExp(`^(.+)-${DEFAULT_AVATAR_SIZE}\\.webp$`));
+  if (!match) return avatarUrl ? { [DEFAULT_AVATAR_SIZE]: avatarUrl } : null;
+  return Object.fromEntries(AVATAR_SIZES.map((size) => [size, sizedName(match[1], size)]));
+}
+
+/**
+ * Processes and stores an avatar upload.
+ * Returns { avatar (URL of the default size), sizes ({ size: URL }) }.
+ */
+async function storeAvatar(buffer) {
+  const images = await processAvatar(buffer);
+  const base = newKey('avatars', '');
+  await Promise.all(images.map((image) => (
+    getStorage().put(sizedName(base, image.size), image.buffer, { contentType: 'image/webp' })
+  )));
+  const avatar = publicUrl(sizedName(base, DEFAULT_AVATAR_SIZE));
+  return { avatar, sizes: avatarSizes(avatar) };
+}
+
+// Removes every stored size of an avatar (or the single file of an older one)
+function removeAvatar(avatarUrl) {
+  return removeStoredFiles(Object.values(avatarSizes(avatarUrl) || {}).map(publicKey));
+}
+
+module.exports = {
+  AVATAR_SIZES,
+  DEFAULT_AVATAR_SIZE,
+  processAvatar,
+  avatarSizes,
+  storeAvatar,
+  removeAvatar
+};
@@ -0,0 +1,166 @@
+// Interview scheduling: proposed slots, booking without double-booking the
+// recruiter, and calendar (iCalendar) events.
+const crypto = require('crypto');
+const { buildCalendar } = require('./ical');
+
+const MAX_SLOTS = 10;
+const MIN_DURATION_MINUTES = 15;
+const MAX_DURATION_MINUTES = 8 * 60;
+
+// Relations every interview response carries
+const INTERVIEW_INCLUDE = {
+  slots: { orderBy: { startsAt: 'asc' } },
+  recruiter: { select: { id: true, name: true } },
+  application: {
+    select: {
+      id: true,
+      userId: true,
+      user: { select: { id: true, name: true } },
+      job: { select: { id: true, title: true, company: true, recruiterId: true } }
+    }
+  }
+};
+
+function createCalendarToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Turns proposed start times into slots of `durationMinutes`.
+ * Returns { slots } (sorted, [{ startsAt, endsAt }]) or { error, field }.
+ */
+function parseSlots(input, durationMinutes, now = new Date()) {
+  if (!Array.isArray(input) || !input.length || input.length > MAX_SLOTS) {
+    return { error: `Propose between 1 and ${MAX_SLOTS} slots`, field: 'slots' };
+  }
+
+  const starts = new Set();
+  const slots = [];
+  for (const value of input) {
+    const startsAt = new Date(String(value));
+    if (Number.isNaN(startsAt.getTime())) {
+      return { error: 'Invalid slot. Use ISO date-times, e.g. 2024-01-31T09:30:00Z', field: 'slots' };
+    }
+    if (startsAt <= now) {
+      return { error: 'Slots must be in the future', field: 'slots' };
+    }
+    if (starts.has(startsAt.getTime())) continue;
+    starts.add(startsAt.getTime());
+    slots.push({ startsAt, endsAt: new Date(startsAt.getTime() + durationMinutes * 60 * 1000) });
+  }
+
+  return { slots: slots.sort((a, b) => a.startsAt - b.startsAt) };
+}
+
+// The recruiter's scheduled interviews overlapping any of the time ranges
+function conflictWhere(recruiterId, ranges, excludeId) {
+  return {
+    recruiterId,
+    status: 'SCHEDULED',
+    ...(excludeId ? { id: { not: excludeId } } : {}),
+    OR: ranges.map((range) => ({ startsAt: { lt: range.endsAt }, endsAt: { gt: range.startsAt } }))
+  };
+}
+
+// Proposed slots the recruiter is already booked for
+async function findBookedSlots(prisma, recruiterId, slots, excludeId) {
+  const booked = await prisma.interview.findMany({
+    where: conflictWhere(recruiterId, slots, excludeId),
+    select: { startsAt: true, endsAt: true }
+  });
+  return slots.filter((slot) => booked.some((interview) => (
+    interview.startsAt < slot.endsAt && interview.endsAt > slot.startsAt
+  )));
+}
+
+/**
+ * Books `slotId` for a proposed interview. Runs under a per-recruiter lock so
+ * two candidates can't book overlapping slots at the same moment.
+ * Returns { interview } or { status, error, field? }.
+ */
+async function bookSlot(prisma, interview, slotId) {
+  return prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${interview.recruiterId}))`;
+
+    // Re-read under the lock: the interview may have changed meanwhile
+    const current = await tx.interview.findUnique({ where: { id: interview.id }, include: { slots: true } });
+    if (!current || current.status !== 'PROPOSED') {
+      return { status: 409, error: 'This interview is no longer waiting for a slot to be picked' };
+    }
+    const slot = current.slots.find((candidate) => candidate.id === slotId);
+    if (!slot) {
+      return { status: 400, error: 'Slot not found for this interview', field: 'slotId' };
+    }
+    if (slot.startsAt <= new Date()) {
+      return { status: 400, error: 'This slot has already passed', field: 'slotId' };
+    }
+
+    const conflict = await tx.interview.findFirst({
+      where: conflictWhere(current.recruiterId, [slot], current.id),
+      select: { id: true }
+    });
+    if (conflict) {
+      return { status: 409, error: 'This slot is no longer available. Pick another one.' };
+    }
+
+    const booked = await tx.interview.update({
+      where: { id: current.id },
+      data: { status: 'SCHEDULED', startsAt: slot.startsAt, endsAt: slot.endsAt, sequence: { increment: 1 } },
+      include: INTERVIEW_INCLUDE
+    });
+    return { interview: booked };
+  });
+}
+
+// Marks each slot of a proposed interview with whether it can still be picked
+async function withSlotAvailability(prisma, interview, now = new Date()) {
+  if (interview.status !== 'PROPOSED') return interview;
+  const booked = await findBookedSlots(prisma, interview.recruiterId, interview.slots, interview.id);
+  return {
+    ...interview,
+    slots: interview.slots.map((slot) => ({
+      ...slot,
+      available: slot.startsAt > now && !booked.includes(slot)
+    }))
+  };
+}
+
+function interviewEvent(interview) {
+  const { job, user } = interview.application;
+  return {
+    uid: `interview-${interview.id}`,
+    start: interview.startsAt,
+    end: interview.endsAt,
+    summary: `Interview: ${job.title} (${job.company})`,
+    description: [
+      `Candidate: ${user.name}`,
+      `Recruiter: ${interview.recruiter.name}`,
+      interview.notes
+    ].filter(Boolean).join('\n'),
+    location: interview.location,
+    status: interview.status === 'CANCELLED' ? 'CANCELLED' : 'CONFIRMED',
+    sequence: interview.sequence,
+    updatedAt: interview.updatedAt
+  };
+}
+
+// .ics file for scheduled (or cancelled) interviews, with INTERVIEW_INCLUDE
+function interviewCalendar(interviews, name) {
+  return buildCalendar({
+    name,
+    events: interviews.filter((interview) => interview.startsAt).map(interviewEvent)
+  });
+}
+
+module.exports = {
+  MIN_DURATION_MINUTES,
+  MAX_DURATION_MINUTES,
+  MAX_SLOTS,
+  INTERVIEW_INCLUDE,
+  createCalendarToken,
+  parseSlots,
+  findBookedSlots,
+  bookSlot,
+  withSlotAvailability,
+  interviewCalendar
+};
@@ -0,0 +1,65 @@
+// Admin invites: the only way (besides scripts/create-admin.js) to get an
+// ADMIN account. Only a hash of each invite token is stored.
+const crypto = require('crypto');
+const { hashToken } = require('./tokens');
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Creates an invite for `email`, replacing any pending invite for it
+async function createInvite(prisma, { email, invitedById }) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const [, invite] = await prisma.$transaction([
+    prisma.invite.deleteMany({ where: { email, acceptedAt: null } }),
+    prisma.invite.create({
+      data: {
+        email,
+        role: 'ADMIN',
+        tokenHash: hashToken(token),
+        invitedById,
+        expiresAt: new Date(Date.now() + INVITE_TTL_MS)
+      }
+    })
+  ]);
+  return { invite, token };
+}
+
+// Returns the pending, unexpired invite for a token, or null
+async function findPendingInvite(prisma, token) {
+  const invite = await prisma.invite.findUnique({
+    where: { tokenHash: hashToken(String(token)) }
+  });
+  if (!invite || invite.acceptedAt || invite.expiresAt <= new Date()) return null;
+  return invite;
+}
+
+/**
+ * Accepts an invite by creating its user in one transaction.
+ * Returns the user, or null if the invite was accepted concurrently.
+ */
+async function acceptInvite(prisma, invite, { name, password }) {
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.invite.updateMany({
+      where: { id: invite.id, acceptedAt: null },
+      data: { acceptedAt: new Date() }
+    });
+    if (!count) return null;
+
+    // The invite was emailed, so the address is already proven
+    return tx.user.create({
+      data: {
+        name,
+        email: invite.email,
+        password,
+        role: invite.role,
+        emailVerifiedAt: new Date()
+      }
+    });
+  });
+}
+
+module.exports = {
+  INVITE_TTL_MS,
+  createInvite,
+  findPendingInvite,
+  acceptInvite
+};
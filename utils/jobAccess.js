@@ -0,0 +1,86 @@
+// Who may do what with a job and its applications.
+//
+// The recruiter who posted a job owns it; other recruiters get access as
+// collaborators with a permission level. Each level includes the ones
+// before it: VIEWER < REVIEWER < OWNER.
+const JOB_PERMISSIONS = ['VIEWER', 'REVIEWER', 'OWNER'];
+
+const hasPermission = (permission, required) => (
+  permission != null && JOB_PERMISSIONS.indexOf(permission) >= JOB_PERMISSIONS.indexOf(required)
+);
+
+// Levels that satisfy `required`
+const permissionsFrom = (required) => JOB_PERMISSIONS.slice(JOB_PERMISSIONS.indexOf(required));
+
+// The user's permission on a job, or null
+async function jobPermission(prisma, job, userId) {
+  if (job.recruiterId === userId) return 'OWNER';
+  const collaborator = await prisma.jobCollaborator.findUnique({
+    where: { jobId_userId: { jobId: job.id, userId } },
+    select: { permission: true }
+  });
+  return collaborator?.permission ?? null;
+}
+
+/**
+ * Checks the user has at least `required` on a loaded job.
+ * Returns { permission } or { status, error }.
+ */
+async function authorizeJob(prisma, job, user, required) {
+  const permission = await jobPermission(prisma, job, user.userId);
+  if (!hasPermission(permission, required)) {
+    return { status: 403, error: 'Not authorized' };
+  }
+  return { permission };
+}
+
+/**
+ * Loads a live job and checks the user has at least `required` on it.
+ * Returns { job, permission } or { status, error }.
+ */
+async function findJobFor(prisma, jobId, user, required, { include } = {}) {
+  const job = await prisma.job.findFirst({ where: { id: jobId, deletedAt: null }, include });
+  if (!job) {
+    return { status: 404, error: 'Job not found' };
+  }
+  const { permission, status, error } = await authorizeJob(prisma, job, user, required);
+  if (error) return { status, error };
+  return { job, permission };
+}
+
+/**
+ * Loads a live application (with its job) and checks the user has at least
+ * `required` on the job. Returns { application, permission } or { status, error }.
+ */
+async function findApplicationFor(prisma, applicationId, user, required, { include } = {}) {
+  const application = await prisma.application.findFirst({
+    where: { id: applicationId, deletedAt: null },
+    include: { job: true, ...include }
+  });
+  if (!application) {
+    return { status: 404, error: 'Application not found' };
+  }
+  const { permission, status, error } = await authorizeJob(prisma, application.job, user, required);
+  if (error) return { status, error };
+  return { application, permission };
+}
+
+// Prisma `where` for jobs the user has at least `required` on
+function accessibleJobWhere(userId, required = 'VIEWER') {
+  return {
+    OR: [
+      { recruiterId: userId },
+      { collaborators: { some: { userId, permission: { in: permissionsFrom(required) } } } }
+    ]
+  };
+}
+
+module.exports = {
+  JOB_PERMISSIONS,
+  hasPermission,
+  jobPermission,
+  authorizeJob,
+  findJobFor,
+  findApplicationFor,
+  accessibleJobWhere
+};
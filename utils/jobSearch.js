@@ -0,0 +1,305 @@
+const JOB_CATEGORIES = ['frontend', 'backend', 'fullstack'];
+const JOB_TYPES = ['FULL_TIME', 'PART_TIME', 'CONTRACT', 'INTERNSHIP', 'REMOTE'];
+const SORT_OPTIONS = ['newest', 'oldest', 'relevance', 'salary'];
+
+// Sorts whose order keys can't be used as a keyset; these page by offset
+const OFFSET_SORTS = ['relevance', 'salary'];
+
+// Fields matched by the keyword search (?q=)
+const SEARCH_FIELDS = ['title', 'company', 'description', 'requirements'];
+
+const { SALARY_PERIODS, parseAmount } = require('./salary');
+const { openJobWhere } = require('./jobStatus');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function normalizeCategory(input) {
+  if (typeof input !== 'string') return null;
+  const value = input.trim().toLowerCase();
+  if (!value) return null;
+  if (!JOB_CATEGORIES.includes(value)) return null;
+  return value;
+}
+
+// "FULL_TIME,contract" -> ['FULL_TIME', 'CONTRACT'] (null if any value is unknown)
+function parseJobTypes(input) {
+  const values = String(input)
+    .split(',')
+    .map((value) => value.trim().toUpperCase())
+    .filter(Boolean);
+  if (!values.length || values.some((value) => !JOB_TYPES.includes(value))) return null;
+  return values;
+}
+
+// Cursors are opaque to clients: base64url-encoded JSON holding either the
+// id of the last job returned (keyset sorts) or an offset (OFFSET_SORTS).
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (payload && (typeof payload.id === 'string' || Number.isInteger(payload.offset))) {
+      return payload;
+    }
+  } catch (error) {
+    // fall through
+  }
+  return null;
+}
+
+// Splits the keyword query into terms for the `contains` filters
+function splitTerms(q) {
+  return q.split(/\s+/).filter(Boolean).slice(0, 10);
+}
+
+// Builds a Postgres tsquery for relevance ranking: any term, prefix-matched
+function toTsQuery(terms) {
+  const words = terms
+    .flatMap((term) => term.split(/[^\p{L}\p{N}]+/u))
+    .filter(Boolean)
+    .map((word) => `${word.toLowerCase()}:*`);
+  return words.length ? words.join(' | ') : null;
+}
+
+/**
+ * Validates the GET /jobs query string.
+ * Returns { error, field } with a client-facing message, or { options }.
+ */
+function parseJobSearchQuery(query) {
+  const options = { limit: DEFAULT_LIMIT };
+
+  if (query.q != null) {
+    const q = String(query.q).trim();
+    if (q.length > 200) return { error: 'Search query is too long (max 200 characters)', field: 'q' };
+    if (q) {
+      options.terms = splitTerms(q);
+      options.rankQuery = toTsQuery(options.terms);
+    }
+  }
+
+  const roleQuery = query.role ?? query.category;
+  if (roleQuery != null) {
+    options.category = normalizeCategory(roleQuery);
+    if (!options.category) {
+      return { error: `Invalid role. Use one of: ${JOB_CATEGORIES.join(', ')}`, field: 'role' };
+    }
+  }
+
+  if (query.type != null) {
+    options.types = parseJobTypes(query.type);
+    if (!options.types) {
+      return { error: `Invalid type. Use one or more of: ${JOB_TYPES.join(', ')}`, field: 'type' };
+    }
+  }
+
+  if (query.location != null && String(query.location).trim()) {
+    options.location = String(query.location).trim();
+  }
+
+  if (query.recruiterId != null && String(query.recruiterId).trim()) {
+    options.recruiterId = String(query.recruiterId).trim();
+  }
+
+  if (query.companyId != null && String(query.companyId).trim()) {
+    options.companyId = String(query.companyId).trim();
+  }
+
+  if (query.postedSince != null) {
+    const postedSince = new Date(String(query.postedSince));
+    if (Number.isNaN(postedSince.getTime())) {
+      return { error: 'Invalid postedSince. Use an ISO date, e.g. 2024-01-31', field: 'postedSince' };
+    }
+    options.postedSince = postedSince;
+  }
+
+  for (const field of ['salaryMin', 'salaryMax']) {
+    if (query[field] == null || query[field] === '') continue;
+    options[field] = parseAmount(query[field]);
+    if (options[field] == null) {
+      return { error: `Invalid ${field}. Use a whole, non-negative number`, field };
+    }
+  }
+  if (options.salaryMin != null && options.salaryMax != null && options.salaryMin > options.salaryMax) {
+    return { error: 'salaryMin cannot be greater than salaryMax', field: 'salaryMin' };
+  }
+
+  if (query.salaryCurrency != null) {
+    options.salaryCurrency = String(query.salaryCurrency).trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(options.salaryCurrency)) {
+      return { error: 'Invalid salaryCurrency. Use a 3-letter code, e.g. USD', field: 'salaryCurrency' };
+    }
+  }
+  // Amounts in different currencies can't be compared
+  if ((options.salaryMin != null || options.salaryMax != null) && !options.salaryCurrency) {
+    return { error: 'salaryCurrency is required with salaryMin or salaryMax', field: 'salaryCurrency' };
+  }
+
+  if (query.salaryPeriod != null) {
+    options.salaryPeriod = String(query.salaryPeriod).trim().toUpperCase();
+    if (!SALARY_PERIODS.includes(options.salaryPeriod)) {
+      return { error: `Invalid salaryPeriod. Use one of: ${SALARY_PERIODS.join(', ')}`, field: 'salaryPeriod' };
+    }
+  }
+  // Amounts are only comparable within one pay period; yearly unless specified
+  if ((options.salaryMin != null || options.salaryMax != null) && !options.salaryPeriod) {
+    options.salaryPeriod = 'YEARLY';
+  }
+
+  if (query.sort != null) {
+    options.sort = String(query.sort).trim().toLowerCase();
+    if (!SORT_OPTIONS.includes(options.sort)) {
+      return { error: `Invalid sort. Use one of: ${SORT_OPTIONS.join(', ')}`, field: 'sort' };
+    }
+  }
+  // Salaries are only ranked against others in the same currency and period
+  if (options.sort === 'salary') {
+    const missing = ['salaryCurrency', 'salaryPeriod'].find((field) => !options[field]);
+    if (missing) {
+      return { error: `${missing} is required to sort by salary`, field: missing };
+    }
+  }
+  // Relevance only makes sense with a (rankable) keyword query
+  if (!options.sort || (options.sort === 'relevance' && !options.rankQuery)) {
+    options.sort = options.rankQuery ? 'relevance' : 'newest';
+  }
+
+  if (query.limit != null) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return { error: `Invalid limit. Use a number between 1 and ${MAX_LIMIT}`, field: 'limit' };
+    }
+    options.limit = limit;
+  }
+
+  if (query.cursor != null) {
+    options.cursor = decodeCursor(query.cursor);
+    if (!options.cursor) return { error: 'Invalid cursor', field: 'cursor' };
+  }
+
+  return { options };
+}
+
+// Translates parsed search options into a Prisma `where` clause for Job.
+// Only published, unexpired, undeleted jobs are ever returned.
+function buildJobWhere(options) {
+  const and = [openJobWhere(), { deletedAt: null }];
+
+  for (const term of options.terms || []) {
+    and.push({
+      OR: SEARCH_FIELDS.map((field) => ({
+        [field]: { contains: term, mode: 'insensitive' }
+      }))
+    });
+  }
+
+  if (options.category) and.push({ category: options.category });
+  if (options.types) and.push({ type: { in: options.types } });
+  if (options.location) {
+    and.push({ location: { contains: options.location, mode: 'insensitive' } });
+  }
+  if (options.recruiterId) and.push({ recruiterId: options.recruiterId });
+  if (options.companyId) and.push({ companyId: options.companyId });
+  if (options.postedSince) and.push({ createdAt: { gte: options.postedSince } });
+
+  // A job matches a salary range when its own range overlaps it
+  if (options.salaryMin != null) {
+    and.push({
+      OR: [
+        { salaryMax: { gte: options.salaryMin } },
+        { salaryMax: null, salaryMin: { gte: options.salaryMin } }
+      ]
+    });
+  }
+  if (options.salaryMax != null) {
+    and.push({
+      OR: [
+        { salaryMin: { lte: options.salaryMax } },
+        { salaryMin: null, salaryMax: { lte: options.salaryMax } }
+      ]
+    });
+  }
+  if (options.salaryCurrency) and.push({ salaryCurrency: options.salaryCurrency });
+  if (options.salaryPeriod) and.push({ salaryPeriod: options.salaryPeriod });
+
+  return { AND: and };
+}
+
+function buildJobOrderBy(options) {
+  switch (options.sort) {
+    case 'relevance':
+      return [
+        { _relevance: { fields: SEARCH_FIELDS, search: options.rankQuery, sort: 'desc' } },
+        { createdAt: 'desc' },
+        { id: 'desc' }
+      ];
+    case 'salary':
+      return [
+        { salaryMax: { sort: 'desc', nulls: 'last' } },
+        { salaryMin: { sort: 'desc', nulls: 'last' } },
+        { createdAt: 'desc' },
+        { id: 'desc' }
+      ];
+    case 'oldest':
+      return [{ createdAt: 'asc' }, { id: 'asc' }];
+    default:
+      return [{ createdAt: 'desc' }, { id: 'desc' }];
+  }
+}
+
+/**
+ * Runs a paginated job search.
+ * Returns { jobs, nextCursor, total }; nextCursor is null on the last page.
+ */
+async function searchJobs(prisma, options, { include } = {}) {
+  const where = buildJobWhere(options);
+  const orderBy = buildJobOrderBy(options);
+
+  const useOffset = OFFSET_SORTS.includes(options.sort);
+  const page = { take: options.limit + 1 };
+  if (useOffset) {
+    page.skip = options.cursor?.offset ?? 0;
+  } else if (options.cursor?.id) {
+    page.cursor = { id: options.cursor.id };
+    page.skip = 1;
+  }
+
+  const [rows, total] = await Promise.all([
+    prisma.job.findMany({
+      where,
+      include,
+      orderBy,
+      ...page
+    }),
+    prisma.job.count({ where })
+  ]);
+
+  const hasMore = rows.length > options.limit;
+  const jobs = hasMore ? rows.slice(0, options.limit) : rows;
+
+  let nextCursor = null;
+  if (hasMore) {
+    nextCursor = useOffset
+      ? encodeCursor({ offset: page.skip + jobs.length })
+      : encodeCursor({ id: jobs[jobs.length - 1].id });
+  }
+
+  return { jobs, nextCursor, total };
+}
+
+module.exports = {
+  JOB_CATEGORIES,
+  JOB_TYPES,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  splitTerms,
+  toTsQuery,
+  normalizeCategory,
+  parseJobSearchQuery,
+  buildJobWhere,
+  searchJobs
+};
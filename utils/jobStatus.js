@@ -0,0 +1,84 @@
+const JOB_STATUSES = ['DRAFT', 'PUBLISHED', 'PAUSED', 'CLOSED', 'EXPIRED'];
+
+// Allowed status changes: current status -> statuses it can move to
+const JOB_STATUS_TRANSITIONS = {
+  DRAFT: ['PUBLISHED', 'CLOSED'],
+  PUBLISHED: ['PAUSED', 'CLOSED'],
+  PAUSED: ['PUBLISHED', 'CLOSED'],
+  EXPIRED: ['PUBLISHED', 'CLOSED'],
+  CLOSED: []
+};
+
+// How often the server flips past-deadline jobs to EXPIRED
+const EXPIRY_INTERVAL_MS = 60 * 60 * 1000;
+
+function canTransition(from, to) {
+  return (JOB_STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+function isPastDeadline(job, now = new Date()) {
+  return job.applicationDeadline != null && job.applicationDeadline <= now;
+}
+
+// A job takes applications only while published and before its deadline
+function isAcceptingApplications(job, now = new Date()) {
+  return job.status === 'PUBLISHED' && !isPastDeadline(job, now);
+}
+
+// Prisma `where` for jobs visible in public listings
+function openJobWhere(now = new Date()) {
+  return {
+    status: 'PUBLISHED',
+    OR: [{ applicationDeadline: null }, { applicationDeadline: { gt: now } }]
+  };
+}
+
+/**
+ * Parses an applicationDeadline from a request body.
+ * Returns { value } (a Date, or null to clear it) or { error, field }.
+ */
+function parseDeadline(input, now = new Date()) {
+  if (input === null || input === '') return { value: null };
+  const deadline = new Date(String(input));
+  if (Number.isNaN(deadline.getTime())) {
+    return { error: 'Invalid applicationDeadline. Use an ISO date, e.g. 2024-01-31', field: 'applicationDeadline' };
+  }
+  if (deadline <= now) {
+    return { error: 'applicationDeadline must be in the future', field: 'applicationDeadline' };
+  }
+  return { value: deadline };
+}
+
+// Marks published/paused jobs whose deadline has passed as EXPIRED
+async function expireJobs(prisma, now = new Date()) {
+  const { count } = await prisma.job.updateMany({
+    where: {
+      status: { in: ['PUBLISHED', 'PAUSED'] },
+      applicationDeadline: { lte: now }
+    },
+    data: { status: 'EXPIRED' }
+  });
+  if (count) {
+    console.log('✅ Jobs expired:', { count });
+  }
+  return count;
+}
+
+function startJobExpiryTimer(prisma) {
+  const run = () => expireJobs(prisma).catch((error) => console.error('Expire jobs error:', error));
+  run();
+  const timer = setInterval(run, EXPIRY_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  JOB_STATUSES,
+  canTransition,
+  isPastDeadline,
+  isAcceptingApplications,
+  openJobWhere,
+  parseDeadline,
+  expireJobs,
+  startJobExpiryTimer
+};
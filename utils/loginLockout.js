@@ -0,0 +1,67 @@
+// Locks an account out after repeated failed logins, with exponential backoff:
+// the LOGIN_LOCKOUT_THRESHOLD-th failure locks it for LOGIN_LOCKOUT_BASE_SECONDS,
+// and every further failure doubles that, up to LOGIN_LOCKOUT_MAX_SECONDS.
+// Failures are counted per email whether or not an account exists, so a lockout
+// doesn't reveal which emails are registered. Counters live in the rate limit
+// store; like sendMail, these helpers log store errors instead of throwing.
+const { getStore } = require('./rateLimitStore');
+
+const THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const BASE_MS = (Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60) * 1000;
+const MAX_MS = (Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60) * 1000;
+
+// Failures are forgotten a day after the first one, or on a successful login
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const normalize = (email) => String(email).trim().toLowerCase();
+const failuresKey = (email) => `login-failures:${normalize(email)}`;
+const lockKey = (email) => `login-lock:${normalize(email)}`;
+
+// Lockout length after `failures` failed logins in a row (0 below the threshold)
+function lockoutMs(failures) {
+  if (failures < THRESHOLD) return 0;
+  return Math.min(BASE_MS * 2 ** (failures - THRESHOLD), MAX_MS);
+}
+
+// Returns the seconds until the email may try again, or 0 if it isn't locked
+async function getLockout(email) {
+  try {
+    const lock = await getStore().get(lockKey(email));
+    return lock ? Math.max(1, Math.ceil((lock.resetAt - Date.now()) / 1000)) : 0;
+  } catch (error) {
+    console.error('Login lockout error:', error.message);
+    return 0;
+  }
+}
+
+// Counts a failed login; returns the lockout it started in seconds (0 if none)
+async function recordFailedLogin(email) {
+  try {
+    const store = getStore();
+    const { count } = await store.increment(failuresKey(email), FAILURE_WINDOW_MS);
+    const ms = lockoutMs(count);
+    if (ms) {
+      await store.set(lockKey(email), count, ms);
+    }
+    return Math.ceil(ms / 1000);
+  } catch (error) {
+    console.error('Login lockout error:', error.message);
+    return 0;
+  }
+}
+
+async function clearFailedLogins(email) {
+  try {
+    const store = getStore();
+    await Promise.all([store.reset(failuresKey(email)), store.reset(lockKey(email))]);
+  } catch (error) {
+    console.error('Login lockout error:', error.message);
+  }
+}
+
+module.exports = {
+  lockoutMs,
+  getLockout,
+  recordFailedLogin,
+  clearFailedLogins
+};
@@ -0,0 +1,99 @@
+// Pluggable email delivery.
+//
+// A mailer is any object with `send({ to, subject, text, html })` returning a
+// promise. MAIL_TRANSPORT picks the built-in one:
+//   console - logs emails (default; handy in development)
+//   file    - writes each email as JSON into MAIL_FILE_DIR, for offline testing
+//   smtp    - delivers through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+// setMailer() swaps in any other implementation. With NODE_ENV=production
+// MAIL_TRANSPORT must be set: the console default would print reset and
+// invite links into the logs.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Job Portal <no-reply@jobportal.local>';
+
+const createConsoleMailer = () => ({
+  async send(message) {
+    console.log('📧 Email:', { to: message.to, subject: message.subject });
+    console.log(message.text);
+  }
+});
+
+const createFileMailer = (dir = process.env.MAIL_FILE_DIR || 'mail-outbox') => ({
+  async send(message) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+    const email = { from: MAIL_FROM, ...message, sentAt: new Date().toISOString() };
+    await fs.promises.writeFile(file, JSON.stringify(email, null, 2));
+    console.log('📧 Email written:', { to: message.to, file });
+  }
+});
+
+const createSmtpMailer = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+  return {
+    send: (message) => transporter.sendMail({ from: MAIL_FROM, ...message })
+  };
+};
+
+const TRANSPORTS = {
+  console: createConsoleMailer,
+  file: createFileMailer,
+  smtp: createSmtpMailer
+};
+
+let mailer = null;
+
+function getMailer() {
+  if (!mailer) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    mailer = TRANSPORTS[name]();
+  }
+  return mailer;
+}
+
+// Called at startup, so a production server never falls back to the console mailer
+function checkMailConfig() {
+  if (process.env.NODE_ENV === 'production' && !process.env.MAIL_TRANSPORT) {
+    throw new Error('MAIL_TRANSPORT must be set when NODE_ENV=production (e.g. smtp)');
+  }
+}
+
+function setMailer(custom) {
+  mailer = custom;
+}
+
+// Sends an email, logging instead of throwing on failure: emails are never
+// worth failing the request that triggered them.
+async function sendMail(message) {
+  try {
+    await getMailer().send(message);
+    return true;
+  } catch (error) {
+    console.error('Send mail error:', error);
+    return false;
+  }
+}
+
+module.exports = {
+  createConsoleMailer,
+  createFileMailer,
+  createSmtpMailer,
+  getMailer,
+  checkMailConfig,
+  setMailer,
+  sendMail
+};
@@ -0,0 +1,104 @@
+// Job <-> candidate matching: which of the skills a job asks for a candidate
+// has. Powers GET /jobs/recommended and the ranked applicant list.
+const { skillKey, getTaxonomy, findSkill, extractSkills } = require('./skills');
+const { openJobWhere } = require('./jobStatus');
+
+// Recommendations are picked from this many of the newest open jobs
+const RECOMMENDATION_POOL = 500;
+
+// Profile fields the matcher reads; use as `select` when loading profiles
+const MATCH_PROFILE_SELECT = {
+  skills: true,
+  experiences: { select: { title: true, description: true } }
+};
+
+// Job relation the matcher reads; use in `include` when loading jobs
+const MATCH_JOB_INCLUDE = {
+  skillLinks: { select: { skill: { select: { name: true } } } }
+};
+
+// Skills a job asks for, as linked by syncJobSkills
+function jobSkills(job) {
+  return (job.skillLinks || []).map((link) => link.skill.name);
+}
+
+// Skills a candidate has: the ones listed on the profile plus skills named in
+// their experience entries, in canonical spelling
+function candidateSkills(taxonomy, profile) {
+  const names = new Map();
+  const add = (name) => {
+    if (!names.has(skillKey(name))) names.set(skillKey(name), name);
+  };
+
+  for (const value of profile?.skills || []) {
+    add(findSkill(taxonomy, value)?.name || value);
+  }
+  for (const experience of profile?.experiences || []) {
+    const text = [experience.title, experience.description].filter(Boolean).join('\n');
+    extractSkills(taxonomy, text).forEach((skill) => add(skill.name));
+  }
+  return [...names.values()];
+}
+
+/**
+ * Compares a candidate's skills with a job's (both as returned by
+ * candidateSkills / jobSkills). Returns { score, matchedSkills, missingSkills };
+ * score is the percentage of the job's skills the candidate has, or null when
+ * the job names no known skills.
+ */
+function scoreMatch(candidate, required) {
+  const have = new Set(candidate.map(skillKey));
+  const matchedSkills = required.filter((skill) => have.has(skillKey(skill)));
+  const missingSkills = required.filter((skill) => !have.has(skillKey(skill)));
+  return {
+    score: required.length ? Math.round((matchedSkills.length / required.length) * 100) : null,
+    matchedSkills,
+    missingSkills
+  };
+}
+
+// Orders by score (unscored last), then by number of matched skills
+function compareMatches(a, b) {
+  return (b.score ?? -1) - (a.score ?? -1) || b.matchedSkills.length - a.matchedSkills.length;
+}
+
+/**
+ * Open jobs the user hasn't applied to, best matches first. Only jobs that
+ * share at least one skill with the profile are returned.
+ * Returns [{ ...job, match }].
+ */
+async function recommendJobs(prisma, userId, profile, { limit = 20, include } = {}) {
+  const skills = candidateSkills(await getTaxonomy(prisma), profile);
+  if (!skills.length) return [];
+
+  const jobs = await prisma.job.findMany({
+    where: {
+      AND: [
+        openJobWhere(),
+        { deletedAt: null },
+        { applications: { none: { userId, deletedAt: null } } },
+        { skillLinks: { some: {} } }
+      ]
+    },
+    include: { ...include, ...MATCH_JOB_INCLUDE },
+    orderBy: { createdAt: 'desc' },
+    take: RECOMMENDATION_POOL
+  });
+
+  // Newest first among equal matches: the sort is stable
+  return jobs
+    .map(({ skillLinks, ...job }) => ({ ...job, match: scoreMatch(skills, jobSkills({ skillLinks })) }))
+    .filter((job) => job.match.matchedSkills.length > 0)
+    .sort((a, b) => compareMatches(a.match, b.match))
+    .slice(0, limit);
+}
+
+module.exports = {
+  MATCH_PROFILE_SELECT,
+  MATCH_JOB_INCLUDE,
+  jobSkills,
+  candidateSkills,
+  scoreMatch,
+  compareMatches,
+  recommendJobs
+};
@@ -0,0 +1,95 @@
+// Pluggable pub/sub that carries new notifications to the live streams
+// (GET /notifications/stream) of the user they're for.
+//
+// A hub must implement:
+//   publish(userId, notification)
+//   subscribe(userId, listener) -> unsubscribe function
+// NOTIFICATION_HUB picks the built-in one:
+//   memory - in-process (default; only reaches streams on the same instance)
+//   redis  - Redis pub/sub at REDIS_URL, reaches streams on every instance
+// setHub() swaps in any other implementation.
+const { EventEmitter } = require('events');
+
+const createLocalEmitter = () => {
+  const emitter = new EventEmitter();
+  // One listener per open stream
+  emitter.setMaxListeners(0);
+  return emitter;
+};
+
+const createMemoryHub = () => {
+  const emitter = createLocalEmitter();
+  return {
+    async publish(userId, notification) {
+      emitter.emit(userId, notification);
+    },
+    subscribe(userId, listener) {
+      emitter.on(userId, listener);
+      return () => emitter.off(userId, listener);
+    }
+  };
+};
+
+const createRedisHub = ({ publisher, subscriber, prefix = 'notifications:' } = {}) => {
+  const Redis = require('ioredis');
+  const url = process.env.REDIS_URL || 'redis://localhost:6379';
+  const onError = (error) => console.error('Notification hub error:', error.message);
+  if (!publisher) {
+    publisher = new Redis(url);
+    publisher.on('error', onError);
+  }
+  if (!subscriber) {
+    subscriber = new Redis(url);
+    subscriber.on('error', onError);
+  }
+
+  // One pattern subscription per instance; messages fan out to local streams
+  const emitter = createLocalEmitter();
+  subscriber.psubscribe(`${prefix}*`).catch(onError);
+  subscriber.on('pmessage', (pattern, channel, message) => {
+    try {
+      emitter.emit(channel.slice(prefix.length), JSON.parse(message));
+    } catch (error) {
+      onError(error);
+    }
+  });
+
+  return {
+    async publish(userId, notification) {
+      await publisher.publish(prefix + userId, JSON.stringify(notification));
+    },
+    subscribe(userId, listener) {
+      emitter.on(userId, listener);
+      return () => emitter.off(userId, listener);
+    }
+  };
+};
+
+const HUBS = {
+  memory: createMemoryHub,
+  redis: createRedisHub
+};
+
+let hub = null;
+
+function getHub() {
+  if (!hub) {
+    const name = process.env.NOTIFICATION_HUB || 'memory';
+    if (!HUBS[name]) {
+      throw new Error(`Unknown NOTIFICATION_HUB "${name}". Use one of: ${Object.keys(HUBS).join(', ')}`);
+    }
+    hub = HUBS[name]();
+  }
+  return hub;
+}
+
+function setHub(custom) {
+  hub = custom;
+}
+
+module.exports = {
+  createMemoryHub,
+  createRedisHub,
+  getHub,
+  setHub
+};
@@ -0,0 +1,213 @@
+// In-app notifications.
+//
+// notify() stores notifications and pushes them to the recipients' open
+// streams (see notificationHub.js). Like sendMail, it logs instead of
+// throwing: a notification is never worth failing the request behind it.
+const { getHub } = require('./notificationHub');
+const { openJobWhere } = require('./jobStatus');
+
+// Seekers hear about saved jobs this long before applications close
+const SAVED_JOB_REMINDER_HOURS = Number(process.env.SAVED_JOB_REMINDER_HOURS) || 48;
+const REMINDER_INTERVAL_MS = 60 * 60 * 1000;
+
+// Fields of a notification as sent to clients
+const NOTIFICATION_SELECT = {
+  id: true,
+  type: true,
+  title: true,
+  body: true,
+  data: true,
+  readAt: true,
+  createdAt: true
+};
+
+const toClient = ({ userId, ...notification }) => notification;
+
+/**
+ * Creates the same notification for each user and publishes it.
+ * Returns the created notifications ([] on failure).
+ */
+async function notify(prisma, userIds, { type, title, body = null, data }) {
+  const recipients = [...new Set([].concat(userIds))].filter(Boolean);
+  if (!recipients.length) return [];
+
+  try {
+    const notifications = await prisma.notification.createManyAndReturn({
+      data: recipients.map((userId) => ({ userId, type, title, body, ...(data ? { data } : {}) }))
+    });
+
+    const hub = getHub();
+    await Promise.all(notifications.map((notification) => (
+      hub.publish(notification.userId, toClient(notification))
+        .catch((error) => console.error('Publish notification error:', error))
+    )));
+    return notifications;
+  } catch (error) {
+    console.error('Notify error:', error);
+    return [];
+  }
+}
+
+// To the recruiter who posted the job
+function notifyApplicationSubmitted(prisma, { application, job, applicant }) {
+  return notify(prisma, job.recruiterId, {
+    type: 'APPLICATION_SUBMITTED',
+    title: `New application for ${job.title}`,
+    body: `${applicant.name} applied.`,
+    data: { jobId: job.id, applicationId: application.id }
+  });
+}
+
+// To a recruiter the job was shared with
+function notifyJobShared(prisma, { job, collaborator, sharedBy }) {
+  return notify(prisma, collaborator.userId, {
+    type: 'JOB_SHARED',
+    title: `${sharedBy.name} shared ${job.title} with you`,
+    body: `You can now access its applicants as ${collaborator.permission.toLowerCase()}.`,
+    data: { jobId: job.id, permission: collaborator.permission }
+  });
+}
+
+// To the applicant, when a recruiter moves their application
+function notifyApplicationStatusChanged(prisma, { application, job, stage }) {
+  return notify(prisma, application.userId, {
+    type: 'APPLICATION_STATUS_CHANGED',
+    title: `Update on your application for ${job.title}`,
+    body: `Your application moved to ${stage.name}.`,
+    data: { jobId: job.id, applicationId: application.id, status: application.status }
+  });
+}
+
+// To the other side of the thread: the applicant, or the job's team
+function notifyNewMessage(prisma, { message, application, job, sender, recipientIds }) {
+  return notify(prisma, recipientIds, {
+    type: 'NEW_MESSAGE',
+    title: `New message about ${job.title}`,
+    body: `${sender.name}: ${(message.body || 'Sent an attachment').slice(0, 140)}`,
+    data: { jobId: job.id, applicationId: application.id, messageId: message.id }
+  });
+}
+
+// To the candidate: slots to pick from, on a new or rescheduled interview
+function notifyInterviewProposed(prisma, interview, { rescheduled = false } = {}) {
+  const { job } = interview.application;
+  return notify(prisma, interview.application.userId, {
+    type: 'INTERVIEW_PROPOSED',
+    title: `${rescheduled ? 'New interview times' : 'Interview invitation'} for ${job.title}`,
+    body: `${interview.recruiter.name} proposed ${interview.slots.length} ${interview.slots.length === 1 ? 'time' : 'times'}. Pick the one that suits you.`,
+    data: { jobId: job.id, applicationId: interview.application.id, interviewId: interview.id }
+  });
+}
+
+// To the recruiter, once the candidate picked a slot
+function notifyInterviewScheduled(prisma, interview) {
+  const { job, user } = interview.application;
+  return notify(prisma, interview.recruiterId, {
+    type: 'INTERVIEW_SCHEDULED',
+    title: `Interview scheduled for ${job.title}`,
+    body: `${user.name} picked ${interview.startsAt.toISOString()}.`,
+    data: { jobId: job.id, applicationId: interview.application.id, interviewId: interview.id }
+  });
+}
+
+// To whoever didn't cancel
+function notifyInterviewCancelled(prisma, interview, cancelledById) {
+  const { job } = interview.application;
+  const recipientId = cancelledById === interview.recruiterId ? interview.application.userId : interview.recruiterId;
+  return notify(prisma, recipientId, {
+    type: 'INTERVIEW_CANCELLED',
+    title: `Interview for ${job.title} cancelled`,
+    body: interview.cancelReason || null,
+    data: { jobId: job.id, applicationId: interview.application.id, interviewId: interview.id }
+  });
+}
+
+// To everyone whose application was still open when the job closed
+async function notifyJobClosed(prisma, job) {
+  const applications = await prisma.application.findMany({
+    where: { jobId: job.id, deletedAt: null, status: { not: 'REJECTED' } },
+    select: { userId: true }
+  });
+
+  return notify(prisma, applications.map((application) => application.userId), {
+    type: 'JOB_CLOSED',
+    title: `${job.title} has closed`,
+    body: `${job.company} is no longer hiring for this job.`,
+    data: { jobId: job.id }
+  });
+}
+
+/**
+ * Reminds seekers of saved jobs whose application deadline is within
+ * SAVED_JOB_REMINDER_HOURS, once per saved job, unless they already applied.
+ * Returns the number of reminders sent.
+ */
+async function notifyExpiringSavedJobs(prisma, now = new Date()) {
+  const soon = new Date(now.getTime() + SAVED_JOB_REMINDER_HOURS * 60 * 60 * 1000);
+
+  const savedJobs = await prisma.savedJob.findMany({
+    where: {
+      reminderSentAt: null,
+      user: { deletedAt: null },
+      job: { AND: [openJobWhere(now), { deletedAt: null, applicationDeadline: { lte: soon } }] }
+    },
+    include: { job: { select: { id: true, title: true, company: true, applicationDeadline: true } } }
+  });
+  if (!savedJobs.length) return 0;
+
+  const applied = await prisma.application.findMany({
+    where: {
+      deletedAt: null,
+      OR: savedJobs.map((savedJob) => ({ userId: savedJob.userId, jobId: savedJob.jobId }))
+    },
+    select: { userId: true, jobId: true }
+  });
+  const appliedKeys = new Set(applied.map((application) => `${application.userId}:${application.jobId}`));
+
+  let sent = 0;
+  for (const savedJob of savedJobs) {
+    // Claimed first, so two instances never remind twice
+    const { count } = await prisma.savedJob.updateMany({
+      where: { id: savedJob.id, reminderSentAt: null },
+      data: { reminderSentAt: now }
+    });
+    if (!count || appliedKeys.has(`${savedJob.userId}:${savedJob.jobId}`)) continue;
+
+    await notify(prisma, savedJob.userId, {
+      type: 'SAVED_JOB_EXPIRING',
+      title: `Applications for ${savedJob.job.title} close soon`,
+      body: `${savedJob.job.company} takes applications until ${savedJob.job.applicationDeadline.toISOString()}.`,
+      data: { jobId: savedJob.jobId, applicationDeadline: savedJob.job.applicationDeadline }
+    });
+    sent++;
+  }
+
+  if (sent) {
+    console.log('✅ Saved job reminders sent:', { count: sent });
+  }
+  return sent;
+}
+
+function startSavedJobReminderTimer(prisma) {
+  const run = () => notifyExpiringSavedJobs(prisma).catch((error) => console.error('Saved job reminders error:', error));
+  run();
+  const timer = setInterval(run, REMINDER_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  NOTIFICATION_SELECT,
+  toClient,
+  notify,
+  notifyApplicationSubmitted,
+  notifyApplicationStatusChanged,
+  notifyJobShared,
+  notifyNewMessage,
+  notifyInterviewProposed,
+  notifyInterviewScheduled,
+  notifyInterviewCancelled,
+  notifyJobClosed,
+  notifyExpiringSavedJobs,
+  startSavedJobReminderTimer
+};
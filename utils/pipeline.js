@@ -0,0 +1,194 @@
+// Hiring pipeline: per-job stages and application stage transitions.
+
+const STAGE_KINDS = ['ACTIVE', 'HIRED', 'REJECTED'];
+const MAX_STAGES = 20;
+
+// Stages a job starts with; recruiters can rename, reorder and extend them
+const DEFAULT_STAGES = [
+  { name: 'Applied', kind: 'ACTIVE' },
+  { name: 'Screening', kind: 'ACTIVE' },
+  { name: 'Interview', kind: 'ACTIVE' },
+  { name: 'Offer', kind: 'ACTIVE' },
+  { name: 'Hired', kind: 'HIRED' },
+  { name: 'Rejected', kind: 'REJECTED' }
+];
+
+// Returns the job's stages ordered by position, creating the defaults on first use
+async function getStages(prisma, jobId) {
+  const stages = await prisma.hiringStage.findMany({
+    where: { jobId },
+    orderBy: { position: 'asc' }
+  });
+  if (stages.length) return stages;
+
+  await prisma.hiringStage.createMany({
+    data: DEFAULT_STAGES.map((stage, position) => ({ ...stage, position, jobId })),
+    skipDuplicates: true
+  });
+  return prisma.hiringStage.findMany({
+    where: { jobId },
+    orderBy: { position: 'asc' }
+  });
+}
+
+// The legacy ApplicationStatus matching a stage, kept in sync for older clients
+function statusForStage(stage, stages) {
+  if (stage.kind === 'HIRED') return 'ACCEPTED';
+  if (stage.kind === 'REJECTED') return 'REJECTED';
+  return stage.id === stages[0].id ? 'PENDING' : 'REVIEWED';
+}
+
+// The stage a legacy status update ({ status: 'REVIEWED' }) moves to
+function stageForStatus(status, stages) {
+  const active = stages.filter((stage) => stage.kind === 'ACTIVE');
+  switch (status) {
+    case 'PENDING':
+      return stages[0];
+    case 'REVIEWED':
+      return active[1] || active[0];
+    case 'ACCEPTED':
+      return stages.find((stage) => stage.kind === 'HIRED');
+    case 'REJECTED':
+      return stages.find((stage) => stage.kind === 'REJECTED');
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Transition rules:
+ * - active stages move forward to any later active stage, or back one step
+ * - any active stage can move to a hired/rejected stage
+ * - hired/rejected applications can only be re-opened into an active stage
+ */
+function canMoveTo(from, to, stages) {
+  if (!from) return true; // Applications from before stages existed
+  if (from.id === to.id) return false;
+  if (from.kind !== 'ACTIVE') return to.kind === 'ACTIVE';
+  if (to.kind !== 'ACTIVE') return true;
+
+  const active = stages.filter((stage) => stage.kind === 'ACTIVE');
+  const fromIndex = active.findIndex((stage) => stage.id === from.id);
+  const toIndex = active.findIndex((stage) => stage.id === to.id);
+  return toIndex > fromIndex || toIndex === fromIndex - 1;
+}
+
+/**
+ * Moves an application to a stage and appends the transition to its history.
+ * `actorId` is whoever made the change; `note` is optional.
+ */
+async function moveApplication(prisma, application, toStage, stages, { actorId, note = null }) {
+  const fromStage = stages.find((stage) => stage.id === application.stageId) || null;
+  const status = statusForStage(toStage, stages);
+
+  const [updated] = await prisma.$transaction([
+    prisma.application.update({
+      where: { id: application.id },
+      data: { stageId: toStage.id, status }
+    }),
+    prisma.applicationEvent.create({
+      data: {
+        applicationId: application.id,
+        fromStageId: fromStage?.id ?? null,
+        fromStageName: fromStage?.name ?? null,
+        toStageId: toStage.id,
+        toStageName: toStage.name,
+        fromStatus: application.status,
+        toStatus: status,
+        note,
+        actorId
+      }
+    })
+  ]);
+  return updated;
+}
+
+/**
+ * Validates a replacement stage list for PUT /jobs/:id/stages.
+ * Each entry is { id?, name, kind? }; entries with an id update that stage.
+ * Returns { error, field } or { stages } (normalized, in order).
+ */
+function parseStageList(input, existing) {
+  if (!Array.isArray(input) || input.length < 2 || input.length > MAX_STAGES) {
+    return { error: `Stages must be an array of 2 to ${MAX_STAGES} stages`, field: 'stages' };
+  }
+
+  const existingIds = new Set(existing.map((stage) => stage.id));
+  const names = new Set();
+  const stages = [];
+
+  for (const entry of input) {
+    const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+    if (!name || name.length > 50) {
+      return { error: 'Every stage needs a name of at most 50 characters', field: 'stages' };
+    }
+    if (names.has(name.toLowerCase())) {
+      return { error: `Duplicate stage name: ${name}`, field: 'stages' };
+    }
+    names.add(name.toLowerCase());
+
+    const kind = entry.kind ?? 'ACTIVE';
+    if (!STAGE_KINDS.includes(kind)) {
+      return { error: `Invalid stage kind. Use one of: ${STAGE_KINDS.join(', ')}`, field: 'stages' };
+    }
+    if (entry.id != null && !existingIds.has(entry.id)) {
+      return { error: `Stage ${entry.id} does not belong to this job`, field: 'stages' };
+    }
+
+    stages.push({ id: entry.id ?? null, name, kind });
+  }
+
+  if (stages[0].kind !== 'ACTIVE') {
+    return { error: 'The first stage must be an ACTIVE stage', field: 'stages' };
+  }
+  if (!stages.some((stage) => stage.kind === 'HIRED') || !stages.some((stage) => stage.kind === 'REJECTED')) {
+    return { error: 'A pipeline needs at least one HIRED and one REJECTED stage', field: 'stages' };
+  }
+
+  return { stages };
+}
+
+/**
+ * Replaces a job's stages with a list from parseStageList. Stages missing
+ * from the list are removed, so they must not hold live applications.
+ */
+async function replaceStages(prisma, jobId, stages, existing) {
+  const keptIds = new Set(stages.filter((stage) => stage.id).map((stage) => stage.id));
+  const removedIds = existing.filter((stage) => !keptIds.has(stage.id)).map((stage) => stage.id);
+
+  return prisma.$transaction(async (tx) => {
+    await tx.hiringStage.deleteMany({ where: { id: { in: removedIds } } });
+    // Park kept stages on free positions first so the (jobId, position) key never clashes
+    for (const stage of existing.filter((stage) => keptIds.has(stage.id))) {
+      await tx.hiringStage.update({
+        where: { id: stage.id },
+        data: { position: stage.position + MAX_STAGES + existing.length }
+      });
+    }
+    for (const [position, stage] of stages.entries()) {
+      if (stage.id) {
+        await tx.hiringStage.update({
+          where: { id: stage.id },
+          data: { name: stage.name, kind: stage.kind, position }
+        });
+      } else {
+        await tx.hiringStage.create({
+          data: { jobId, name: stage.name, kind: stage.kind, position }
+        });
+      }
+    }
+    return tx.hiringStage.findMany({ where: { jobId }, orderBy: { position: 'asc' } });
+  });
+}
+
+module.exports = {
+  STAGE_KINDS,
+  DEFAULT_STAGES,
+  getStages,
+  statusForStage,
+  stageForStatus,
+  canMoveTo,
+  moveApplication,
+  parseStageList,
+  replaceStages
+};
@@ -0,0 +1,342 @@
+// Moving profiles in and out: imports from a JSON Resume document
+// (https://jsonresume.org/schema) or a LinkedIn data export archive, and
+// exports as JSON Resume.
+//
+// Imports are read into the shape POST /profile/import accepts:
+//   { basics: { name, headline, location, phone, about }, skills: [],
+//     experiences: [experience], education: [education] }
+// Values are passed through as found (dates normalized where recognized), so
+// the preview can point at anything the profile forms would reject.
+const path = require('path');
+const { ApiError } = require('./errors');
+const { skillKey, findSkill } = require('./skills');
+
+const BASIC_FIELDS = ['name', 'headline', 'location', 'phone', 'about'];
+
+const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+// Only these CSVs of a LinkedIn export are read, each up to this size
+const LINKEDIN_FILES = ['profile.csv', 'positions.csv', 'education.csv', 'skills.csv', 'phonenumbers.csv'];
+const MAX_CSV_SIZE = 5 * 1024 * 1024;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const importError = (message) => new ApiError(400, message, {
+  code: 'UPLOAD_ERROR',
+  fields: [{ field: 'file', in: 'body', message }]
+});
+
+// Trimmed string, or undefined when empty
+function clean(value) {
+  if (value === null || value === undefined) return undefined;
+  const text = String(value).trim();
+  return text || undefined;
+}
+
+// "2014-06-29", "2014-06", "Jun 2014" -> "2014-06"; "2014" stays. Anything
+// else is kept as is for the preview to flag.
+function toYearMonth(value) {
+  const text = clean(value);
+  if (!text) return undefined;
+  let match = /^(\d{4})(?:-(\d{1,2}))?(?:-\d{1,2})?$/.exec(text);
+  if (match) return match[2] ? `${match[1]}-${match[2].padStart(2, '0')}` : match[1];
+  match = /^([a-z]{3})[a-z]*\.?\s+(\d{4})$/i.exec(text);
+  const month = match && MONTHS.indexOf(match[1].toLowerCase());
+  if (match && month >= 0) return `${match[2]}-${String(month + 1).padStart(2, '0')}`;
+  return text;
+}
+
+function toYear(value) {
+  const date = toYearMonth(value);
+  return date && /^\d{4}/.test(date) ? date.slice(0, 4) : date;
+}
+
+// Drops undefined values so previews only show what the file had
+const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+const uniqueSkills = (values) => {
+  const seen = new Map();
+  for (const value of values.map(clean).filter(Boolean)) {
+    if (!seen.has(skillKey(value))) seen.set(skillKey(value), value);
+  }
+  return [...seen.values()];
+};
+
+// ==================== JSON RESUME ====================
+
+function parseJsonResume(buffer) {
+  let document;
+  try {
+    document = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw importError('The file is not valid JSON');
+  }
+  if (!document || typeof document !== 'object' || Array.isArray(document)
+    || !['basics', 'work', 'education', 'skills'].some((section) => section in document)) {
+    throw importError('The file is not a JSON Resume document');
+  }
+
+  const list = (value) => (Array.isArray(value) ? value.filter((entry) => entry && typeof entry === 'object') : []);
+  const basics = document.basics && typeof document.basics === 'object' ? document.basics : {};
+  const location = basics.location && typeof basics.location === 'object' ? basics.location : {};
+
+  return {
+    basics: compact({
+      name: clean(basics.name),
+      headline: clean(basics.label),
+      location: clean([location.city, location.region, location.countryCode].map(clean).filter(Boolean).join(', '))
+        || clean(location.address),
+      phone: clean(basics.phone),
+      about: clean(basics.summary)
+    }),
+    // A skill's keywords are usually the concrete skills; its name the area
+    skills: uniqueSkills(list(document.skills).flatMap((skill) => (
+      Array.isArray(skill.keywords) && skill.keywords.length ? skill.keywords : [skill.name]
+    ))),
+    experiences: list(document.work).map((work) => {
+      const highlights = Array.isArray(work.highlights) ? work.highlights.map(clean).filter(Boolean) : [];
+      return compact({
+        title: clean(work.position),
+        company: clean(work.name ?? work.company),
+        location: clean(work.location),
+        startDate: toYearMonth(work.startDate),
+        endDate: toYearMonth(work.endDate),
+        current: !clean(work.endDate),
+        description: clean([clean(work.summary), ...highlights.map((highlight) => `- ${highlight}`)].filter(Boolean).join('\n'))
+      });
+    }),
+    education: list(document.education).map((education) => compact({
+      institution: clean(education.institution),
+      degree: clean(education.studyType),
+      fieldOfStudy: clean(education.area),
+      startYear: toYear(education.startDate),
+      endYear: toYear(education.endDate),
+      grade: clean(education.score ?? education.gpa)
+    }))
+  };
+}
+
+/**
+ * A profile (with experiences, education and user) as a JSON Resume document.
+ */
+function toJsonResume(profile) {
+  return {
+    $schema: JSON_RESUME_SCHEMA,
+    basics: compact({
+      name: profile.name || profile.user?.name || undefined,
+      label: profile.headline || undefined,
+      email: profile.user?.email,
+      phone: profile.phone || undefined,
+      summary: profile.about || undefined,
+      location: profile.location ? { address: profile.location } : undefined
+    }),
+    work: profile.experiences.map((experience) => compact({
+      name: experience.company,
+      position: experience.title,
+      location: experience.location || undefined,
+      startDate: experience.startDate,
+      endDate: experience.current ? undefined : experience.endDate || undefined,
+      summary: experience.description || undefined
+    })),
+    education: profile.education.map((education) => compact({
+      institution: education.institution,
+      studyType: education.degree,
+      area: education.fieldOfStudy,
+      startDate: education.startYear,
+      endDate: education.endYear || undefined,
+      score: education.grade || undefined
+    })),
+    skills: profile.skills.map((name) => ({ name })),
+    meta: { lastModified: profile.updatedAt.toISOString() }
+  };
+}
+
+// ==================== LINKEDIN EXPORT ====================
+
+// Rows of a CSV file; quoted fields may hold commas, quotes and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+// Records keyed by the header row's column names
+function csvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const columns = header.map((column) => column.trim());
+  return rows.map((cells) => Object.fromEntries(columns.map((column, index) => [column, clean(cells[index])])));
+}
+
+// LinkedIn puts degree and field in one value: "Bachelor of Science - BS, Computer Science"
+function splitDegree(value) {
+  const text = clean(value);
+  if (!text) return {};
+  const index = text.lastIndexOf(', ');
+  return index > 0
+    ? { degree: text.slice(0, index).trim(), fieldOfStudy: text.slice(index + 2).trim() }
+    : { degree: text };
+}
+
+function parseLinkedInExport(buffer) {
+  const { unzipSync, strFromU8 } = require('fflate');
+  const tooLarge = [];
+  let entries;
+  try {
+    entries = unzipSync(new Uint8Array(buffer), {
+      filter: (entry) => {
+        if (!LINKEDIN_FILES.includes(path.posix.basename(entry.name).toLowerCase())) return false;
+        if (entry.originalSize > MAX_CSV_SIZE) {
+          tooLarge.push(entry.name);
+          return false;
+        }
+        return true;
+      }
+    });
+  } catch (error) {
+    throw importError('The archive could not be read');
+  }
+  if (tooLarge.length) {
+    throw importError(`${tooLarge[0]} is too large to import`);
+  }
+
+  const files = {};
+  for (const [name, data] of Object.entries(entries)) {
+    files[path.posix.basename(name).toLowerCase()] = csvRecords(strFromU8(data));
+  }
+  if (!['profile.csv', 'positions.csv', 'education.csv', 'skills.csv'].some((name) => files[name])) {
+    throw importError('No profile data found in the archive (Profile.csv, Positions.csv, Education.csv or Skills.csv)');
+  }
+
+  const profile = files['profile.csv']?.[0] || {};
+  const phone = files['phonenumbers.csv']?.find((record) => record.Number);
+
+  return {
+    basics: compact({
+      name: clean([profile['First Name'], profile['Last Name']].filter(Boolean).join(' ')),
+      headline: profile.Headline,
+      location: profile['Geo Location'],
+      phone: phone?.Number,
+      about: profile.Summary
+    }),
+    skills: uniqueSkills((files['skills.csv'] || []).map((record) => record.Name)),
+    experiences: (files['positions.csv'] || []).map((position) => compact({
+      title: position.Title,
+      company: position['Company Name'],
+      location: position.Location,
+      startDate: toYearMonth(position['Started On']),
+      endDate: toYearMonth(position['Finished On']),
+      current: !position['Finished On'],
+      description: position.Description
+    })),
+    education: (files['education.csv'] || []).map((education) => compact({
+      institution: education['School Name'],
+      ...splitDegree(education['Degree Name']),
+      startYear: toYear(education['Start Date']),
+      endYear: toYear(education['End Date'])
+    }))
+  };
+}
+
+// ==================== PREVIEW ====================
+
+const IMPORT_FORMATS = {
+  '.json': { format: 'jsonresume', parse: parseJsonResume },
+  '.zip': { format: 'linkedin', parse: parseLinkedInExport }
+};
+
+/**
+ * Reads an uploaded import file by its extension.
+ * Returns { format, data }; throws a 400 ApiError if it can't be read.
+ */
+function readProfileImport(file) {
+  const { format, parse } = IMPORT_FORMATS[path.extname(file.originalname).toLowerCase()];
+  return { format, data: parse(file.buffer) };
+}
+
+const matchKey = (...values) => values.map((value) => skillKey(value ?? '')).join('|');
+const experienceKey = (experience) => matchKey(experience.title, experience.company, experience.startDate);
+const educationKey = (education) => matchKey(education.institution, education.degree, education.startYear);
+
+// Splits imported entries into new ones and ones the profile (or an earlier
+// entry of the import) already has
+function splitEntries(imported = [], existing = [], key) {
+  const keys = new Set(existing.map(key));
+  const added = [];
+  const skipped = [];
+  for (const entry of imported) {
+    if (keys.has(key(entry))) {
+      skipped.push(entry);
+    } else {
+      keys.add(key(entry));
+      added.push(entry);
+    }
+  }
+  return { added, existing: skipped };
+}
+
+/**
+ * What importing `data` would change on a profile (with experiences and
+ * education; null if the user has none yet):
+ *   basics      - [{ field, current, imported }] for values that differ
+ *   skills      - { added } names not on the profile, canonical when a taxonomy is given
+ *   experiences - { added, existing }; matched on title, company and start date
+ *   education   - { added, existing }; matched on institution, degree and start year
+ * Empty imported values never clear anything.
+ */
+function diffImport(profile, data, taxonomy = null) {
+  const basics = BASIC_FIELDS
+    .filter((field) => data.basics?.[field] && data.basics[field] !== profile?.[field])
+    .map((field) => ({ field, current: profile?.[field] ?? null, imported: data.basics[field] }));
+
+  const current = new Set((profile?.skills || []).map(skillKey));
+  const skills = uniqueSkills((data.skills || []).map((value) => (taxonomy && findSkill(taxonomy, value)?.name) || value))
+    .filter((name) => !current.has(skillKey(name)));
+
+  return {
+    basics,
+    skills: { added: skills },
+    experiences: splitEntries(data.experiences, profile?.experiences, experienceKey),
+    education: splitEntries(data.education, profile?.education, educationKey)
+  };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  parseJsonResume,
+  parseLinkedInExport,
+  readProfileImport,
+  diffImport,
+  toJsonResume
+};
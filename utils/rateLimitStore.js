@@ -0,0 +1,122 @@
+// Pluggable counter storage for rate limiting and login lockout.
+//
+// A store keeps fixed-window counters and must implement:
+//   increment(key, windowMs) -> { count, resetAt }  (starts a window on first hit)
+//   get(key)                 -> { count, resetAt } or null
+//   set(key, count, ttlMs)
+//   reset(key)
+// all returning promises; resetAt is a timestamp in ms. RATE_LIMIT_STORE picks
+// the built-in one:
+//   memory - per-process Map (default; counters reset on restart and are not
+//            shared between instances)
+//   redis  - any Redis-compatible server at REDIS_URL, shared by all instances
+// setStore() swaps in any other implementation.
+
+const createMemoryStore = ({ sweepMs = 60 * 1000 } = {}) => {
+  const entries = new Map();
+
+  const live = (key, now = Date.now()) => {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired windows so keys from one-off clients don't pile up
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) entries.delete(key);
+    }
+  }, sweepMs);
+  sweep.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const entry = live(key, now) || { count: 0, resetAt: now + windowMs };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+    async set(key, count, ttlMs) {
+      entries.set(key, { count, resetAt: Date.now() + ttlMs });
+    },
+    async reset(key) {
+      entries.delete(key);
+    }
+  };
+};
+
+// INCR and start the expiry in one round trip, so a crash between the two
+// can't leave a counter that never expires
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { count, ttl }
+`;
+
+const createRedisStore = ({ client, prefix = 'ratelimit:' } = {}) => {
+  if (!client) {
+    const Redis = require('ioredis');
+    client = new Redis(process.env.REDIS_URL || 'redis://localhost:6379');
+    client.on('error', (error) => console.error('Rate limit store error:', error.message));
+  }
+
+  return {
+    async increment(key, windowMs) {
+      const [count, ttl] = await client.eval(INCREMENT_SCRIPT, 1, prefix + key, windowMs);
+      return { count: Number(count), resetAt: Date.now() + Number(ttl) };
+    },
+    async get(key) {
+      const [count, ttl] = await Promise.all([client.get(prefix + key), client.pttl(prefix + key)]);
+      if (count === null || ttl < 0) return null;
+      return { count: Number(count), resetAt: Date.now() + ttl };
+    },
+    async set(key, count, ttlMs) {
+      await client.set(prefix + key, count, 'PX', ttlMs);
+    },
+    async reset(key) {
+      await client.del(prefix + key);
+    }
+  };
+};
+
+const STORES = {
+  memory: createMemoryStore,
+  redis: createRedisStore
+};
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!STORES[name]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Use one of: ${Object.keys(STORES).join(', ')}`);
+    }
+    store = STORES[name]();
+  }
+  return store;
+}
+
+function setStore(custom) {
+  store = custom;
+}
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+  getStore,
+  setStore
+};
@@ -0,0 +1,43 @@
+// Who may download a seeker's profile resume: the seeker, admins, and
+// recruiters with access to a job the seeker has applied to. Profile.resume
+// holds the storage key; clients only ever see the download route.
+const { accessibleJobWhere } = require('./jobAccess');
+
+const resumeUrl = (userId) => `/profile/${userId}/resume`;
+
+// The profile as clients see it, with the resume's download route
+const withResumeUrl = (profile) => ({
+  ...profile,
+  resume: profile.resume ? resumeUrl(profile.userId) : null
+});
+
+async function canViewResume(prisma, user, ownerId) {
+  const viewable = await viewableResumeOwners(prisma, user, [ownerId]);
+  return viewable.has(ownerId);
+}
+
+// The subset of `ownerIds` whose resumes `user` may download, in one query
+async function viewableResumeOwners(prisma, user, ownerIds) {
+  if (user.role === 'ADMIN') return new Set(ownerIds);
+  const viewable = new Set(ownerIds.filter((ownerId) => ownerId === user.userId));
+  if (user.role !== 'RECRUITER') return viewable;
+
+  const applications = await prisma.application.findMany({
+    where: {
+      userId: { in: ownerIds },
+      deletedAt: null,
+      job: { deletedAt: null, ...accessibleJobWhere(user.userId, 'VIEWER') }
+    },
+    select: { userId: true },
+    distinct: ['userId']
+  });
+  for (const { userId } of applications) viewable.add(userId);
+  return viewable;
+}
+
+module.exports = {
+  resumeUrl,
+  withResumeUrl,
+  canViewResume,
+  viewableResumeOwners
+};
@@ -0,0 +1,264 @@
+// Renders a profile (with its experiences, education and user) as a PDF
+// resume. Templates:
+//   classic - one serif column, centered header
+//   modern  - a sidebar with contact details and skills, accent-colored headings
+// Text uses the standard PDF fonts, which cover Latin scripts.
+
+const RESUME_TEMPLATES = ['classic', 'modern'];
+const DEFAULT_TEMPLATE = 'classic';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// "2022-01" -> "Jan 2022", "2022" -> "2022"
+function formatMonth(value) {
+  const [year, month] = value.split('-');
+  return month ? `${MONTHS[Number(month) - 1]} ${year}` : year;
+}
+
+const experiencePeriod = (experience) => {
+  const end = experience.current ? 'Present' : experience.endDate && formatMonth(experience.endDate);
+  return end ? `${formatMonth(experience.startDate)} – ${end}` : formatMonth(experience.startDate);
+};
+
+const educationPeriod = (education) => (
+  education.endYear && education.endYear !== education.startYear
+    ? `${education.startYear} – ${education.endYear}`
+    : education.startYear
+);
+
+const displayName = (profile) => profile.name || profile.user?.name || 'Resume';
+
+const contactDetails = (profile) => [profile.user?.email, profile.phone, profile.location].filter(Boolean);
+
+// Starts a new page when fewer than `space` points are left
+function ensureSpace(doc, space) {
+  if (doc.y > doc.page.height - doc.page.margins.bottom - space) {
+    doc.addPage();
+  }
+}
+
+// A line with text on the left and, on the same line, text aligned right
+function splitLine(doc, { x, width, left, right, leftFont, rightFont, size }) {
+  const rightWidth = 110;
+  const y = doc.y;
+  doc.font(leftFont).fontSize(size).text(left, x, y, { width: width - rightWidth - 10 });
+  const after = doc.y;
+  doc.font(rightFont).fontSize(size - 1).text(right, x + width - rightWidth, y, { width: rightWidth, align: 'right' });
+  doc.x = x;
+  doc.y = Math.max(after, doc.y);
+}
+
+function renderClassic(doc, profile) {
+  const x = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  doc.font('Times-Bold').fontSize(24).text(displayName(profile), { align: 'center' });
+  if (profile.headline) {
+    doc.font('Times-Italic').fontSize(12).text(profile.headline, { align: 'center' });
+  }
+  const contact = contactDetails(profile);
+  if (contact.length) {
+    doc.moveDown(0.3).font('Times-Roman').fontSize(10).text(contact.join('  |  '), { align: 'center' });
+  }
+
+  const heading = (title) => {
+    ensureSpace(doc, 80);
+    doc.moveDown(1).font('Times-Bold').fontSize(13).text(title.toUpperCase(), x, doc.y, { width });
+    const y = doc.y + 2;
+    doc.moveTo(x, y).lineTo(x + width, y).lineWidth(0.5).stroke();
+    doc.moveDown(0.5);
+  };
+
+  if (profile.about) {
+    heading('Summary');
+    doc.font('Times-Roman').fontSize(11).text(profile.about, { width, align: 'justify' });
+  }
+
+  if (profile.experiences.length) {
+    heading('Experience');
+    for (const experience of profile.experiences) {
+      ensureSpace(doc, 50);
+      splitLine(doc, {
+        x,
+        width,
+        left: `${experience.title}, ${experience.company}`,
+        right: experiencePeriod(experience),
+        leftFont: 'Times-Bold',
+        rightFont: 'Times-Roman',
+        size: 11
+      });
+      if (experience.location) {
+        doc.font('Times-Italic').fontSize(10).text(experience.location, { width });
+      }
+      if (experience.description) {
+        doc.font('Times-Roman').fontSize(10.5).text(experience.description, { width });
+      }
+      doc.moveDown(0.6);
+    }
+  }
+
+  if (profile.education.length) {
+    heading('Education');
+    for (const education of profile.education) {
+      ensureSpace(doc, 40);
+      splitLine(doc, {
+        x,
+        width,
+        left: `${education.degree} in ${education.fieldOfStudy}`,
+        right: educationPeriod(education),
+        leftFont: 'Times-Bold',
+        rightFont: 'Times-Roman',
+        size: 11
+      });
+      const details = [education.institution, education.grade && `Grade: ${education.grade}`].filter(Boolean);
+      doc.font('Times-Roman').fontSize(10.5).text(details.join(' · '), { width });
+      doc.moveDown(0.6);
+    }
+  }
+
+  if (profile.skills.length) {
+    heading('Skills');
+    doc.font('Times-Roman').fontSize(11).text(profile.skills.join(', '), { width });
+  }
+}
+
+const ACCENT = '#2563eb';
+const SIDEBAR_FILL = '#f1f5f9';
+const SIDEBAR_WIDTH = 170;
+const TEXT_COLOR = '#111827';
+const MUTED_COLOR = '#4b5563';
+
+function renderModern(doc, profile) {
+  const drawSidebar = () => {
+    doc.save().rect(0, 0, SIDEBAR_WIDTH, doc.page.height).fill(SIDEBAR_FILL).restore();
+  };
+  drawSidebar();
+  doc.on('pageAdded', drawSidebar);
+
+  const top = doc.page.margins.top;
+  const sideX = 24;
+  const sideWidth = SIDEBAR_WIDTH - 2 * sideX;
+  const x = SIDEBAR_WIDTH + 30;
+  const width = doc.page.width - x - doc.page.margins.right;
+
+  // Sidebar: contact and skills, first page only
+  const sideHeading = (title) => {
+    doc.moveDown(1).font('Helvetica-Bold').fontSize(10).fillColor(ACCENT).text(title.toUpperCase(), sideX, doc.y, { width: sideWidth });
+    doc.moveDown(0.3).fillColor(TEXT_COLOR);
+  };
+  doc.y = top;
+  const contact = contactDetails(profile);
+  if (contact.length) {
+    sideHeading('Contact');
+    for (const item of contact) {
+      doc.font('Helvetica').fontSize(9).text(item, sideX, doc.y, { width: sideWidth });
+      doc.moveDown(0.3);
+    }
+  }
+  if (profile.skills.length) {
+    sideHeading('Skills');
+    for (const skill of profile.skills) {
+      doc.font('Helvetica').fontSize(9).text(skill, sideX, doc.y, { width: sideWidth });
+      doc.moveDown(0.2);
+    }
+  }
+
+  // Main column
+  doc.y = top;
+  doc.font('Helvetica-Bold').fontSize(24).fillColor(TEXT_COLOR).text(displayName(profile), x, doc.y, { width });
+  if (profile.headline) {
+    doc.font('Helvetica').fontSize(12).fillColor(ACCENT).text(profile.headline, x, doc.y, { width });
+  }
+  doc.fillColor(TEXT_COLOR);
+
+  const heading = (title) => {
+    ensureSpace(doc, 80);
+    doc.moveDown(1.2).font('Helvetica-Bold').fontSize(12).fillColor(ACCENT).text(title.toUpperCase(), x, doc.y, { width });
+    doc.moveDown(0.4).fillColor(TEXT_COLOR);
+  };
+
+  if (profile.about) {
+    heading('Profile');
+    doc.font('Helvetica').fontSize(10).text(profile.about, x, doc.y, { width });
+  }
+
+  if (profile.experiences.length) {
+    heading('Experience');
+    for (const experience of profile.experiences) {
+      ensureSpace(doc, 50);
+      splitLine(doc, {
+        x,
+        width,
+        left: experience.title,
+        right: experiencePeriod(experience),
+        leftFont: 'Helvetica-Bold',
+        rightFont: 'Helvetica',
+        size: 11
+      });
+      const at = [experience.company, experience.location].filter(Boolean).join(', ');
+      doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR).text(at, x, doc.y, { width });
+      doc.fillColor(TEXT_COLOR);
+      if (experience.description) {
+        doc.moveDown(0.2).font('Helvetica').fontSize(10).text(experience.description, x, doc.y, { width });
+      }
+      doc.moveDown(0.7);
+    }
+  }
+
+  if (profile.education.length) {
+    heading('Education');
+    for (const education of profile.education) {
+      ensureSpace(doc, 40);
+      splitLine(doc, {
+        x,
+        width,
+        left: `${education.degree} in ${education.fieldOfStudy}`,
+        right: educationPeriod(education),
+        leftFont: 'Helvetica-Bold',
+        rightFont: 'Helvetica',
+        size: 11
+      });
+      const details = [education.institution, education.grade && `Grade: ${education.grade}`].filter(Boolean);
+      doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR).text(details.join(' · '), x, doc.y, { width });
+      doc.fillColor(TEXT_COLOR).moveDown(0.7);
+    }
+  }
+}
+
+const RENDERERS = {
+  classic: renderClassic,
+  modern: renderModern
+};
+
+/**
+ * Renders the resume and resolves to the PDF as a Buffer. `profile` needs
+ * `experiences`, `education` and `user: { name, email }`.
+ */
+function renderResume(profile, template = DEFAULT_TEMPLATE) {
+  const PDFDocument = require('pdfkit');
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: { Title: `${displayName(profile)} - Resume`, Author: displayName(profile) }
+  });
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    RENDERERS[template](doc, profile);
+    doc.end();
+  });
+}
+
+// File name for a generated resume, e.g. "Jane Doe - Resume.pdf"
+const resumeFileName = (profile) => `${displayName(profile).replace(/[\\/:*?"<>|]/g, '')} - Resume.pdf`;
+
+module.exports = {
+  RESUME_TEMPLATES,
+  DEFAULT_TEMPLATE,
+  renderResume,
+  resumeFileName
+};
@@ -0,0 +1,68 @@
+// Extracts plain text from uploaded resumes (PDF, DOCX, DOC) so recruiters
+// can search it. Scanned PDFs have no text layer and yield an empty string.
+const path = require('path');
+
+// Longer resumes are cut off; nothing useful for search lives past this point
+const MAX_RESUME_TEXT = 100000;
+
+async function extractPdf(buffer) {
+  const { PDFParse } = require('pdf-parse');
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const result = await parser.getText({ pageJoiner: '' });
+    return result.text;
+  } finally {
+    await parser.destroy();
+  }
+}
+
+async function extractDocx(buffer) {
+  const mammoth = require('mammoth');
+  const result = await mammoth.extractRawText({ buffer });
+  return result.value;
+}
+
+async function extractDoc(buffer) {
+  const WordExtractor = require('word-extractor');
+  const document = await new WordExtractor().extract(buffer);
+  return document.getBody();
+}
+
+const EXTRACTORS = {
+  '.pdf': extractPdf,
+  '.docx': extractDocx,
+  '.doc': extractDoc
+};
+
+// Collapses the whitespace left over from page layout
+function normalizeText(text) {
+  return text
+    .replace(/\u0000/g, '')
+    .replace(/[ \t\f\v]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim()
+    .slice(0, MAX_RESUME_TEXT);
+}
+
+/**
+ * Returns the text of a resume's contents (`fileName` tells its type), or
+ * null when the file type isn't supported or the file can't be parsed. Never
+ * throws: a resume that can't be read is still a valid upload, just not a
+ * searchable one.
+ */
+async function extractResumeText(buffer, fileName) {
+  const extract = EXTRACTORS[path.extname(fileName).toLowerCase()];
+  if (!extract) return null;
+
+  try {
+    return normalizeText((await extract(buffer)) || '');
+  } catch (error) {
+    console.error('Resume text extraction error:', { file: fileName, error: error.message });
+    return null;
+  }
+}
+
+module.exports = {
+  MAX_RESUME_TEXT,
+  extractResumeText
+};
@@ -0,0 +1,183 @@
+const SALARY_PERIODS = ['HOURLY', 'MONTHLY', 'YEARLY'];
+const SALARY_FIELDS = ['salaryMin', 'salaryMax', 'salaryCurrency', 'salaryPeriod', 'salaryNegotiable'];
+const MAX_SALARY = 1000000000;
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR', '¥': 'JPY' };
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD', 'JPY', 'CHF', 'SGD', 'NZD'];
+const MULTIPLIERS = { k: 1e3, m: 1e6, l: 1e5, lakh: 1e5, lakhs: 1e5, lpa: 1e5 };
+
+function parseAmount(value) {
+  if (value === null || value === '') return null;
+  const amount = Number(value);
+  if (!Number.isInteger(amount) || amount < 0 || amount > MAX_SALARY) return undefined;
+  return amount;
+}
+
+function parseBoolean(value) {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return undefined;
+}
+
+/**
+ * Validates the structured salary fields of a job body.
+ * Only fields present in `body` end up in `data`, so this works for both
+ * create and partial update; `existing` is the stored job on update and is
+ * used for the min <= max check.
+ * Returns { error, field } or { data }.
+ */
+function parseSalaryInput(body, existing = null) {
+  const data = {};
+
+  for (const field of ['salaryMin', 'salaryMax']) {
+    if (body[field] === undefined) continue;
+    data[field] = parseAmount(body[field]);
+    if (data[field] === undefined) {
+      return { error: `${field} must be a whole number between 0 and ${MAX_SALARY}`, field };
+    }
+  }
+
+  if (body.salaryCurrency !== undefined) {
+    const currency = body.salaryCurrency === null ? null : String(body.salaryCurrency).trim().toUpperCase();
+    if (currency !== null && !/^[A-Z]{3}$/.test(currency)) {
+      return { error: 'salaryCurrency must be a 3-letter ISO 4217 code, e.g. USD', field: 'salaryCurrency' };
+    }
+    data.salaryCurrency = currency;
+  }
+
+  if (body.salaryPeriod !== undefined) {
+    const period = body.salaryPeriod === null ? null : String(body.salaryPeriod).trim().toUpperCase();
+    if (period !== null && !SALARY_PERIODS.includes(period)) {
+      return { error: `salaryPeriod must be one of: ${SALARY_PERIODS.join(', ')}`, field: 'salaryPeriod' };
+    }
+    data.salaryPeriod = period;
+  }
+
+  if (body.salaryNegotiable !== undefined) {
+    data.salaryNegotiable = parseBoolean(body.salaryNegotiable);
+    if (data.salaryNegotiable === undefined) {
+      return { error: 'salaryNegotiable must be true or false', field: 'salaryNegotiable' };
+    }
+  }
+
+  const merged = { ...existing, ...data };
+  const hasAmount = merged.salaryMin != null || merged.salaryMax != null;
+
+  if (merged.salaryMin != null && merged.salaryMax != null && merged.salaryMin > merged.salaryMax) {
+    return { error: 'salaryMin cannot be greater than salaryMax', field: 'salaryMin' };
+  }
+  if (hasAmount && !merged.salaryCurrency) {
+    return { error: 'salaryCurrency is required when a salary amount is given', field: 'salaryCurrency' };
+  }
+  if (hasAmount && !merged.salaryPeriod) {
+    data.salaryPeriod = 'YEARLY';
+  }
+
+  return { data };
+}
+
+function hasSalaryInput(body) {
+  return SALARY_FIELDS.some((field) => body[field] !== undefined);
+}
+
+const RANGE_SEPARATOR = String.raw`\s*(?:-|–|—|to)\s*`;
+const CURRENCY = `([${Object.keys(CURRENCY_SYMBOLS).join('')}]|\\b(?:${CURRENCY_CODES.join('|')})\\b)`;
+const AMOUNT = String.raw`(\d+(?:[.,]\d+)*)\s*(k|m|lpa|lakhs?|l)?(?![a-z\d])`;
+// An amount or a range, with a currency before, between or after it:
+// "$80k-100k", "50,000 - 60,000 EUR", "€4.000", "£25/hr"
+const SALARY_PATTERN = new RegExp(
+  `${CURRENCY}?\\s*${AMOUNT}(?:${RANGE_SEPARATOR}${CURRENCY}?\\s*${AMOUNT})?(?:\\s*${CURRENCY})?`,
+  'gi'
+);
+
+function currencyOf(token) {
+  return token && (CURRENCY_SYMBOLS[token] || token.toUpperCase());
+}
+
+// "80,000", "4.000", "1.200.000": a separator followed by three digits groups
+// thousands. "4.5", "4,5": otherwise it's the decimal point. "1,234.50",
+// "1.234,50": the last separator is the decimal one.
+function parseNumber(raw) {
+  const groups = raw.split(/[.,]/);
+  if (groups.slice(1).every((group) => group.length === 3)) return Number(groups.join(''));
+  const last = Math.max(raw.lastIndexOf('.'), raw.lastIndexOf(','));
+  return Number(`${raw.slice(0, last).replace(/[.,]/g, '')}.${raw.slice(last + 1)}`);
+}
+
+/**
+ * Best-effort parse of a free-text salary such as "$80k-100k",
+ * "50,000 - 60,000 EUR per year", "£25/hr" or "12 LPA".
+ * Only amounts next to a currency (or "LPA"/"lakh", read as INR) count, so
+ * "2 years exp" is never a salary and amounts are never stored without a
+ * currency. Returns the structured fields, or null if nothing could be
+ * recognized.
+ */
+function parseSalaryString(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+  const lower = text.toLowerCase();
+
+  const salaryNegotiable = /negotiable|competitive|\bdoe\b|depending on experience/.test(lower);
+
+  let salaryPeriod = null;
+  if (/(\/|per |an? )\s*(hour|hr)\b|\bhourly\b|\/h\b/.test(lower)) salaryPeriod = 'HOURLY';
+  else if (/(\/|per |a )\s*(month|mo)\b|\bmonthly\b|\bpm\b/.test(lower)) salaryPeriod = 'MONTHLY';
+  else if (/(\/|per |a )\s*(year|yr|annum)\b|\byearly\b|\bannual(ly)?\b|\bp\.?a\.?\b|\blpa\b/.test(lower)) {
+    salaryPeriod = 'YEARLY';
+  }
+
+  let found = null;
+  for (const match of text.matchAll(SALARY_PATTERN)) {
+    const [, before, first, firstSuffix, between, second, secondSuffix, after] = match;
+    const suffixes = [firstSuffix, secondSuffix].map((suffix) => suffix?.toLowerCase() || null);
+    const indian = suffixes.some((suffix) => suffix && suffix !== 'k' && suffix !== 'm' && suffix !== 'l');
+    const salaryCurrency = currencyOf(before || between || after) || (indian ? 'INR' : null);
+    if (!salaryCurrency) continue;
+
+    const amounts = [{ value: parseNumber(first), suffix: suffixes[0] }];
+    if (second) amounts.push({ value: parseNumber(second), suffix: suffixes[1] });
+    found = { amounts, salaryCurrency, end: match.index + match[0].length };
+    break;
+  }
+
+  if (!found || found.amounts.some(({ value }) => Number.isNaN(value))) {
+    return salaryNegotiable
+      ? { salaryMin: null, salaryMax: null, salaryCurrency: null, salaryPeriod, salaryNegotiable }
+      : null;
+  }
+
+  // "$80-100k": the leading number borrows the trailing suffix
+  const { amounts } = found;
+  const last = amounts[amounts.length - 1];
+  const values = amounts.map(({ value, suffix }) => {
+    const multiplier = MULTIPLIERS[suffix || (amounts.length > 1 && value < 1000 && last.suffix)] || 1;
+    return Math.round(value * multiplier);
+  });
+
+  let salaryMin = values[0];
+  let salaryMax = values.length > 1 ? values[1] : values[0];
+  if (values.length === 1 && /\bup ?to\b|\bmax(imum)?\b/.test(lower)) salaryMin = null;
+  if (values.length === 1 && (/\bfrom\b|\bmin(imum)?\b|\bstarting\b/.test(lower) || text[found.end] === '+')) {
+    salaryMax = null;
+  }
+  if (salaryMin != null && salaryMax != null && salaryMin > salaryMax) {
+    [salaryMin, salaryMax] = [salaryMax, salaryMin];
+  }
+  if ([salaryMin, salaryMax].some((value) => value != null && value > MAX_SALARY)) return null;
+
+  return {
+    salaryMin,
+    salaryMax,
+    salaryCurrency: found.salaryCurrency,
+    salaryPeriod: salaryPeriod || 'YEARLY',
+    salaryNegotiable
+  };
+}
+
+module.exports = {
+  SALARY_PERIODS,
+  SALARY_FIELDS,
+  parseAmount,
+  parseSalaryInput,
+  hasSalaryInput,
+  parseSalaryString
+};
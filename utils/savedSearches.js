@@ -0,0 +1,177 @@
+// Saved job searches and their alerts.
+//
+// A saved search stores GET /jobs filters. The alert worker periodically
+// looks for jobs published since each due search was last checked and sends
+// them as one digest through the alert channels (see alertChannels.js).
+// Searches are claimed by moving lastCheckedAt forward before delivery, so
+// several API instances can run the worker without sending duplicates. When
+// delivery fails (or there's no verified email to send to), lastCheckedAt is
+// moved back, so the same jobs are alerted on a later run instead of lost.
+const crypto = require('crypto');
+const { parseJobSearchQuery, buildJobWhere } = require('./jobSearch');
+const { deliverAlert } = require('./alertChannels');
+
+const ALERT_FREQUENCIES = ['INSTANT', 'DAILY', 'WEEKLY'];
+
+// GET /jobs parameters a search can save
+const SAVED_SEARCH_FILTERS = ['q', 'role', 'type', 'location', 'salaryMin', 'salaryMax', 'salaryCurrency', 'salaryPeriod'];
+
+const MAX_SAVED_SEARCHES = 25;
+
+// Jobs listed in one alert; the digest mentions how many more there are
+const MAX_ALERT_JOBS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FREQUENCY_MS = { INSTANT: 0, DAILY: DAY_MS, WEEKLY: 7 * DAY_MS };
+
+// How often the worker runs, which is also how soon INSTANT alerts go out
+const ALERT_INTERVAL_MS = (Number(process.env.SEARCH_ALERT_INTERVAL_MINUTES) || 5) * 60 * 1000;
+
+const BATCH_SIZE = 100;
+
+function createUnsubscribeToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Validates saved filters the way GET /jobs validates its query.
+ * Returns { filters } (trimmed, empty values dropped) or { error, field }.
+ */
+function parseSavedSearchFilters(input = {}) {
+  const filters = {};
+  for (const key of SAVED_SEARCH_FILTERS) {
+    const value = input[key] == null ? '' : String(input[key]).trim();
+    if (value) filters[key] = value;
+  }
+  if (input.category != null && !filters.role && String(input.category).trim()) {
+    filters.role = String(input.category).trim();
+  }
+
+  if (!Object.keys(filters).length) {
+    return { error: 'Add at least one filter to save a search', field: 'filters' };
+  }
+
+  const { error, field } = parseJobSearchQuery(filters);
+  if (error) return { error, field: `filters.${field}` };
+  return { filters };
+}
+
+// Default name for a search, e.g. "react · backend · Berlin"
+function describeFilters(filters) {
+  return [filters.q, filters.role, filters.type, filters.location]
+    .filter(Boolean)
+    .join(' · ')
+    .slice(0, 100) || 'Salary search';
+}
+
+// Searches whose alert is due at `now`
+function dueSearchWhere(now) {
+  return {
+    alertsEnabled: true,
+    user: { deletedAt: null },
+    OR: ALERT_FREQUENCIES.map((frequency) => ({
+      frequency,
+      lastCheckedAt: { lte: new Date(now.getTime() - FREQUENCY_MS[frequency]) }
+    }))
+  };
+}
+
+// Open jobs matching the search that were published in (since, now]
+async function findNewJobs(prisma, search, since, now) {
+  const { options, error } = parseJobSearchQuery(search.filters);
+  if (error) {
+    console.error('Saved search has invalid filters:', { id: search.id, error });
+    return { jobs: [], total: 0 };
+  }
+
+  const where = { AND: [buildJobWhere(options), { publishedAt: { gt: since, lte: now } }] };
+  const [jobs, total] = await Promise.all([
+    prisma.job.findMany({
+      where,
+      select: { id: true, title: true, company: true, location: true, type: true, publishedAt: true },
+      orderBy: [{ publishedAt: 'desc' }, { id: 'desc' }],
+      take: MAX_ALERT_JOBS
+    }),
+    prisma.job.count({ where })
+  ]);
+  return { jobs, total };
+}
+
+/**
+ * Sends every due alert. With dryRun nothing is claimed or sent.
+ * Returns { checked, alerted, failed }.
+ */
+async function runSearchAlerts(prisma, { now = new Date(), dryRun = false } = {}) {
+  const result = { checked: 0, alerted: 0, failed: 0 };
+  let cursor = null;
+
+  for (;;) {
+    const searches = await prisma.savedSearch.findMany({
+      where: dueSearchWhere(now),
+      include: { user: { select: { id: true, name: true, email: true, emailVerifiedAt: true } } },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+    });
+    if (!searches.length) break;
+    cursor = searches[searches.length - 1].id;
+
+    for (const { user, ...search } of searches) {
+      if (!dryRun) {
+        // Another worker got here first
+        const { count } = await prisma.savedSearch.updateMany({
+          where: { id: search.id, lastCheckedAt: search.lastCheckedAt },
+          data: { lastCheckedAt: now }
+        });
+        if (!count) continue;
+      }
+      result.checked++;
+
+      const { jobs, total } = await findNewJobs(prisma, search, search.lastCheckedAt, now);
+      if (!jobs.length) continue;
+
+      if (dryRun) {
+        result.alerted++;
+        console.log(`[dry-run] ${search.id}: ${total} new jobs for ${user.email}`);
+        continue;
+      }
+
+      if (await deliverAlert({ user, search, jobs, total })) {
+        result.alerted++;
+        await prisma.savedSearch.update({ where: { id: search.id }, data: { lastAlertedAt: now } });
+      } else {
+        // Release the claim unless the search was edited meanwhile
+        result.failed++;
+        await prisma.savedSearch.updateMany({
+          where: { id: search.id, lastCheckedAt: now },
+          data: { lastCheckedAt: search.lastCheckedAt }
+        });
+      }
+    }
+
+    if (searches.length < BATCH_SIZE) break;
+  }
+
+  if ((result.alerted || result.failed) && !dryRun) {
+    console.log(`${result.failed ? '⚠️ ' : '✅'} Search alerts sent:`, result);
+  }
+  return result;
+}
+
+function startSearchAlertTimer(prisma) {
+  const run = () => runSearchAlerts(prisma).catch((error) => console.error('Search alerts error:', error));
+  const timer = setInterval(run, ALERT_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  ALERT_FREQUENCIES,
+  SAVED_SEARCH_FILTERS,
+  MAX_SAVED_SEARCHES,
+  createUnsubscribeToken,
+  parseSavedSearchFilters,
+  describeFilters,
+  runSearchAlerts,
+  startSearchAlertTimer
+};
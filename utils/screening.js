@@ -0,0 +1,306 @@
+// Screening questions: per-job questions applicants answer when applying.
+// Knockout questions reject applicants whose answer disqualifies them.
+
+const QUESTION_TYPES = ['TEXT', 'YES_NO', 'CHOICE', 'NUMBER'];
+const MAX_QUESTIONS = 20;
+const MAX_OPTIONS = 20;
+const MAX_TEXT_ANSWER = 2000;
+
+const YES = ['yes', 'true'];
+const NO = ['no', 'false'];
+
+// Fields applicants see: the knockout rules stay with the hiring team
+const publicQuestion = ({ id, type, prompt, required, options }) => ({
+  id,
+  type,
+  prompt,
+  required,
+  ...(type === 'CHOICE' ? { options } : {})
+});
+
+const findOption = (options, value) => (
+  options.find((option) => option.toLowerCase() === String(value).trim().toLowerCase())
+);
+
+function parseYesNo(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (YES.includes(text)) return true;
+  if (NO.includes(text)) return false;
+  return null;
+}
+
+function parseNumber(value) {
+  if (typeof value === 'string' && !value.trim()) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Validates one question's knockout rule. Returns { knockout } or { error }.
+function parseKnockout(type, input, options) {
+  if (input == null) return { knockout: null };
+  switch (type) {
+    case 'YES_NO':
+      if (typeof input.answer !== 'boolean') {
+        return { error: 'Yes/no knockouts need an `answer` (true or false) that rejects' };
+      }
+      return { knockout: { answer: input.answer } };
+    case 'CHOICE': {
+      const rejected = (input.options || []).map((option) => findOption(options, option));
+      if (!rejected.length || rejected.includes(undefined)) {
+        return { error: 'Choice knockouts need `options`, taken from the question\'s options' };
+      }
+      const unique = [...new Set(rejected)];
+      if (unique.length === options.length) {
+        return { error: 'A choice knockout must leave at least one option that passes' };
+      }
+      return { knockout: { options: unique } };
+    }
+    case 'NUMBER': {
+      const min = input.min == null ? null : parseNumber(input.min);
+      const max = input.max == null ? null : parseNumber(input.max);
+      if ((input.min != null && min == null) || (input.max != null && max == null) || (min == null && max == null)) {
+        return { error: 'Number knockouts need a `min` and/or `max`; answers outside it reject' };
+      }
+      if (min != null && max != null && min > max) {
+        return { error: 'Knockout min cannot be greater than max' };
+      }
+      return { knockout: { ...(min != null ? { min } : {}), ...(max != null ? { max } : {}) } };
+    }
+    default:
+      return { error: 'Text questions cannot be knockout questions' };
+  }
+}
+
+/**
+ * Validates a replacement question list for PUT /jobs/:id/questions.
+ * Each entry is { id?, type, prompt, required?, options?, knockout? };
+ * entries with an id update that question. Knockout questions are always
+ * required, so they can't be skipped.
+ * Returns { error, field } or { questions } (normalized, in order).
+ */
+function parseQuestionList(input, existing) {
+  if (!Array.isArray(input) || input.length > MAX_QUESTIONS) {
+    return { error: `Questions must be an array of at most ${MAX_QUESTIONS} questions`, field: 'questions' };
+  }
+
+  const existingIds = new Set(existing.map((question) => question.id));
+  const questions = [];
+
+  for (const [index, entry] of input.entries()) {
+    const at = `Question ${index + 1}`;
+    if (!QUESTION_TYPES.includes(entry?.type)) {
+      return { error: `${at}: type must be one of ${QUESTION_TYPES.join(', ')}`, field: 'questions' };
+    }
+    const prompt = typeof entry.prompt === 'string' ? entry.prompt.trim() : '';
+    if (!prompt || prompt.length > 500) {
+      return { error: `${at}: prompt is required (at most 500 characters)`, field: 'questions' };
+    }
+    if (entry.id != null && !existingIds.has(entry.id)) {
+      return { error: `Question ${entry.id} does not belong to this job`, field: 'questions' };
+    }
+
+    let options = [];
+    if (entry.type === 'CHOICE') {
+      options = [...new Set((entry.options || []).map((option) => String(option).trim()).filter(Boolean))];
+      if (options.length < 2 || options.length > MAX_OPTIONS) {
+        return { error: `${at}: choice questions need 2 to ${MAX_OPTIONS} different options`, field: 'questions' };
+      }
+    }
+
+    const { knockout, error } = parseKnockout(entry.type, entry.knockout, options);
+    if (error) {
+      return { error: `${at}: ${error}`, field: 'questions' };
+    }
+
+    questions.push({
+      id: entry.id ?? null,
+      type: entry.type,
+      prompt,
+      required: Boolean(entry.required) || knockout != null,
+      options,
+      knockout
+    });
+  }
+
+  return { questions };
+}
+
+// Replaces a job's questions with a list from parseQuestionList
+async function replaceQuestions(prisma, jobId, questions, existing) {
+  const { Prisma } = require('@prisma/client');
+  const keptIds = new Set(questions.filter((question) => question.id).map((question) => question.id));
+  const removedIds = existing.filter((question) => !keptIds.has(question.id)).map((question) => question.id);
+
+  return prisma.$transaction(async (tx) => {
+    await tx.screeningQuestion.deleteMany({ where: { id: { in: removedIds } } });
+    for (const [position, { id, knockout, ...question }] of questions.entries()) {
+      // Prisma clears Json columns with DbNull, not null
+      const data = { ...question, knockout: knockout ?? Prisma.DbNull, position };
+      if (id) {
+        await tx.screeningQuestion.update({ where: { id }, data });
+      } else {
+        await tx.screeningQuestion.create({ data: { ...data, jobId } });
+      }
+    }
+    return tx.screeningQuestion.findMany({ where: { jobId }, orderBy: { position: 'asc' } });
+  });
+}
+
+// Whether an answer (already parsed) is rejected by the question's knockout rule
+function isKnockedOut(question, value) {
+  const { knockout } = question;
+  if (!knockout || value == null) return false;
+  switch (question.type) {
+    case 'YES_NO':
+      return value === knockout.answer;
+    case 'CHOICE':
+      return knockout.options.includes(value);
+    case 'NUMBER':
+      return (knockout.min != null && value < knockout.min) || (knockout.max != null && value > knockout.max);
+    default:
+      return false;
+  }
+}
+
+// Parses one answer for its question. Returns { value } or { error }.
+function parseAnswerValue(question, raw) {
+  switch (question.type) {
+    case 'YES_NO': {
+      const value = parseYesNo(raw);
+      return value == null ? { error: 'answer yes or no' } : { value };
+    }
+    case 'NUMBER': {
+      const value = parseNumber(raw);
+      return value == null ? { error: 'answer with a number' } : { value };
+    }
+    case 'CHOICE': {
+      const value = findOption(question.options, raw);
+      return value == null ? { error: `answer one of: ${question.options.join(', ')}` } : { value };
+    }
+    default: {
+      const value = String(raw).trim();
+      if (value.length > MAX_TEXT_ANSWER) return { error: `answer in at most ${MAX_TEXT_ANSWER} characters` };
+      return { value };
+    }
+  }
+}
+
+/**
+ * Checks an application's answers (`[{ questionId, value }]`) against the
+ * job's questions. Blank answers count as missing.
+ * Returns { answers, knockedOut } (answers ready to store, knockedOut the
+ * questions that rejected the applicant) or { error, field }.
+ */
+function parseAnswers(questions, input = []) {
+  const byId = new Map(questions.map((question) => [question.id, question]));
+  const given = new Map();
+
+  for (const entry of input) {
+    if (!byId.has(entry.questionId)) {
+      return { error: `Question ${entry.questionId} is not asked by this job`, field: 'answers' };
+    }
+    if (given.has(entry.questionId)) {
+      return { error: `Question ${entry.questionId} is answered twice`, field: 'answers' };
+    }
+    given.set(entry.questionId, entry.value);
+  }
+
+  const answers = [];
+  const knockedOut = [];
+  for (const question of questions) {
+    const raw = given.get(question.id);
+    if (raw == null || (typeof raw === 'string' && !raw.trim())) {
+      if (question.required) {
+        return { error: `Please answer: ${question.prompt}`, field: 'answers' };
+      }
+      continue;
+    }
+
+    const { value, error } = parseAnswerValue(question, raw);
+    if (error) {
+      return { error: `${question.prompt}: ${error}`, field: 'answers' };
+    }
+
+    const knockout = isKnockedOut(question, value);
+    if (knockout) knockedOut.push(question);
+    answers.push({ questionId: question.id, prompt: question.prompt, type: question.type, value, knockedOut: knockout });
+  }
+
+  return { answers, knockedOut };
+}
+
+/**
+ * Parses applicant filters from `?answers[<questionId>]=<value>`:
+ * yes/no for YES_NO, an option (or several, comma-separated) for CHOICE,
+ * `5`, `>=5`, `<=5`, `>5` or `<5` for NUMBER, and words to look for in TEXT.
+ * Returns { filters } (a predicate per question) or { error, field }.
+ */
+function parseAnswerFilters(input = {}, questions) {
+  const filters = [];
+  for (const [questionId, raw] of Object.entries(input)) {
+    const question = questions.find((candidate) => candidate.id === questionId);
+    const field = `answers[${questionId}]`;
+    if (!question) {
+      return { error: 'Question not found for this job', field };
+    }
+    const text = String(raw).trim();
+
+    switch (question.type) {
+      case 'YES_NO': {
+        const expected = parseYesNo(text);
+        if (expected == null) return { error: 'Filter with yes or no', field };
+        filters.push({ questionId, matches: (value) => value === expected });
+        break;
+      }
+      case 'CHOICE': {
+        const wanted = text.split(',').map((option) => findOption(question.options, option));
+        if (wanted.includes(undefined)) {
+          return { error: `Filter with one or more of: ${question.options.join(', ')}`, field };
+        }
+        filters.push({ questionId, matches: (value) => wanted.includes(value) });
+        break;
+      }
+      case 'NUMBER': {
+        const match = text.match(/^(>=|<=|>|<)?\s*(-?\d+(?:\.\d+)?)$/);
+        if (!match) return { error: 'Filter with a number, optionally prefixed by >=, <=, > or <', field };
+        const [, operator, number] = match;
+        const bound = Number(number);
+        const compare = {
+          '>=': (value) => value >= bound,
+          '<=': (value) => value <= bound,
+          '>': (value) => value > bound,
+          '<': (value) => value < bound
+        }[operator] || ((value) => value === bound);
+        filters.push({ questionId, matches: (value) => typeof value === 'number' && compare(value) });
+        break;
+      }
+      default: {
+        const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+        filters.push({
+          questionId,
+          matches: (value) => typeof value === 'string' && words.every((word) => value.toLowerCase().includes(word))
+        });
+      }
+    }
+  }
+  return { filters };
+}
+
+// Whether an application's stored answers pass every filter
+const matchesAnswerFilters = (answers, filters) => filters.every((filter) => {
+  const answer = answers.find((candidate) => candidate.questionId === filter.questionId);
+  return answer != null && filter.matches(answer.value);
+});
+
+module.exports = {
+  QUESTION_TYPES,
+  MAX_QUESTIONS,
+  publicQuestion,
+  parseQuestionList,
+  replaceQuestions,
+  isKnockedOut,
+  parseAnswers,
+  parseAnswerFilters,
+  matchesAnswerFilters
+};
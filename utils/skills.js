@@ -0,0 +1,283 @@
+// Skills taxonomy: canonical Skill rows with aliases and categories.
+// Profile and job skills are linked to it (ProfileSkill / JobSkill), so
+// "React", "react.js" and "ReactJS" are one skill everywhere.
+//
+// Skills users type that aren't known yet are added without a category. Until
+// an admin categorizes them (or merges them into another skill) they aren't
+// read out of free text or offered in autocomplete, so a typo or a junk entry
+// can't attach itself to every job that happens to contain the word.
+//
+// The taxonomy is cached in memory for reading skills out of free text; the
+// cache is rebuilt after local changes and every TAXONOMY_TTL_MS otherwise,
+// so other instances pick up admin edits too.
+const BUNDLED_SKILLS = require('../prisma/skills.json');
+
+const TAXONOMY_TTL_MS = 5 * 60 * 1000;
+
+// Lowercased, single-spaced form used to compare skills
+function skillKey(value) {
+  return String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Display form of a skill nobody has named before
+function cleanSkillName(value) {
+  return String(value).trim().replace(/\s+/g, ' ');
+}
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches any of the spellings as a whole word; symbols count as part of a
+// word so "C" doesn't match inside "C++" and "Java" doesn't match "JavaScript"
+function spellingPattern(spellings) {
+  const alternatives = [...spellings]
+    .sort((a, b) => b.length - a.length)
+    .map((spelling) => escapeRegExp(skillKey(spelling)).replace(/ /g, '[\\s-]+'));
+  return new RegExp(`(?<![\\w+#.])(?:${alternatives.join('|')})(?![\\w+#]|\\.\\w)`, 'i');
+}
+
+function buildTaxonomy(skills) {
+  const byKey = new Map();
+  const patterns = [];
+
+  for (const skill of skills) {
+    const entry = { id: skill.id, name: skill.name, category: skill.category };
+    const aliasKeys = skill.aliases.map((alias) => alias.key);
+    byKey.set(skill.key, entry);
+    for (const key of aliasKeys) byKey.set(key, entry);
+
+    // Uncategorized skills are unreviewed: only found by their exact spelling
+    const spellings = !skill.category ? [] : [...(skill.ambiguous ? [] : [skill.name]), ...aliasKeys];
+    if (spellings.length) patterns.push({ skill: entry, pattern: spellingPattern(spellings) });
+  }
+
+  return { byKey, patterns, loadedAt: Date.now() };
+}
+
+let cached = null;
+
+async function getTaxonomy(prisma) {
+  if (!cached || Date.now() - cached.loadedAt > TAXONOMY_TTL_MS) {
+    const skills = await prisma.skill.findMany({ include: { aliases: true } });
+    cached = buildTaxonomy(skills);
+  }
+  return cached;
+}
+
+function invalidateTaxonomy() {
+  cached = null;
+}
+
+// The skill a spelling refers to, or null
+function findSkill(taxonomy, value) {
+  return taxonomy.byKey.get(skillKey(value)) || null;
+}
+
+// Skills mentioned anywhere in a piece of free text
+function extractSkills(taxonomy, text) {
+  if (!text) return [];
+  return taxonomy.patterns
+    .filter(({ pattern }) => pattern.test(text))
+    .map(({ skill }) => skill);
+}
+
+/**
+ * Maps what users typed to taxonomy skills, de-duplicated, in input order.
+ * Unknown skills are added to the taxonomy without a category, i.e.
+ * unreviewed, so admins can categorize or merge them later.
+ */
+async function resolveSkills(prisma, values) {
+  const taxonomy = await getTaxonomy(prisma);
+  const skills = new Map();
+  let created = false;
+
+  for (const value of values) {
+    const key = skillKey(value);
+    if (!key) continue;
+
+    let skill = findSkill(taxonomy, key);
+    if (!skill) {
+      skill = await prisma.skill.upsert({
+        where: { key },
+        create: { name: cleanSkillName(value), key },
+        update: {},
+        select: { id: true, name: true, category: true }
+      });
+      created = true;
+    }
+    skills.set(skill.id, skill);
+  }
+
+  if (created) invalidateTaxonomy();
+  return [...skills.values()];
+}
+
+/**
+ * Replaces a profile's skills. Profile.skills keeps the canonical names for
+ * display; ProfileSkill links them to the taxonomy.
+ * Returns the canonical names.
+ */
+async function setProfileSkills(prisma, userId, values) {
+  const skills = await resolveSkills(prisma, values);
+  const names = skills.map((skill) => skill.name);
+
+  const profile = await prisma.profile.upsert({
+    where: { userId },
+    update: { skills: names },
+    create: { userId, skills: names }
+  });
+
+  await prisma.$transaction([
+    prisma.profileSkill.deleteMany({ where: { profileId: profile.id } }),
+    prisma.profileSkill.createMany({
+      data: skills.map((skill) => ({ profileId: profile.id, skillId: skill.id }))
+    })
+  ]);
+
+  return { profile, skills: names };
+}
+
+/**
+ * Links a job to the skills named in its title and requirements (or its
+ * description, for jobs without requirements). Call after the job changes.
+ */
+async function syncJobSkills(prisma, job) {
+  const taxonomy = await getTaxonomy(prisma);
+  const text = [job.title, job.requirements || job.description].filter(Boolean).join('\n');
+  const skills = extractSkills(taxonomy, text);
+
+  await prisma.$transaction([
+    prisma.jobSkill.deleteMany({ where: { jobId: job.id } }),
+    prisma.jobSkill.createMany({
+      data: skills.map((skill) => ({ jobId: job.id, skillId: skill.id }))
+    })
+  ]);
+  return skills;
+}
+
+/**
+ * Adds the bundled taxonomy (prisma/skills.json) to the database. Existing
+ * skills keep their name and only gain missing aliases and categories, so this
+ * is safe to run again. Aliases already used by another skill are skipped.
+ * Returns { created, updated, skippedAliases }.
+ */
+async function seedSkills(prisma, entries = BUNDLED_SKILLS) {
+  const result = { created: 0, updated: 0, skippedAliases: [] };
+
+  for (const entry of entries) {
+    const key = skillKey(entry.name);
+    const existing = await prisma.skill.findUnique({ where: { key }, include: { aliases: true } });
+
+    const skill = existing
+      ? await prisma.skill.update({
+        where: { id: existing.id },
+        data: {
+          category: existing.category ?? entry.category ?? null,
+          ambiguous: existing.ambiguous || !!entry.ambiguous
+        }
+      })
+      : await prisma.skill.create({
+        data: { name: entry.name, key, category: entry.category ?? null, ambiguous: !!entry.ambiguous }
+      });
+    result[existing ? 'updated' : 'created']++;
+
+    for (const alias of entry.aliases || []) {
+      const aliasKey = skillKey(alias);
+      const [owner, aliasOwner] = await Promise.all([
+        prisma.skill.findUnique({ where: { key: aliasKey }, select: { id: true } }),
+        prisma.skillAlias.findUnique({ where: { key: aliasKey }, select: { skillId: true } })
+      ]);
+      if (aliasOwner?.skillId === skill.id) continue;
+      if (owner || aliasOwner) {
+        result.skippedAliases.push({ skill: entry.name, alias });
+        continue;
+      }
+      await prisma.skillAlias.create({ data: { skillId: skill.id, key: aliasKey } });
+    }
+  }
+
+  invalidateTaxonomy();
+  return result;
+}
+
+/**
+ * Merges duplicate skills into `targetId`: their profiles and jobs are
+ * re-linked, their names and aliases become aliases of the target, and they
+ * are deleted. Returns the updated target, or null if any skill is missing.
+ */
+async function mergeSkills(prisma, targetId, sourceIds) {
+  const ids = [...new Set(sourceIds)].filter((id) => id !== targetId);
+
+  const merged = await prisma.$transaction(async (tx) => {
+    const target = await tx.skill.findUnique({ where: { id: targetId } });
+    const sources = await tx.skill.findMany({
+      where: { id: { in: ids } },
+      include: {
+        aliases: true,
+        profileLinks: { select: { profileId: true } },
+        jobLinks: { select: { jobId: true } }
+      }
+    });
+    if (!target || sources.length !== ids.length) return null;
+
+    const profileIds = [...new Set(sources.flatMap((skill) => skill.profileLinks.map((link) => link.profileId)))];
+    const jobIds = [...new Set(sources.flatMap((skill) => skill.jobLinks.map((link) => link.jobId)))];
+    const aliasKeys = sources
+      .flatMap((skill) => [skill.key, ...skill.aliases.map((alias) => alias.key)])
+      .filter((key) => key !== target.key);
+
+    // Deleting the sources also removes their links and aliases
+    await tx.skill.deleteMany({ where: { id: { in: ids } } });
+    await tx.skillAlias.createMany({
+      data: aliasKeys.map((key) => ({ skillId: targetId, key })),
+      skipDuplicates: true
+    });
+    await tx.profileSkill.createMany({
+      data: profileIds.map((profileId) => ({ profileId, skillId: targetId })),
+      skipDuplicates: true
+    });
+    await tx.jobSkill.createMany({
+      data: jobIds.map((jobId) => ({ jobId, skillId: targetId })),
+      skipDuplicates: true
+    });
+
+    // Rename the merged skills in the affected profiles' display lists
+    const sourceKeys = new Set(sources.map((skill) => skill.key));
+    const profiles = await tx.profile.findMany({
+      where: { id: { in: profileIds } },
+      select: { id: true, skills: true }
+    });
+    for (const profile of profiles) {
+      const names = profile.skills.map((name) => (sourceKeys.has(skillKey(name)) ? target.name : name));
+      await tx.profile.update({
+        where: { id: profile.id },
+        data: { skills: [...new Map(names.map((name) => [skillKey(name), name])).values()] }
+      });
+    }
+
+    const category = target.category ?? sources.find((skill) => skill.category)?.category ?? null;
+    return tx.skill.update({
+      where: { id: targetId },
+      data: { category },
+      include: { aliases: true }
+    });
+  }, { timeout: 30000 });
+
+  invalidateTaxonomy();
+  return merged;
+}
+
+module.exports = {
+  BUNDLED_SKILLS,
+  skillKey,
+  spellingPattern,
+  buildTaxonomy,
+  getTaxonomy,
+  invalidateTaxonomy,
+  findSkill,
+  extractSkills,
+  resolveSkills,
+  setProfileSkills,
+  syncJobSkills,
+  seedSkills,
+  mergeSkills
+};
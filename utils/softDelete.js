@@ -0,0 +1,128 @@
+// Soft deletion for users, jobs and applications.
+//
+// Deleting a record stamps `deletedAt` on it and on the records that depend
+// on it, all with the same timestamp. Restoring clears `deletedAt` only on the
+// dependants carrying that exact timestamp, so records that were deleted on
+// their own before (e.g. a withdrawn application) stay deleted.
+
+const { revokeAllSessionsQueries } = require('./tokens');
+const { removeStoredFiles } = require('./storage');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Jobs: the job and its applications
+function softDeleteJob(prisma, jobId, deletedAt = new Date()) {
+  return prisma.$transaction([
+    prisma.application.updateMany({ where: { jobId, deletedAt: null }, data: { deletedAt } }),
+    prisma.job.update({ where: { id: jobId }, data: { deletedAt } })
+  ]);
+}
+
+function restoreJob(prisma, job) {
+  return prisma.$transaction([
+    prisma.application.updateMany({
+      where: { jobId: job.id, deletedAt: job.deletedAt },
+      data: { deletedAt: null }
+    }),
+    prisma.job.update({ where: { id: job.id }, data: { deletedAt: null } })
+  ]);
+}
+
+// Users: the user, their applications, their jobs and those jobs' applications.
+// All of the user's sessions are revoked as well.
+function softDeleteUser(prisma, userId, deletedAt = new Date()) {
+  return prisma.$transaction([
+    ...revokeAllSessionsQueries(prisma, userId),
+    prisma.application.updateMany({
+      where: { deletedAt: null, OR: [{ userId }, { job: { recruiterId: userId } }] },
+      data: { deletedAt }
+    }),
+    prisma.job.updateMany({ where: { recruiterId: userId, deletedAt: null }, data: { deletedAt } }),
+    prisma.user.update({ where: { id: userId }, data: { deletedAt } })
+  ]);
+}
+
+function restoreUser(prisma, user) {
+  return prisma.$transaction([
+    prisma.application.updateMany({
+      where: {
+        deletedAt: user.deletedAt,
+        OR: [{ userId: user.id }, { job: { recruiterId: user.id } }]
+      },
+      data: { deletedAt: null }
+    }),
+    prisma.job.updateMany({
+      where: { recruiterId: user.id, deletedAt: user.deletedAt },
+      data: { deletedAt: null }
+    }),
+    prisma.user.update({ where: { id: user.id }, data: { deletedAt: null } })
+  ]);
+}
+
+/**
+ * Hard-deletes everything soft-deleted before `before`, including rows that
+ * reference it (saved jobs, profiles, message threads and their attachment
+ * files, application files). Purged users may have taken part in other
+ * people's applications as job collaborators: the interviews they host and
+ * the messages they sent there go with them. Returns the number of rows
+ * removed per model.
+ */
+async function purgeDeleted(prisma, before) {
+  const expired = { deletedAt: { lt: before } };
+
+  const users = await prisma.user.findMany({ where: expired, select: { id: true } });
+  const userIds = users.map((user) => user.id);
+  const jobs = await prisma.job.findMany({
+    where: { OR: [expired, { recruiterId: { in: userIds } }] },
+    select: { id: true }
+  });
+  const jobIds = jobs.map((job) => job.id);
+
+  const purgedApplications = { OR: [expired, { jobId: { in: jobIds } }, { userId: { in: userIds } }] };
+  const purgedMessages = { senderId: { in: userIds } };
+  const attachments = await prisma.messageAttachment.findMany({
+    where: { message: { OR: [{ application: purgedApplications }, purgedMessages] } },
+    select: { path: true }
+  });
+  const applicationFiles = await prisma.applicationFile.findMany({
+    where: { application: purgedApplications },
+    select: { path: true }
+  });
+
+  const [interviews, messages, applications, savedJobs, purgedJobs, profiles, purgedUsers] = await prisma.$transaction([
+    prisma.interview.deleteMany({ where: { recruiterId: { in: userIds } } }),
+    prisma.message.deleteMany({ where: purgedMessages }),
+    prisma.application.deleteMany({ where: purgedApplications }),
+    prisma.savedJob.deleteMany({
+      where: { OR: [{ jobId: { in: jobIds } }, { userId: { in: userIds } }] }
+    }),
+    prisma.job.deleteMany({ where: { id: { in: jobIds } } }),
+    prisma.profile.deleteMany({ where: { userId: { in: userIds } } }),
+    prisma.user.deleteMany({ where: { id: { in: userIds } } })
+  ]);
+
+  // Messages and files went with their applications; the files on disk go
+  // once that's committed
+  await removeStoredFiles([...attachments, ...applicationFiles].map((file) => file.path));
+
+  return {
+    interviews: interviews.count,
+    messages: messages.count,
+    applications: applications.count,
+    savedJobs: savedJobs.count,
+    attachments: attachments.length,
+    applicationFiles: applicationFiles.length,
+    jobs: purgedJobs.count,
+    profiles: profiles.count,
+    users: purgedUsers.count
+  };
+}
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  softDeleteJob,
+  restoreJob,
+  softDeleteUser,
+  restoreUser,
+  purgeDeleted
+};
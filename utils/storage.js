@@ -0,0 +1,220 @@
+// Pluggable file storage for uploads: resumes, avatars, company logos and
+// the files of applications and messages.
+//
+// Files are kept under keys such as "resumes/<userId>/<name>.pdf". A storage
+// is any object implementing:
+//   put(key, buffer, { contentType })
+//   get(key)    -> { body (readable stream), contentType, size } or null if missing
+//   remove(key) (missing keys are ignored)
+// all returning promises. FILE_STORAGE picks the built-in one:
+//   local - files under STORAGE_DIR (default "storage", from the project root)
+//   s3    - S3_BUCKET on AWS S3 or any S3-compatible server such as MinIO
+//           (S3_ENDPOINT, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY)
+// setStorage() swaps in any other implementation.
+//
+// Nothing in storage is served as-is: routes decide who may download what.
+// Only avatars and company logos are public, at /files/<key> (routes/files.js).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.txt': 'text/plain',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+const PUBLIC_PREFIXES = ['avatars', 'logos'];
+
+const contentTypeFor = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+const createLocalStorage = (dir = process.env.STORAGE_DIR || 'storage') => {
+  const root = path.resolve(__dirname, '..', dir);
+
+  // Keys come from our own code, but never let one point outside the root
+  const filePath = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return file;
+  };
+
+  return {
+    async put(key, buffer) {
+      const file = filePath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+    async get(key) {
+      const file = filePath(key);
+      try {
+        const { size } = await fs.promises.stat(file);
+        return { body: fs.createReadStream(file), contentType: contentTypeFor(key), size };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async remove(key) {
+      await fs.promises.unlink(filePath(key)).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+  };
+};
+
+const createS3Storage = () => {
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('FILE_STORAGE=s3 needs S3_BUCKET');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    // S3-compatible servers (MinIO and the like) serve buckets by path
+    forcePathStyle: !!process.env.S3_ENDPOINT,
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined
+  });
+
+  return {
+    async put(key, buffer, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType || contentTypeFor(key)
+      }));
+    },
+    async get(key) {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return { body: object.Body, contentType: object.ContentType || contentTypeFor(key), size: object.ContentLength };
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+const STORAGES = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+let storage = null;
+
+function getStorage() {
+  if (!storage) {
+    const name = process.env.FILE_STORAGE || 'local';
+    if (!STORAGES[name]) {
+      throw new Error(`Unknown FILE_STORAGE "${name}". Use one of: ${Object.keys(STORAGES).join(', ')}`);
+    }
+    storage = STORAGES[name]();
+  }
+  return storage;
+}
+
+function setStorage(custom) {
+  storage = custom;
+}
+
+// A fresh key under `prefix`, keeping the uploaded file's extension
+const newKey = (prefix, fileName) => (
+  `${prefix}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${path.extname(fileName).toLowerCase()}`
+);
+
+// URL of a public file (avatars and logos keep this in their column)
+const publicUrl = (key) => `/files/${key}`;
+
+// Key behind a public file URL, or null for anything else
+function publicKey(url) {
+  const key = url?.startsWith('/files/') ? url.slice('/files/'.length) : null;
+  return key && PUBLIC_PREFIXES.includes(key.split('/')[0]) ? key : null;
+}
+
+// Stores a multer upload (memory storage) under a new key and returns the key.
+// The stored Content-Type comes from the key's extension, which the upload
+// filters check against the file's signature; the client's mimetype could be
+// anything (e.g. text/html on a "PNG" logo, served inline).
+async function storeUpload(prefix, file) {
+  const key = newKey(prefix, file.originalname);
+  await getStorage().put(key, file.buffer, { contentType: contentTypeFor(key) });
+  return key;
+}
+
+// The whole file as a Buffer, or null if it's missing
+async function readStoredFile(key) {
+  const file = await getStorage().get(key);
+  if (!file) return null;
+  const chunks = [];
+  for await (const chunk of file.body) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Removes files, logging rather than failing: a leftover file is harmless
+const removeStoredFiles = (keys) => Promise.all(keys.filter(Boolean).map((key) => (
+  getStorage().remove(key).catch((error) => {
+    console.error('File removal error:', { key, error: error.message });
+  })
+)));
+
+/**
+ * Streams a stored file as the response. `fileName` names the download;
+ * `inline` lets browsers display it (images) instead of saving it.
+ * Resolves to false, sending nothing, when the file is missing.
+ */
+async function sendStoredFile(res, key, { fileName, inline = false, cacheControl = 'private, no-store' } = {}) {
+  const file = await getStorage().get(key);
+  if (!file) return false;
+
+  // attachment() also guesses a Content-Type, so the stored one is set after
+  res.attachment(fileName || path.basename(key));
+  if (inline) {
+    res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+  }
+  res.set('Content-Type', file.contentType);
+  if (file.size != null) res.set('Content-Length', String(file.size));
+  res.set('Cache-Control', cacheControl);
+  res.set('X-Content-Type-Options', 'nosniff');
+
+  await new Promise((resolve, reject) => {
+    file.body.on('error', reject);
+    res.on('finish', resolve);
+    res.on('close', resolve);
+    file.body.pipe(res);
+  });
+  return true;
+}
+
+module.exports = {
+  PUBLIC_PREFIXES,
+  contentTypeFor,
+  createLocalStorage,
+  createS3Storage,
+  getStorage,
+  setStorage,
+  newKey,
+  publicUrl,
+  publicKey,
+  storeUpload,
+  readStoredFile,
+  removeStoredFiles,
+  sendStoredFile
+};
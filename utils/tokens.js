@@ -0,0 +1,149 @@
+// Access and refresh tokens.
+//
+// Access tokens are short-lived JWTs carrying the user's tokenVersion; bumping
+// User.tokenVersion invalidates every access token issued before. Refresh
+// tokens are random strings, stored hashed, and rotated on every use: each
+// login starts a "family", and presenting an already-rotated token revokes
+// the whole family (the token was most likely stolen).
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user) {
+  return jwt.sign(
+    { userId: user.id, role: user.role, tokenVersion: user.tokenVersion },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+async function createRefreshToken(prisma, userId, familyId, meta = {}) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const record = await prisma.refreshToken.create({
+    data: {
+      userId,
+      familyId: familyId ?? crypto.randomUUID(),
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+      userAgent: meta.userAgent?.slice(0, 255) ?? null,
+      ip: meta.ip ?? null
+    }
+  });
+  return { token, record };
+}
+
+// Starts a new session: returns { token, refreshToken, expiresIn }
+async function issueTokens(prisma, user, meta) {
+  const { token: refreshToken } = await createRefreshToken(prisma, user.id, null, meta);
+  return { token: signAccessToken(user), refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+/**
+ * Exchanges a refresh token for a new token pair.
+ * Returns { user, tokens } or { error } when the token is unknown, expired,
+ * revoked, or belongs to a deleted user.
+ */
+async function rotateRefreshToken(prisma, refreshToken, meta) {
+  const record = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(String(refreshToken)) },
+    include: { user: true }
+  });
+
+  if (!record) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (record.revokedAt) {
+    // Reuse of a rotated token: shut the whole session down
+    if (record.replacedById) {
+      await revokeFamily(prisma, record.familyId);
+      console.log('⚠️  Refresh token reuse detected:', { userId: record.userId, familyId: record.familyId });
+    }
+    return { error: 'Refresh token revoked' };
+  }
+
+  if (record.expiresAt <= new Date() || record.user.deletedAt) {
+    return { error: 'Refresh token expired' };
+  }
+
+  const { token: nextRefreshToken, record: next } = await createRefreshToken(
+    prisma,
+    record.userId,
+    record.familyId,
+    meta
+  );
+
+  // Only one request may rotate a given token
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { id: record.id, revokedAt: null },
+    data: { revokedAt: new Date(), replacedById: next.id }
+  });
+  if (!count) {
+    await revokeFamily(prisma, record.familyId);
+    return { error: 'Refresh token revoked' };
+  }
+
+  return {
+    user: record.user,
+    tokens: {
+      token: signAccessToken(record.user),
+      refreshToken: nextRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    }
+  };
+}
+
+function revokeFamily(prisma, familyId) {
+  return prisma.refreshToken.updateMany({
+    where: { familyId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+}
+
+// Revokes one session given any of its refresh tokens; returns false if unknown
+async function revokeSession(prisma, refreshToken) {
+  const record = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(String(refreshToken)) }
+  });
+  if (!record) return false;
+  await revokeFamily(prisma, record.familyId);
+  return true;
+}
+
+// Queries that end every session of a user; run them inside a $transaction
+function revokeAllSessionsQueries(prisma, userId) {
+  return [
+    prisma.refreshToken.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    }),
+    prisma.user.update({
+      where: { id: userId },
+      data: { tokenVersion: { increment: 1 } }
+    })
+  ];
+}
+
+// Removes refresh tokens that expired or were revoked before `before`
+async function purgeRefreshTokens(prisma, before) {
+  const { count } = await prisma.refreshToken.deleteMany({
+    where: { OR: [{ expiresAt: { lt: before } }, { revokedAt: { lt: before } }] }
+  });
+  return count;
+}
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessionsQueries,
+  purgeRefreshTokens
+};
@@ -0,0 +1,58 @@
+// Single-use, expiring tokens emailed to users (email verification,
+// password reset). Only a hash of each token is stored.
+const crypto = require('crypto');
+const { hashToken } = require('./tokens');
+
+const TOKEN_TTL_MS = {
+  EMAIL_VERIFICATION: 24 * 60 * 60 * 1000,
+  PASSWORD_RESET: 60 * 60 * 1000
+};
+
+// Creates a token of `type` for the user, replacing any unused one
+async function createUserToken(prisma, userId, type) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await prisma.$transaction([
+    prisma.userToken.deleteMany({ where: { userId, type, usedAt: null } }),
+    prisma.userToken.create({
+      data: {
+        userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type])
+      }
+    })
+  ]);
+  return token;
+}
+
+// Marks a valid token as used and returns its record, or null if the token
+// is unknown, expired or already used
+async function consumeUserToken(prisma, token, type) {
+  const now = new Date();
+  const record = await prisma.userToken.findUnique({
+    where: { tokenHash: hashToken(String(token)) }
+  });
+  if (!record || record.type !== type) return null;
+
+  // Only one request can consume a token
+  const { count } = await prisma.userToken.updateMany({
+    where: { id: record.id, usedAt: null, expiresAt: { gt: now } },
+    data: { usedAt: now }
+  });
+  return count ? record : null;
+}
+
+// Removes tokens that expired or were used before `before`
+async function purgeUserTokens(prisma, before) {
+  const { count } = await prisma.userToken.deleteMany({
+    where: { OR: [{ expiresAt: { lt: before } }, { usedAt: { lt: before } }] }
+  });
+  return count;
+}
+
+module.exports = {
+  TOKEN_TTL_MS,
+  createUserToken,
+  consumeUserToken,
+  purgeUserTokens
+};